@@ -0,0 +1,41 @@
+// Shared helpers of the verify-*.js scripts that `npm test` runs
+import assert from "assert/strict";
+
+/**
+ * Run one named check; a failing assertion ends the script with its message
+ */
+export const check = async (name, fn) => {
+  await fn();
+  console.log(`ok - ${name}`);
+};
+
+export const close = (actual, expected, tolerance, message) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${message}: ${actual} is not within ${tolerance} of ${expected}`
+  );
+
+/**
+ * Sine of the given frequency in Hz, sampled at `samplingRate` for `seconds`
+ */
+export const sine = (
+  frequency,
+  { samplingRate, seconds, amplitude = 1, phase = 0 }
+) =>
+  Array.from(
+    { length: Math.round(seconds * samplingRate) },
+    (_, i) =>
+      amplitude * Math.sin((2 * Math.PI * frequency * i) / samplingRate + phase)
+  );
+
+/**
+ * Deterministic uniform random numbers in [0, 1) (Park-Miller), so checks
+ * with noise give the same result on every run
+ */
+export const seededRandom = (seed = 1) => {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+};
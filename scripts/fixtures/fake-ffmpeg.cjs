@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// Stand-in for ffmpeg in the verify-*.js checks: answers fluent-ffmpeg's
+// capability queries and writes raw RGB24 frames at the fps and size of the
+// -filter:v chain for the duration fake-ffprobe reports. Frame n is filled
+// with the byte n % 256 and written in uneven chunks. Environment:
+//   FAKE_VIDEO_DURATION - seconds of video, 4 by default
+//   FAKE_FFMPEG_PID_FILE - write the process id here on start
+//   FAKE_FFMPEG_ARGS_FILE - append each decode's arguments here, one per line
+//   FAKE_FFMPEG_FRAME_DELAY_MS - wait between frames
+//   FAKE_FFMPEG_TRAILING_BYTES - bytes of a partial frame written at the end
+const fs = require("fs");
+
+const args = process.argv.slice(2);
+const listings = {
+  "-formats": " DE rawvideo        raw video\n",
+  "-filters": " ... showinfo        V->V       Show textual information\n",
+  "-encoders": "",
+  "-codecs": "",
+};
+if (args[0] in listings) {
+  process.stdout.write(listings[args[0]]);
+  process.exit(0);
+}
+
+if (process.env.FAKE_FFMPEG_ARGS_FILE) {
+  fs.appendFileSync(process.env.FAKE_FFMPEG_ARGS_FILE, `${args.join(" ")}\n`);
+}
+if (process.env.FAKE_FFMPEG_PID_FILE) {
+  fs.writeFileSync(process.env.FAKE_FFMPEG_PID_FILE, String(process.pid));
+}
+
+const filters = args[args.indexOf("-filter:v") + 1] || "";
+const fps = parseFloat((filters.match(/fps=([\d.]+)/) || [])[1] || 10);
+const [, width, height] = filters
+  .match(/scale=(?:w=)?(\d+):(?:h=)?(\d+)/)
+  .map(Number);
+const maxFrames = args.includes("-frames:v")
+  ? Number(args[args.indexOf("-frames:v") + 1])
+  : Infinity;
+const duration = Number(process.env.FAKE_VIDEO_DURATION) || 4;
+const frameCount = Math.min(Math.round(duration * fps), maxFrames);
+const delay = Number(process.env.FAKE_FFMPEG_FRAME_DELAY_MS) || 0;
+
+let n = 0;
+const writeFrame = () => {
+  if (n >= frameCount) {
+    const trailing = Number(process.env.FAKE_FFMPEG_TRAILING_BYTES) || 0;
+    if (trailing) process.stdout.write(Buffer.alloc(trailing));
+    return;
+  }
+
+  const frame = Buffer.alloc(width * height * 3, n % 256);
+  process.stderr.write(
+    `[Parsed_showinfo_2 @ 0x0] n:${n} pts:${n} pts_time:${n / fps}\n`
+  );
+  const cut = Math.floor(frame.length / 3);
+  process.stdout.write(frame.subarray(0, cut));
+  process.stdout.write(frame.subarray(cut));
+  n++;
+  setTimeout(writeFrame, delay);
+};
+writeFrame();
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+// Stand-in for ffprobe in the verify-*.js checks: a 30 fps H.264 stream,
+// whatever the input. Environment:
+//   FAKE_VIDEO_SIZE - width x height, 64x48 by default
+//   FAKE_VIDEO_DURATION - seconds, 4 by default
+const [width, height] = (process.env.FAKE_VIDEO_SIZE || "64x48").split("x");
+const duration = Number(process.env.FAKE_VIDEO_DURATION) || 4;
+
+process.stdout.write(`[STREAM]
+index=0
+codec_name=h264
+codec_type=video
+width=${width}
+height=${height}
+pix_fmt=yuv420p
+r_frame_rate=30/1
+avg_frame_rate=30/1
+start_time=0.000000
+duration=${duration.toFixed(6)}
+nb_frames=${duration * 30}
+[/STREAM]
+[FORMAT]
+filename=fake.mp4
+duration=${duration.toFixed(6)}
+[/FORMAT]
+`);
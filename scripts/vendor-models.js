@@ -0,0 +1,64 @@
+// Download the TF.js face models into a local model directory, so the server
+// can load them without network access.
+//
+//   npm run vendor:models               -> MODEL_DIR, or ./models
+//   npm run vendor:models -- --out dir  -> any artifact directory
+import fs from "fs";
+import { dirname, join } from "path";
+import {
+  MODEL_CONFIG,
+  MODEL_SOURCES,
+  getModelPath,
+} from "../src/config/models.js";
+
+const outIndex = process.argv.indexOf("--out");
+const outDir =
+  outIndex !== -1 && process.argv[outIndex + 1]
+    ? process.argv[outIndex + 1]
+    : MODEL_CONFIG.DIR;
+
+// TF Hub serves the raw model files when asked for the tfjs file format
+const TFHUB_QUERY = "?tfjs-format=file";
+
+const download = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText} for ${url}`);
+  }
+  return response;
+};
+
+const vendorModel = async (name) => {
+  const { url } = MODEL_SOURCES[name];
+  const modelPath = getModelPath(name, outDir);
+  const directory = dirname(modelPath);
+
+  const response = await download(`${url}/model.json${TFHUB_QUERY}`);
+  const modelJson = await response.json();
+  // Shard paths are relative to where model.json ended up after redirects
+  const base = new URL(response.url);
+
+  await fs.promises.mkdir(directory, { recursive: true });
+  for (const group of modelJson.weightsManifest) {
+    for (const shard of group.paths) {
+      const shardUrl = new URL(shard, base);
+      shardUrl.search = base.search;
+      const data = await (await download(shardUrl.href)).arrayBuffer();
+      await fs.promises.writeFile(join(directory, shard), Buffer.from(data));
+    }
+  }
+  await fs.promises.writeFile(modelPath, JSON.stringify(modelJson));
+
+  console.log(`Vendored ${name} into ${directory}`);
+};
+
+let failed = false;
+for (const name of Object.keys(MODEL_SOURCES)) {
+  try {
+    await vendorModel(name);
+  } catch (error) {
+    failed = true;
+    console.error(`Failed to vendor ${name}: ${error.message}`);
+  }
+}
+process.exit(failed ? 1 : 0);
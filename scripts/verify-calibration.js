@@ -0,0 +1,153 @@
+// Check the per-subject calibration: the line fits fall back to an offset with
+// few references or a slope of the wrong sign, and stored references are
+// replaced on resubmission and capped at MAX_REFERENCES.
+import assert from "assert/strict";
+import { check, close } from "./check.js";
+
+process.env.STORAGE_DRIVER = "memory";
+const {
+  CALIBRATION_CONFIG,
+  addCalibrationReference,
+  fitBloodPressure,
+  fitSpO2,
+} = await import("../src/services/calibration.js");
+const { getStorage } = await import("../src/storage/index.js");
+
+const spO2Reference = (rValue, spO2) => ({ spO2, features: { rValue } });
+
+await check("few SpO2 references only shift the default line", () => {
+  // Default SpO2 = 110 - 25 * R
+  const fit = fitSpO2([spO2Reference(0.5, 96), spO2Reference(0.6, 94)]);
+
+  assert.equal(fit.fit.method, "offset");
+  assert.equal(fit.coefficients.b, 25);
+  close(fit.coefficients.a, 95 + 25 * 0.55, 1e-9, "intercept");
+  assert.equal(fit.referenceCount, 2);
+});
+
+await check("enough SpO2 references fit the slope too", () => {
+  const fit = fitSpO2(
+    [0.4, 0.5, 0.6, 0.7].map((r) => spO2Reference(r, 105 - 20 * r))
+  );
+
+  assert.equal(fit.fit.method, "regression");
+  close(fit.coefficients.a, 105, 1e-3, "a");
+  close(fit.coefficients.b, 20, 1e-3, "b");
+  close(fit.fit.residualError, 0, 1e-3, "residual");
+});
+
+await check("a fitted slope of the wrong sign keeps the default", () => {
+  // SpO2 rising with R contradicts the calibration curve
+  const fit = fitSpO2(
+    [0.4, 0.5, 0.6].map((r) => spO2Reference(r, 80 + 20 * r))
+  );
+
+  assert.equal(fit.fit.method, "offset");
+  assert.equal(fit.coefficients.b, 25);
+});
+
+await check("blood pressure fits systolic and diastolic separately", () => {
+  const fit = fitBloodPressure(
+    [0.2, 0.4, 0.6].map((x) => ({
+      bloodPressure: { systolic: 100 + 50 * x, diastolic: 60 + 10 * x },
+      features: { amplitudeStd: x, amplitudeMean: x },
+    }))
+  );
+
+  assert.equal(fit.fit.systolic.method, "regression");
+  close(fit.coefficients.systolic.slope, 50, 1e-3, "systolic slope");
+  close(fit.coefficients.diastolic.intercept, 60, 1e-3, "diastolic intercept");
+  // References without a cuff reading are left out
+  assert.equal(fitBloodPressure([spO2Reference(0.5, 96)]), null);
+});
+
+const storage = getStorage();
+await storage.init();
+const analyses = Array.from({ length: 23 }, (_, i) => `VR-CHECK-${i}`);
+for (const [i, reportId] of analyses.entries()) {
+  await storage.reports.create({
+    reportId,
+    recordingDetails: { subjectId: "subject-1", deviceId: "phone" },
+    vitals: { spO2: { features: { rValue: 0.4 + i / 100 } } },
+  });
+}
+
+await check("resubmitted readings replace the earlier ones", async () => {
+  await addCalibrationReference("subject-1", {
+    analysisId: analyses[0],
+    spO2: 90,
+  });
+  const calibration = await addCalibrationReference("subject-1", {
+    analysisId: analyses[0],
+    spO2: 97,
+  });
+
+  assert.equal(calibration.deviceId, "phone");
+  assert.deepEqual(
+    calibration.references.map((reference) => reference.spO2),
+    [97]
+  );
+  assert.equal(calibration.spO2.referenceCount, 1);
+});
+
+await check("concurrent references are all kept", async () => {
+  await Promise.all(
+    analyses
+      .slice(1, 6)
+      .map((analysisId) =>
+        addCalibrationReference("subject-1", { analysisId, spO2: 96 })
+      )
+  );
+  const subject = await storage.subjects.find("subject-1");
+
+  assert.equal(subject.calibrations[0].references.length, 6);
+});
+
+await check("only the most recent references are stored", async () => {
+  let calibration;
+  for (const analysisId of analyses.slice(6)) {
+    calibration = await addCalibrationReference("subject-1", {
+      analysisId,
+      spO2: 95,
+    });
+  }
+
+  assert.equal(
+    calibration.references.length,
+    CALIBRATION_CONFIG.MAX_REFERENCES
+  );
+  assert.deepEqual(
+    calibration.references.map((reference) => reference.analysisId),
+    analyses.slice(-CALIBRATION_CONFIG.MAX_REFERENCES)
+  );
+  assert.equal(
+    calibration.spO2.referenceCount,
+    CALIBRATION_CONFIG.MAX_REFERENCES
+  );
+});
+
+await check(
+  "references must come from the subject's own analysis",
+  async () => {
+    await assert.rejects(
+      addCalibrationReference("subject-2", {
+        analysisId: analyses[0],
+        spO2: 97,
+      }),
+      (error) => error.statusCode === 409
+    );
+    await assert.rejects(
+      addCalibrationReference("subject-1", {
+        analysisId: analyses[0],
+        deviceId: "laptop",
+        spO2: 97,
+      }),
+      (error) =>
+        error.statusCode === 409 && error.details.analysisDeviceId === "phone"
+    );
+    await assert.rejects(
+      addCalibrationReference("subject-1", { analysisId: "VR-NONE", spO2: 97 }),
+      (error) => error.statusCode === 404
+    );
+  }
+);
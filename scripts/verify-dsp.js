@@ -0,0 +1,104 @@
+// Check the DSP module against synthetic sines of known frequency: Butterworth
+// designs are -3 dB at their cutoffs, the pulse bandpass keeps in-band sines
+// and rejects out-of-band ones, and forward-backward filtering adds no lag.
+//
+//   node scripts/verify-dsp.js, or all checks with npm test
+import assert from "assert/strict";
+import { check, close, sine as sampleSine } from "./check.js";
+import {
+  bandpassFilter,
+  designButterworth,
+  frequencyResponse,
+} from "../src/services/dsp/index.js";
+
+const SAMPLING_RATE = 30;
+const LENGTH = 60 * SAMPLING_RATE;
+// Pulse band used by the vital-sign processors
+const BAND = { lowFreq: 0.6, highFreq: 4.0 };
+// Edge samples left out of amplitude and lag measurements
+const MARGIN = 10 * SAMPLING_RATE;
+const HALF_POWER = Math.SQRT1_2;
+
+const sine = (frequency) =>
+  sampleSine(frequency, { samplingRate: SAMPLING_RATE, seconds: 60 });
+
+const amplitude = (signal) => {
+  const middle = signal.slice(MARGIN, LENGTH - MARGIN);
+  return Math.sqrt(
+    (2 * middle.reduce((sum, value) => sum + value * value, 0)) / middle.length
+  );
+};
+
+// Shift (in samples) of `output` against `input` with the highest correlation
+const lagOf = (input, output, maxLag) => {
+  let best = { lag: 0, score: -Infinity };
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    let score = 0;
+    for (let i = MARGIN; i < LENGTH - MARGIN; i++) {
+      score += input[i] * output[i + lag];
+    }
+    if (score > best.score) best = { lag, score };
+  }
+  return best.lag;
+};
+
+for (let order = 1; order <= 8; order++) {
+  await check(`order ${order} designs are -3 dB at their cutoffs`, () => {
+    ["lowpass", "highpass"].forEach((type) => {
+      const sections = designButterworth({
+        type,
+        order,
+        cutoff: 2,
+        samplingRate: SAMPLING_RATE,
+      });
+      close(
+        frequencyResponse(sections, 2, SAMPLING_RATE),
+        HALF_POWER,
+        1e-6,
+        `${type} gain at cutoff`
+      );
+    });
+
+    const bandpass = designButterworth({
+      type: "bandpass",
+      order,
+      cutoff: [BAND.lowFreq, BAND.highFreq],
+      samplingRate: SAMPLING_RATE,
+    });
+    [BAND.lowFreq, BAND.highFreq].forEach((edge) =>
+      close(
+        frequencyResponse(bandpass, edge, SAMPLING_RATE),
+        HALF_POWER,
+        1e-6,
+        `bandpass gain at ${edge} Hz`
+      )
+    );
+  });
+}
+
+for (const order of [2, 4]) {
+  const filter = (signal) =>
+    bandpassFilter(signal, { ...BAND, samplingRate: SAMPLING_RATE, order });
+
+  await check(`order ${order} bandpass keeps 1.5 Hz with zero lag`, () => {
+    const input = sine(1.5);
+    const output = filter(input);
+    close(amplitude(output), 1, 0.01, "1.5 Hz amplitude");
+    assert.equal(lagOf(input, output, SAMPLING_RATE / 2), 0, "1.5 Hz lag");
+  });
+
+  await check(`order ${order} bandpass halves the band edges`, () => {
+    // Forward-backward filtering squares the -3 dB gain of one pass
+    [BAND.lowFreq, BAND.highFreq].forEach((edge) =>
+      close(amplitude(filter(sine(edge))), 0.5, 0.01, `${edge} Hz amplitude`)
+    );
+  });
+
+  await check(`order ${order} bandpass rejects 0.3 Hz and 6 Hz`, () => {
+    const limit = order === 2 ? 0.1 : 0.01;
+    [0.3, 6].forEach((frequency) => {
+      const gain = amplitude(filter(sine(frequency)));
+      assert.ok(gain < limit, `${frequency} Hz amplitude ${gain} >= ${limit}`);
+    });
+  });
+}
@@ -0,0 +1,119 @@
+// Check how face detections become analysable segments: short dropouts are
+// bridged, longer ones split a segment, weak detections do not count, and
+// the minimum segment length, which uploads may set, decides which faces are
+// eligible, and the larger face is primary when segments tie.
+import assert from "assert/strict";
+import { check, close } from "./check.js";
+import { selectFaceSegments } from "../src/services/faceValidationService.js";
+import validateVideoUpload from "../src/middleware/validateVideo.js";
+
+const FPS = 10;
+const BOX = [100, 80, 200, 200];
+
+// Per-frame detections of one face; `visible(t)` gives its confidence at
+// time t, or 0 when it is not detected
+const detect = (seconds, visible) => {
+  const frames = Array.from({ length: seconds * FPS }, (_, index) => ({
+    index,
+  }));
+  const frameAnalysis = frames.map(({ index }) => {
+    const timestamp = index / FPS;
+    const confidence = visible(timestamp);
+    return {
+      timestamp,
+      detections: confidence
+        ? [{ box: [...BOX], landmarks: [], confidence }]
+        : [],
+    };
+  });
+  return { frames, frameAnalysis };
+};
+
+const select = ({ frames, frameAnalysis }, minSegmentSeconds = 10) =>
+  selectFaceSegments(frames, frameAnalysis, minSegmentSeconds);
+
+await check("a short dropout is bridged", () => {
+  // Missing from 6 s to 6.3 s, under MAX_GAP_SECONDS
+  const [track] = select(detect(15, (t) => (t >= 6 && t < 6.3 ? 0 : 0.9)));
+
+  assert.equal(track.primary, true);
+  assert.equal(track.eligible, true);
+  close(track.segment.duration, 15, 1e-9, "duration");
+  assert.equal(track.segment.startFrame, 0);
+  assert.equal(track.segment.endFrame, 150);
+  close(track.segment.faceRatio, 147 / 150, 1e-9, "face ratio");
+});
+
+await check("a longer dropout splits the segment", () => {
+  // Lost for 0.8 s, which the tracker still bridges; the longer part after
+  // the dropout is chosen
+  const tracks = select(detect(20, (t) => (t >= 5 && t < 5.8 ? 0 : 0.9)));
+
+  assert.equal(tracks.length, 1);
+  assert.equal(tracks[0].segment.startFrame, 58);
+  assert.equal(tracks[0].segment.endFrame, 200);
+  close(tracks[0].segment.duration, 14.2, 1e-9, "duration");
+});
+
+await check("weak detections do not extend a segment", () => {
+  // Below MIN_CONFIDENCE for the first 8 s
+  const [track] = select(detect(20, (t) => (t < 8 ? 0.5 : 0.9)));
+
+  assert.equal(track.segment.startFrame, 80);
+  close(track.segment.duration, 12, 1e-9, "duration");
+});
+
+await check("the minimum segment length decides eligibility", () => {
+  const detections = detect(8, () => 0.9);
+
+  const [strict] = select(detections, 10);
+  assert.equal(strict.eligible, false);
+  assert.equal(strict.primary, false);
+
+  const [relaxed] = select(detections, 5);
+  assert.equal(relaxed.eligible, true);
+  assert.equal(relaxed.primary, true);
+});
+
+await check("the larger face wins a tie on segment length", () => {
+  const { frames, frameAnalysis } = detect(12, () => 0.9);
+  // A smaller, more confident face far from the first, listed before it
+  frameAnalysis.forEach(({ detections }) =>
+    detections.unshift({
+      box: [400, 80, 460, 140],
+      landmarks: [],
+      confidence: 0.99,
+    })
+  );
+  const tracks = select({ frames, frameAnalysis });
+
+  assert.equal(tracks.length, 2);
+  assert.deepEqual(
+    tracks.map((track) => [track.eligible, track.primary]),
+    [
+      [true, false],
+      [true, true],
+    ]
+  );
+  assert.deepEqual(tracks[1].observations[0].box, BOX);
+});
+
+await check("uploads may ask for another minimum segment length", () => {
+  const upload = (body) => {
+    const req = { file: { size: 1024 }, body, query: {} };
+    const res = {
+      status: (code) => ({ json: (payload) => (res.sent = { code, payload }) }),
+    };
+    validateVideoUpload(req, res, () => (res.sent = { code: "next" }));
+    return { ...res.sent, options: req.analysisOptions };
+  };
+
+  assert.equal(
+    upload({ minSegmentSeconds: "6.5" }).options.minSegmentSeconds,
+    6.5
+  );
+  assert.equal(upload({}).options.minSegmentSeconds, undefined);
+  ["2", "600", "ten"].forEach((value) =>
+    assert.equal(upload({ minSegmentSeconds: value }).code, 400, value)
+  );
+});
@@ -0,0 +1,90 @@
+// Check the Welch heart-rate estimate on synthetic pulse signals: it finds the
+// pulse frequency in noise, falls back to the fundamental when the 2nd
+// harmonic dominates and ignores samples outside the usable segments.
+import assert from "assert/strict";
+import { check, sine, seededRandom } from "./check.js";
+import { calculateHeartRate } from "../src/services/vitalSignsProcessor.js";
+
+const SAMPLING_RATE = 30;
+const SECONDS = 30;
+
+const pulse = (components, { noise = 0.2, seed = 1 } = {}) => {
+  const random = seededRandom(seed);
+  const parts = components.map(([frequency, amplitude]) =>
+    sine(frequency, {
+      samplingRate: SAMPLING_RATE,
+      seconds: SECONDS,
+      amplitude,
+    })
+  );
+  return {
+    label: "GREEN",
+    signal: parts[0].map(
+      (_, i) =>
+        parts.reduce((sum, part) => sum + part[i], 0) + noise * (random() - 0.5)
+    ),
+  };
+};
+
+await check("finds a 72 bpm pulse in noise", async () => {
+  const result = await calculateHeartRate(pulse([[1.2, 1]]), SAMPLING_RATE);
+  assert.equal(result.value, 72);
+  assert.equal(result.harmonicCorrected, false);
+  assert.ok(result.snr > 3, `SNR ${result.snr} dB`);
+  assert.match(result.methodology, /GREEN.*Welch/);
+});
+
+await check(
+  "falls back to the fundamental under a strong 2nd harmonic",
+  async () => {
+    const result = await calculateHeartRate(
+      pulse([
+        [1, 0.8],
+        [2, 1],
+      ]),
+      SAMPLING_RATE
+    );
+    assert.equal(result.value, 60);
+    assert.equal(result.harmonicCorrected, true);
+  }
+);
+
+await check("keeps a genuine fast pulse with a weak sub-harmonic", async () => {
+  const result = await calculateHeartRate(
+    pulse([
+      [1, 0.2],
+      [2, 1],
+    ]),
+    SAMPLING_RATE
+  );
+  assert.equal(result.value, 120);
+  assert.equal(result.harmonicCorrected, false);
+});
+
+await check("ignores samples outside the usable segments", async () => {
+  const signal = pulse([[1.5, 1]]);
+  // A large 0.8 Hz artifact in the middle third, which the segments leave out
+  const third = signal.signal.length / 3;
+  const artifact = sine(0.8, {
+    samplingRate: SAMPLING_RATE,
+    seconds: SECONDS,
+    amplitude: 20,
+  });
+  signal.signal = signal.signal.map((value, i) =>
+    i >= third && i < 2 * third ? value + artifact[i] : value
+  );
+
+  const all = await calculateHeartRate(signal, SAMPLING_RATE);
+  const clean = await calculateHeartRate(signal, SAMPLING_RATE, [
+    [0, third],
+    [2 * third, signal.signal.length],
+  ]);
+  assert.equal(all.value, 48);
+  assert.equal(clean.value, 90);
+});
+
+await check("gives no value without a usable segment", async () => {
+  const result = await calculateHeartRate(pulse([[1.2, 1]]), SAMPLING_RATE, []);
+  assert.equal(result.value, null);
+  assert.equal(result.confidence, "low");
+});
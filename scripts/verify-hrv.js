@@ -0,0 +1,106 @@
+// Check the HRV metrics on synthetic pulses whose beat times are known: the
+// time-domain figures match the intervals to well within a frame, ectopic
+// intervals are left out, and the NN modulation lands in the right band.
+import assert from "assert/strict";
+import { check, close } from "./check.js";
+import { analyzeHRV } from "../src/services/hrv.js";
+
+const SAMPLING_RATE = 15;
+
+// Beat times in seconds from a list of intervals in ms, repeated to `seconds`
+const beatTimes = (intervals, seconds) => {
+  const times = [0.3];
+  while (times[times.length - 1] < seconds) {
+    const nn = intervals[(times.length - 1) % intervals.length];
+    times.push(times[times.length - 1] + nn / 1000);
+  }
+  return times;
+};
+
+// One cosine cycle per beat interval, peaking on each beat
+const pulse = (times, seconds) => ({
+  label: "GREEN",
+  signal: Array.from({ length: seconds * SAMPLING_RATE }, (_, i) => {
+    const t = i / SAMPLING_RATE;
+    const k = times.findIndex((time, n) => time <= t && t < times[n + 1]);
+    if (k === -1) return 1;
+    return Math.cos((2 * Math.PI * (t - times[k])) / (times[k + 1] - times[k]));
+  }),
+});
+
+const analyse = (times, seconds, segments = [[0, seconds * SAMPLING_RATE]]) =>
+  analyzeHRV(pulse(times, seconds), SAMPLING_RATE, segments);
+
+// NN intervals in ms varying sinusoidally at `frequency` Hz
+const modulated = (frequency, depth = 60) =>
+  Array.from(
+    { length: 200 },
+    (_, n) => 850 + depth * Math.sin(2 * Math.PI * frequency * n * 0.85)
+  );
+
+// Reference RMSSD and SDNN of the beats inside the analysed span
+const exactMetrics = (times, seconds) => {
+  const within = times.filter((time) => time < seconds);
+  const nn = within.slice(1).map((time, i) => (time - within[i]) * 1000);
+  const differences = nn.slice(1).map((value, i) => value - nn[i]);
+  const mean = nn.reduce((a, b) => a + b, 0) / nn.length;
+  return {
+    rmssd: Math.sqrt(
+      differences.reduce((sum, d) => sum + d * d, 0) / differences.length
+    ),
+    sdnn: Math.sqrt(
+      nn.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (nn.length - 1)
+    ),
+  };
+};
+
+await check("time-domain metrics resolve intervals between frames", () => {
+  // Successive differences of a few ms, far below the 67 ms frame spacing
+  const times = beatTimes(modulated(0.1), 120);
+  const exact = exactMetrics(times, 120);
+  const result = analyse(times, 120);
+
+  close(result.timeDomain.meanNN, 850, 2, "mean NN");
+  close(result.timeDomain.sdnn, exact.sdnn, 0.05 * exact.sdnn, "SDNN");
+  close(result.value, exact.rmssd, 0.05 * exact.rmssd, "RMSSD");
+  assert.equal(result.beats.rejected, 0);
+  assert.equal(result.confidence, "high");
+  assert.match(result.methodology, /GREEN.*120 Hz/);
+});
+
+await check("a missed beat is rejected as ectopic", () => {
+  const times = beatTimes(modulated(0.1), 120);
+  const exact = exactMetrics(times, 120);
+  // Dropping a beat merges two intervals into one twice as long
+  times.splice(60, 1);
+  const result = analyse(times, 120);
+
+  assert.equal(result.beats.rejected, 1);
+  close(result.value, exact.rmssd, 0.05 * exact.rmssd, "RMSSD");
+});
+
+await check("successive differences stay within a segment", () => {
+  const samples = 120 * SAMPLING_RATE;
+  const result = analyse(beatTimes(modulated(0.1), 120), 120, [
+    [0, samples / 2],
+    [samples / 2, samples],
+  ]);
+
+  // Each segment starts its own interval series
+  assert.equal(result.beats.intervals, result.beats.detected - 2);
+});
+
+await check("NN modulation lands in the matching frequency band", () => {
+  const hf = analyse(beatTimes(modulated(0.25), 120), 120).frequencyDomain;
+  const lf = analyse(beatTimes(modulated(0.1), 120), 120).frequencyDomain;
+  assert.ok(hf.hfNu > 80, `HF share ${hf.hfNu}% at 0.25 Hz`);
+  assert.ok(lf.lfNu > 80, `LF share ${lf.lfNu}% at 0.1 Hz`);
+});
+
+await check("too few beats give low quality and no spectrum", () => {
+  const result = analyse(beatTimes([800], 10), 10);
+
+  assert.equal(result.confidence, "low");
+  assert.equal(result.quality.score, 0);
+  assert.equal(result.frequencyDomain, null);
+});
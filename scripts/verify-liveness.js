@@ -0,0 +1,92 @@
+// Check that vital signs are withheld for a recording that does not look
+// live: a still, pulseless face (a printed photo) gets only the liveness
+// verdict and recording checks, while the same face with a pulse and natural
+// jitter gets its readings.
+import assert from "assert/strict";
+import { check, close, seededRandom } from "./check.js";
+import { processVitalSigns } from "../src/services/vitalSignsProcessor.js";
+import { generateVitalReport } from "../src/services/reportGenerator.js";
+
+const WIDTH = 64;
+const HEIGHT = 48;
+const FPS = 15;
+const SECONDS = 20;
+const BOX = [16, 8, 48, 44];
+const SKIN = [200, 150, 120];
+const BACKGROUND = [40, 90, 200];
+// Relative pulsatile strength per channel (de Haan & Jeanne)
+const PULSE_SIGNATURE = [0.33, 0.77, 0.53];
+const PULSE_HZ = 1.2;
+
+// Fixed texture of up to ±3 levels, so the pulse survives rounding to bytes
+// in the region means
+const texture = (() => {
+  const random = seededRandom(3);
+  return Array.from({ length: WIDTH * HEIGHT }, () => 6 * (random() - 0.5));
+})();
+
+const recording = ({ pulse, jitter }) => {
+  const random = seededRandom(11);
+  return Array.from({ length: FPS * SECONDS }, (_, index) => {
+    const timestamp = index / FPS;
+    const p = pulse ? 0.02 * Math.sin(2 * Math.PI * PULSE_HZ * timestamp) : 0;
+    const pixels = new Uint8Array(WIDTH * HEIGHT * 3);
+    for (let y = 0; y < HEIGHT; y++) {
+      for (let x = 0; x < WIDTH; x++) {
+        const i = y * WIDTH + x;
+        const inFace = x >= BOX[0] && x < BOX[2] && y >= BOX[1] && y < BOX[3];
+        const colour = inFace
+          ? SKIN.map((level, c) => level * (1 + PULSE_SIGNATURE[c] * p))
+          : BACKGROUND;
+        pixels.set(
+          colour.map((level) => Math.round(level + texture[i])),
+          i * 3
+        );
+      }
+    }
+    // A held head still moves by a fraction of a pixel
+    const shift = jitter ? 0.6 * (random() - 0.5) : 0;
+    return {
+      index,
+      timestamp,
+      pixels,
+      shape: [HEIGHT, WIDTH, 3],
+      face: { box: BOX.map((value) => value + shift), landmarks: null },
+    };
+  });
+};
+
+await check("a still face without a pulse gets no readings", async () => {
+  const vitals = await processVitalSigns(
+    recording({ pulse: false, jitter: false }),
+    { sourceFps: 30 }
+  );
+
+  assert.deepEqual(Object.keys(vitals).sort(), [
+    "liveness",
+    "motion",
+    "sampling",
+    "signalQuality",
+    "withheld",
+  ]);
+  assert.equal(vitals.withheld, true);
+  assert.equal(vitals.liveness.verdict, "spoof");
+  assert.ok(vitals.liveness.reasons.length > 0);
+
+  const report = await generateVitalReport(vitals, { reportId: "photo" });
+  assert.equal(report.vitals, null);
+  assert.equal(report.analysis.summary.overallStatus, "Withheld");
+  assert.equal(report.reliability.overallConfidence.score, 0);
+});
+
+await check("the same face with a pulse gets its readings", async () => {
+  const vitals = await processVitalSigns(
+    recording({ pulse: true, jitter: true }),
+    { sourceFps: 30 }
+  );
+
+  assert.equal(vitals.withheld, undefined);
+  assert.equal(vitals.liveness.verdict, "live");
+  close(vitals.heartRate.value, PULSE_HZ * 60, 3, "heart rate");
+  assert.ok(vitals.hrv && vitals.respiratoryRate && vitals.spO2);
+});
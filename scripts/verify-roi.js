@@ -0,0 +1,132 @@
+// Check the face ROI geometry and the per-region skin traces on synthetic
+// frames: a skin-coloured face on a blue background whose brightness changes
+// from frame to frame.
+import assert from "assert/strict";
+import { check, close } from "./check.js";
+import {
+  getFaceRegions,
+  getBackgroundRegions,
+  extractRegionTraces,
+} from "../src/services/roiExtractor.js";
+
+const WIDTH = 64;
+const HEIGHT = 48;
+const BOX = [16, 8, 48, 44];
+const SKIN = [200, 150, 120];
+const BACKGROUND = [40, 90, 200];
+
+// Face box filled with skin, the rest with background, scaled by `gain`
+const frame = (index, { face = { box: BOX }, gain = 1 } = {}) => {
+  const pixels = new Uint8Array(WIDTH * HEIGHT * 3);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const inFace = x >= BOX[0] && x < BOX[2] && y >= BOX[1] && y < BOX[3];
+      const colour = inFace ? SKIN : BACKGROUND;
+      pixels.set(
+        colour.map((c) => Math.round(c * gain)),
+        (y * WIDTH + x) * 3
+      );
+    }
+  }
+  return {
+    index,
+    timestamp: index / 30,
+    pixels,
+    shape: [HEIGHT, WIDTH, 3],
+    face,
+  };
+};
+
+const inside = (region, [x1, y1, x2, y2]) =>
+  region.x >= x1 &&
+  region.y >= y1 &&
+  region.x + region.width <= x2 &&
+  region.y + region.height <= y2;
+
+await check("face regions sit inside the face box", () => {
+  const regions = getFaceRegions(BOX, null, [WIDTH, HEIGHT]);
+  ["forehead", "leftCheek", "rightCheek"].forEach((name) => {
+    assert.ok(regions[name], `${name} missing`);
+    assert.ok(inside(regions[name], BOX), `${name} leaves the face box`);
+  });
+  assert.ok(regions.forehead.y < regions.leftCheek.y);
+  assert.ok(regions.leftCheek.x < regions.rightCheek.x);
+});
+
+await check("landmark regions follow the eyes and nose", () => {
+  // Eyes given in either order, right eye first as BlazeFace reports it
+  const landmarks = [
+    [40, 20],
+    [24, 20],
+    [32, 28],
+    [32, 36],
+  ];
+  const regions = getFaceRegions(BOX, landmarks, [WIDTH, HEIGHT]);
+  assert.equal(regions.forehead.x, 24);
+  assert.equal(regions.forehead.x + regions.forehead.width, 40);
+  assert.ok(regions.forehead.y + regions.forehead.height <= 20);
+  assert.ok(regions.leftCheek.x + regions.leftCheek.width <= 32);
+  assert.ok(regions.rightCheek.x >= 32);
+});
+
+await check("regions too small to measure are left out", () => {
+  const regions = getFaceRegions([10, 10, 18, 18], null, [WIDTH, HEIGHT]);
+  assert.deepEqual(regions, {
+    forehead: null,
+    leftCheek: null,
+    rightCheek: null,
+  });
+});
+
+await check("background regions keep clear of the face", () => {
+  const regions = getBackgroundRegions(BOX, [WIDTH, HEIGHT]);
+  assert.ok(regions.length > 0);
+  regions.forEach((region) =>
+    assert.ok(
+      region.x + region.width <= BOX[0] ||
+        region.x >= BOX[2] ||
+        region.y + region.height <= BOX[1],
+      `${JSON.stringify(region)} overlaps the face`
+    )
+  );
+  // Without a face the top corners are used
+  assert.equal(getBackgroundRegions(null, [WIDTH, HEIGHT]).length, 2);
+});
+
+await check("skin and background traces follow the frame colours", () => {
+  const gains = [1, 0.9, 1.1, 1];
+  const traces = extractRegionTraces(
+    gains.map((gain, i) => frame(i, { gain }))
+  );
+
+  assert.equal(traces.rgb.length, gains.length);
+  traces.rgb.forEach((rgb, i) =>
+    rgb.forEach((value, c) =>
+      close(value, Math.round(SKIN[c] * gains[i]), 0.5, `frame ${i} skin`)
+    )
+  );
+  traces.background.samples.forEach((rgb, i) =>
+    rgb.forEach((value, c) =>
+      close(value, Math.round(BACKGROUND[c] * gains[i]), 0.5, `frame ${i} bg`)
+    )
+  );
+  assert.equal(traces.regions.forehead.skinRatio, 1);
+  assert.equal(traces.coverage.detected, 1);
+  assert.equal(traces.clippedRatio, 0);
+});
+
+await check("a missed detection holds the last face box", () => {
+  const traces = extractRegionTraces([
+    frame(0, { face: null }),
+    frame(1),
+    frame(2, { face: null }),
+    frame(3),
+  ]);
+
+  assert.equal(traces.coverage.detected, 0.5);
+  assert.equal(traces.coverage.held, 0.25);
+  // Before the first detection the region traces are back-filled
+  assert.equal(traces.regions.forehead.coverage, 0.75);
+  assert.equal(traces.regions.forehead.samples.length, 4);
+  close(traces.rgb[2][0], SKIN[0], 0.5, "held frame skin");
+});
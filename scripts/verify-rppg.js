@@ -0,0 +1,85 @@
+// Check the rPPG algorithms on a synthetic skin trace whose pulse follows the
+// usual blood-volume colour signature: the chrominance methods cancel an
+// in-band intensity flicker that plain green picks up, and ICA recovers the
+// pulse from noisy channels.
+import assert from "assert/strict";
+import { check, sine, seededRandom } from "./check.js";
+import {
+  extractPulseSignal,
+  RPPG_ALGORITHMS,
+} from "../src/services/rppgAlgorithms.js";
+import { welch, findSpectralPeak } from "../src/services/dsp/index.js";
+
+const SAMPLING_RATE = 30;
+const SECONDS = 30;
+const SKIN = [180, 120, 100];
+// Relative pulsatile strength per channel (de Haan & Jeanne)
+const PULSE_SIGNATURE = [0.33, 0.77, 0.53];
+const PULSE_HZ = 1.2;
+
+const trace = ({ flickerHz = null, noise = 0 } = {}) => {
+  const options = { samplingRate: SAMPLING_RATE, seconds: SECONDS };
+  const pulse = sine(PULSE_HZ, { ...options, amplitude: 0.003 });
+  // Light level changes scale every channel alike
+  const flicker = flickerHz
+    ? sine(flickerHz, { ...options, amplitude: 0.01 })
+    : pulse.map(() => 0);
+  const random = seededRandom(7);
+
+  return pulse.map((p, i) =>
+    SKIN.map(
+      (level, c) =>
+        level * (1 + flicker[i]) * (1 + PULSE_SIGNATURE[c] * p) +
+        noise * (random() - 0.5)
+    )
+  );
+};
+
+const peakHz = (signal) =>
+  findSpectralPeak(welch(signal, SAMPLING_RATE), 0.6, 4).frequency;
+
+await check("every algorithm finds the pulse in a clean trace", () => {
+  const rgb = trace();
+  Object.keys(RPPG_ALGORITHMS).forEach((algorithm) => {
+    const { signal, label } = extractPulseSignal(rgb, SAMPLING_RATE, algorithm);
+    assert.equal(signal.length, rgb.length);
+    assert.equal(label, RPPG_ALGORITHMS[algorithm]);
+    assert.ok(
+      Math.abs(peakHz(signal) - PULSE_HZ) < 0.1,
+      `${label} peak at ${peakHz(signal)} Hz`
+    );
+  });
+});
+
+await check("CHROM and POS cancel an in-band intensity flicker", () => {
+  const rgb = trace({ flickerHz: 2.5 });
+  assert.ok(
+    Math.abs(
+      peakHz(extractPulseSignal(rgb, SAMPLING_RATE, "green").signal) - 2.5
+    ) < 0.1,
+    "GREEN should follow the flicker"
+  );
+  ["chrom", "pos"].forEach((algorithm) => {
+    const { signal, label } = extractPulseSignal(rgb, SAMPLING_RATE, algorithm);
+    assert.ok(
+      Math.abs(peakHz(signal) - PULSE_HZ) < 0.1,
+      `${label} peak at ${peakHz(signal)} Hz`
+    );
+  });
+});
+
+await check("ICA recovers the pulse from noisy channels", () => {
+  const { signal } = extractPulseSignal(
+    trace({ noise: 0.4 }),
+    SAMPLING_RATE,
+    "ica"
+  );
+  assert.ok(Math.abs(peakHz(signal) - PULSE_HZ) < 0.1, `${peakHz(signal)} Hz`);
+});
+
+await check("unknown algorithms are rejected", () => {
+  assert.throws(
+    () => extractPulseSignal(trace(), SAMPLING_RATE, "pca"),
+    /Unsupported rPPG algorithm "pca"/
+  );
+});
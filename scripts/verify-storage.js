@@ -0,0 +1,204 @@
+// Check the storage backends against the contract in storage/index.js: the
+// memory and file backends on real collections, and the MongoDB subject
+// update's optimistic retry against a Subject model held in memory.
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { check } from "./check.js";
+import { createMemoryStorage } from "../src/storage/memoryStorage.js";
+import { createFileStorage } from "../src/storage/fileStorage.js";
+import { createMongoStorage } from "../src/storage/mongoStorage.js";
+import Subject from "../src/models/Subject.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const job = (analysisId, status, queuedAt) => ({
+  analysisId,
+  status,
+  queuedAt,
+  video: { path: `/uploads/${analysisId}.mp4` },
+  history: [{ status, at: queuedAt }],
+});
+
+// Adds a calibration entry after a pause, so concurrent updates overlap
+const addDevice = (deviceId) => async (subject) => {
+  const calibrations = subject ? subject.calibrations : [];
+  await sleep(5);
+  return { calibrations: [...calibrations, { deviceId, references: [] }] };
+};
+
+const checkBackend = async (name, storage) => {
+  assert.equal(await storage.init(), true);
+
+  await check(
+    `${name}: jobs are created, updated and found by status`,
+    async () => {
+      await storage.jobs.create(job("a", "queued", new Date(2000)));
+      await storage.jobs.create(job("b", "extracting", new Date(1000)));
+      await storage.jobs.create(job("c", "completed", new Date(500)));
+      await assert.rejects(
+        storage.jobs.create(job("a", "queued")),
+        /Duplicate/
+      );
+
+      const updated = await storage.jobs.update("a", {
+        set: { status: "validating" },
+        push: { history: { status: "validating", at: new Date(3000) } },
+        inc: { attempts: 1 },
+      });
+      assert.equal(updated.status, "validating");
+      assert.equal(updated.attempts, 1);
+      assert.equal(updated.history.length, 2);
+      assert.ok(updated.history[1].at instanceof Date);
+      assert.equal(await storage.jobs.update("missing", { set: {} }), null);
+
+      const active = await storage.jobs.findByStatus([
+        "extracting",
+        "validating",
+      ]);
+      // Oldest first
+      assert.deepEqual(
+        active.map((found) => found.analysisId),
+        ["b", "a"]
+      );
+    }
+  );
+
+  await check(`${name}: concurrent job updates are not lost`, async () => {
+    await Promise.all(
+      Array.from({ length: 10 }, () =>
+        storage.jobs.update("b", { inc: { attempts: 1 } })
+      )
+    );
+    assert.equal((await storage.jobs.find("b")).attempts, 10);
+  });
+
+  await check(`${name}: stored documents are copies`, async () => {
+    const report = { reportId: "r", vitals: { heartRate: { value: 70 } } };
+    await storage.reports.create(report);
+    report.vitals.heartRate.value = 0;
+
+    const found = await storage.reports.find("r");
+    assert.equal(found.vitals.heartRate.value, 70);
+    found.vitals.heartRate.value = 0;
+    assert.equal((await storage.reports.find("r")).vitals.heartRate.value, 70);
+    assert.equal(await storage.reports.find("missing"), null);
+  });
+
+  await check(`${name}: concurrent subject updates all apply`, async () => {
+    await Promise.all(
+      ["a", "b", "c"].map((id) => storage.subjects.update("s", addDevice(id)))
+    );
+    const subject = await storage.subjects.find("s");
+    assert.deepEqual(
+      subject.calibrations.map((entry) => entry.deviceId).sort(),
+      ["a", "b", "c"]
+    );
+
+    // Returning null leaves the subject as it is
+    const unchanged = await storage.subjects.update("s", () => null);
+    assert.equal(unchanged.calibrations.length, 3);
+    assert.equal(await storage.subjects.update("none", () => null), null);
+  });
+};
+
+await checkBackend("memory", createMemoryStorage());
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "verify-storage-"));
+try {
+  await checkBackend("file", createFileStorage(dir));
+
+  await check("file: documents survive a new storage instance", async () => {
+    const reopened = createFileStorage(dir);
+    const found = await reopened.jobs.find("a");
+    assert.equal(found.status, "validating");
+    assert.ok(found.queuedAt instanceof Date);
+    assert.equal((await reopened.subjects.find("s")).calibrations.length, 3);
+  });
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// The Subject model's queries, run against one document held in memory.
+// `interfere` makes the next conditional updates see another writer first.
+const mongoSubjects = () => {
+  const state = { doc: null, interfere: 0, creates: 0, updates: 0 };
+  const query = (value) => ({ lean: async () => structuredClone(value) });
+
+  Subject.findOne = ({ subjectId }) =>
+    query(state.doc && state.doc.subjectId === subjectId ? state.doc : null);
+  Subject.create = async (doc) => {
+    state.creates++;
+    if (state.doc) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    state.doc = structuredClone(doc);
+    return { toObject: () => structuredClone(state.doc) };
+  };
+  Subject.findOneAndUpdate = (filter, update) => {
+    state.updates++;
+    if (state.interfere > 0) {
+      state.interfere--;
+      state.doc.revision = (state.doc.revision ?? 0) + 1;
+    }
+    if ((state.doc.revision ?? null) !== filter.revision) return query(null);
+    state.doc = {
+      ...state.doc,
+      ...update.$set,
+      revision: (state.doc.revision ?? 0) + update.$inc.revision,
+    };
+    return query(state.doc);
+  };
+
+  return state;
+};
+
+await check("mongo: a lost race reruns modify on a fresh read", async () => {
+  const state = mongoSubjects();
+  const { subjects } = createMongoStorage();
+
+  const created = await subjects.update("s", addDevice("a"));
+  assert.equal(created.revision, 1);
+
+  state.interfere = 1;
+  let runs = 0;
+  const updated = await subjects.update("s", (subject) => {
+    runs++;
+    return addDevice("b")(subject);
+  });
+  assert.equal(runs, 2);
+  assert.equal(updated.revision, 3);
+  assert.deepEqual(
+    updated.calibrations.map((entry) => entry.deviceId),
+    ["a", "b"]
+  );
+
+  state.interfere = Infinity;
+  await assert.rejects(
+    subjects.update("s", addDevice("c")),
+    /kept changing during the update/
+  );
+});
+
+await check("mongo: a duplicate create retries as an update", async () => {
+  const state = mongoSubjects();
+  const { subjects } = createMongoStorage();
+
+  // Both read "no subject"; the second create hits the unique index
+  const results = await Promise.all([
+    subjects.update("s", addDevice("a")),
+    subjects.update("s", addDevice("b")),
+  ]);
+  assert.equal(state.creates, 2);
+  assert.deepEqual(
+    results[1].calibrations.map((entry) => entry.deviceId),
+    ["a", "b"]
+  );
+
+  // Subjects stored before revisions were kept still update
+  delete state.doc.revision;
+  const legacy = await subjects.update("s", addDevice("c"));
+  assert.equal(legacy.revision, 1);
+  assert.equal(legacy.calibrations.length, 3);
+});
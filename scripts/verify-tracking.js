@@ -0,0 +1,120 @@
+// Check how per-frame face detections are linked into tracks: faces keep
+// their own tracks whatever order they are detected in, the best overlap wins
+// a contested detection, and a face that jumps or stays lost too long starts
+// a new track.
+import assert from "assert/strict";
+import { check, close } from "./check.js";
+import {
+  computeIoU,
+  trackFaces,
+  TRACKING_CONFIG,
+} from "../src/services/faceTracker.js";
+
+const FPS = 10;
+
+// Frames at FPS whose detections are given by `boxesAt(i)`, one box per face
+const frames = (count, boxesAt) =>
+  Array.from({ length: count }, (_, i) => ({
+    timestamp: i / FPS,
+    detections: boxesAt(i).map((box) => ({
+      box,
+      landmarks: [],
+      confidence: 1,
+    })),
+  }));
+
+const boxesOf = (track) => track.observations.map((o) => o.box);
+
+await check("IoU of boxes", () => {
+  assert.equal(computeIoU([0, 0, 10, 10], [0, 0, 10, 10]), 1);
+  assert.equal(computeIoU([0, 0, 10, 10], [10, 0, 20, 10]), 0);
+  // Half of each box overlaps: 50 / (100 + 100 - 50)
+  close(computeIoU([0, 0, 10, 10], [5, 0, 15, 10]), 1 / 3, 1e-12, "IoU");
+});
+
+await check("two faces keep their tracks in any detection order", () => {
+  // Both drift right; their order in the detections swaps every frame
+  const tracks = trackFaces(
+    frames(20, (i) => {
+      const left = [10 + i, 10, 60 + i, 60];
+      const right = [100 + i, 10, 150 + i, 60];
+      return i % 2 ? [right, left] : [left, right];
+    })
+  );
+
+  assert.equal(tracks.length, 2);
+  tracks.forEach((track) => {
+    assert.equal(track.observations.length, 20);
+    const [first] = boxesOf(track);
+    boxesOf(track).forEach((box, i) => assert.equal(box[0], first[0] + i));
+  });
+});
+
+await check("a contested detection goes to the best overlap", () => {
+  // Two overlapping faces; in frame 1 only one detection is left, closest to
+  // the second face
+  const tracks = trackFaces([
+    {
+      timestamp: 0,
+      detections: [
+        { box: [0, 0, 40, 40], confidence: 1 },
+        { box: [20, 0, 60, 40], confidence: 1 },
+      ],
+    },
+    { timestamp: 0.1, detections: [{ box: [18, 0, 58, 40], confidence: 1 }] },
+  ]);
+
+  assert.equal(tracks.length, 2);
+  assert.equal(tracks[0].observations.length, 1);
+  assert.deepEqual(boxesOf(tracks[1]), [
+    [20, 0, 60, 40],
+    [18, 0, 58, 40],
+  ]);
+  assert.deepEqual(
+    tracks[1].observations.map((o) => o.frame),
+    [0, 1]
+  );
+});
+
+await check("a face that jumps starts a new track", () => {
+  const tracks = trackFaces(
+    frames(10, (i) => [i < 5 ? [0, 0, 40, 40] : [35, 0, 75, 40]])
+  );
+
+  // IoU of 200 / 3000 is below MIN_IOU
+  assert.ok(
+    computeIoU([0, 0, 40, 40], [35, 0, 75, 40]) < TRACKING_CONFIG.MIN_IOU
+  );
+  assert.deepEqual(
+    tracks.map((track) => [track.trackId, track.observations.length]),
+    [
+      ["face-1", 5],
+      ["face-2", 5],
+    ]
+  );
+});
+
+await check("a track survives short losses and closes after long ones", () => {
+  const BOX = [0, 0, 40, 40];
+  // Seen for 5 frames, lost for `seconds`, then seen for 5 more
+  const lostFor = (seconds) => {
+    const lost = Math.round(seconds * FPS);
+    return trackFaces(
+      frames(10 + lost, (i) => (i >= 5 && i < 5 + lost ? [] : [BOX]))
+    );
+  };
+
+  const short = lostFor(TRACKING_CONFIG.MAX_MISSED_SECONDS - 0.2);
+  assert.equal(short.length, 1);
+  assert.equal(short[0].observations.length, 10);
+
+  const long = lostFor(TRACKING_CONFIG.MAX_MISSED_SECONDS + 0.5);
+  assert.deepEqual(
+    long.map((track) => track.observations.length),
+    [5, 5]
+  );
+  assert.equal(
+    long[1].observations[0].timestamp,
+    5 / FPS + TRACKING_CONFIG.MAX_MISSED_SECONDS + 0.5
+  );
+});
@@ -0,0 +1,229 @@
+// Check frame extraction against the stand-in ffmpeg in fixtures/: raw output
+// is split into whole frames whatever the chunking, a trailing partial frame
+// is an error, several faces share one measurement decode, and aborting,
+// directly or through the job queue, kills the ffmpeg process.
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import ffmpeg from "fluent-ffmpeg";
+import { check, close } from "./check.js";
+import { extractFramesFromVideo } from "../src/services/videoService.js";
+import {
+  acquireFrames,
+  acquireMeasurementFrames,
+} from "../src/services/frameAcquisition.js";
+
+const fixtures = new URL("./fixtures/", import.meta.url).pathname;
+ffmpeg.setFfmpegPath(path.join(fixtures, "fake-ffmpeg.cjs"));
+ffmpeg.setFfprobePath(path.join(fixtures, "fake-ffprobe.cjs"));
+
+const VIDEO = "recording.mp4";
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "verify-video-"));
+const pidFile = path.join(workDir, "ffmpeg.pid");
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Start work whose ffmpeg writes a frame every 50 ms and records its pid
+const slowFfmpeg = (start) => {
+  fs.rmSync(pidFile, { force: true });
+  process.env.FAKE_FFMPEG_PID_FILE = pidFile;
+  process.env.FAKE_FFMPEG_FRAME_DELAY_MS = "50";
+  return start();
+};
+
+const ffmpegPid = async () => {
+  for (let i = 0; i < 250; i++) {
+    // The file can exist before the pid is written to it
+    const pid = fs.existsSync(pidFile) && Number(fs.readFileSync(pidFile));
+    if (pid > 0) return pid;
+    await sleep(20);
+  }
+  throw new Error("ffmpeg did not start");
+};
+
+const isRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    if (error.code === "ESRCH") return false;
+    throw error;
+  }
+};
+
+const assertExited = async (pid) => {
+  for (let i = 0; i < 50 && isRunning(pid); i++) await sleep(20);
+  assert.equal(isRunning(pid), false, `ffmpeg ${pid} is still running`);
+};
+
+const upload = (name) => {
+  const file = path.join(workDir, `${name}.mp4`);
+  fs.writeFileSync(file, "");
+  return { path: file, originalname: `${name}.mp4`, mimetype: "video/mp4" };
+};
+
+// The job once it has completed or failed
+const settled = async (storage, analysisId) => {
+  for (let i = 0; i < 250; i++) {
+    const job = await storage.jobs.find(analysisId);
+    if (["completed", "failed"].includes(job.status)) return job;
+    await sleep(20);
+  }
+  throw new Error(`Job ${analysisId} did not finish`);
+};
+
+await check("splits ffmpeg output into whole frames", async () => {
+  const { frames, frameSize, fps, truncated } = await extractFramesFromVideo(
+    VIDEO
+  );
+
+  // 64x48 at 30 fps is decoded at 32x24 and 15 fps for 4 seconds
+  assert.deepEqual(frameSize, { width: 32, height: 24 });
+  assert.equal(fps, 15);
+  assert.equal(frames.length, 60);
+  assert.equal(truncated, false);
+  frames.forEach((frame, i) => {
+    assert.equal(frame.index, i);
+    assert.deepEqual(frame.shape, [24, 32, 3]);
+    assert.equal(frame.pixels.length, 24 * 32 * 3);
+    assert.ok(frame.pixels.every((value) => value === i));
+    assert.equal(frame.timestamp, i / 15);
+  });
+});
+
+await check("keeps only the frames inside a range", async () => {
+  const { frames } = await extractFramesFromVideo(VIDEO, {
+    range: { startFrame: 10, endFrame: 20 },
+  });
+  assert.deepEqual(
+    frames.map((frame) => frame.index),
+    Array.from({ length: 10 }, (_, i) => 10 + i)
+  );
+  assert.ok(frames.every((frame) => frame.pixels[0] === frame.index));
+});
+
+await check("rejects output that ends inside a frame", async () => {
+  process.env.FAKE_FFMPEG_TRAILING_BYTES = "100";
+  try {
+    await assert.rejects(
+      extractFramesFromVideo(VIDEO),
+      /ffmpeg output ended 100 bytes into frame 60 \(frame size 2304 bytes\)/
+    );
+  } finally {
+    delete process.env.FAKE_FFMPEG_TRAILING_BYTES;
+  }
+});
+
+await check("faces share one measurement decode", async () => {
+  process.env.FAKE_VIDEO_SIZE = "640x480";
+  const argsFile = path.join(workDir, "ffmpeg.args");
+  process.env.FAKE_FFMPEG_ARGS_FILE = argsFile;
+  try {
+    const detection = await acquireFrames(VIDEO);
+    // Two faces side by side in the 320x240 detection frames
+    const boxes = {
+      "face-1": [20, 40, 80, 120],
+      "face-2": [200, 40, 260, 120],
+    };
+    detection.frames.forEach((frame) => {
+      frame.faces = {};
+      Object.entries(boxes).forEach(([trackId, box]) => {
+        frame.faces[trackId] = { box, landmarks: [] };
+      });
+    });
+    const tracks = [
+      { trackId: "face-1", segment: { startFrame: 0, endFrame: 30 } },
+      { trackId: "face-2", segment: { startFrame: 20, endFrame: 60 } },
+    ];
+
+    const measurement = await acquireMeasurementFrames(VIDEO, detection, {
+      tracks,
+    });
+    assert.equal(
+      fs.readFileSync(argsFile, "utf8").trim().split("\n").length,
+      2
+    );
+    assert.equal(measurement.frames.length, 60);
+
+    const [first, second] = tracks.map((track) => measurement.forTrack(track));
+    assert.deepEqual([first.frames[0].index, first.frames.length], [0, 30]);
+    assert.deepEqual([second.frames[0].index, second.frames.length], [20, 40]);
+    [
+      [first, boxes["face-1"]],
+      [second, boxes["face-2"]],
+    ].forEach(([view, box]) => {
+      const { width, height } = view.frameSize;
+      view.frames.forEach((frame) => {
+        assert.deepEqual(frame.shape, [height, width, 3]);
+        assert.ok(frame.pixels.every((value) => value === frame.index % 256));
+      });
+      // The face maps back onto its box in display pixels, twice the
+      // detection size
+      const scale = view.region.width / width;
+      view.frames[0].face.box.forEach((value, i) =>
+        close(
+          (i % 2 ? view.region.y : view.region.x) + value * scale,
+          2 * box[i],
+          scale,
+          `box[${i}]`
+        )
+      );
+    });
+    // Each face's part stops short of the other face
+    assert.ok(first.region.x + first.region.width < 2 * boxes["face-2"][0]);
+    assert.ok(second.region.x > 2 * boxes["face-1"][2]);
+  } finally {
+    delete process.env.FAKE_VIDEO_SIZE;
+    delete process.env.FAKE_FFMPEG_ARGS_FILE;
+  }
+});
+
+await check("aborting mid-extraction kills ffmpeg", async () => {
+  const controller = new AbortController();
+  const extraction = slowFfmpeg(() =>
+    extractFramesFromVideo(VIDEO, { signal: controller.signal })
+  );
+  const pid = await ffmpegPid();
+
+  controller.abort(new Error("Stopped by the check"));
+  await assert.rejects(extraction, /Stopped by the check/);
+  await assertExited(pid);
+});
+
+await check("the queue times out a job and kills its ffmpeg", async () => {
+  process.env.STORAGE_DRIVER = "memory";
+  process.env.ANALYSIS_TIMEOUT_MS = "2000";
+  // Long enough to pass the source checks
+  process.env.FAKE_VIDEO_SIZE = "640x480";
+  process.env.FAKE_VIDEO_DURATION = "12";
+  const { enqueueAnalysis } = await import("../src/services/jobQueue.js");
+  const { getStorage } = await import("../src/storage/index.js");
+
+  const running = await slowFfmpeg(() => enqueueAnalysis(upload("running")));
+  // Waits behind the running job until its client goes away
+  const disconnect = new AbortController();
+  const waiting = await enqueueAnalysis(
+    upload("waiting"),
+    {},
+    {
+      signal: disconnect.signal,
+    }
+  );
+  disconnect.abort(
+    new Error("Client disconnected before the analysis started")
+  );
+  const pid = await ffmpegPid();
+  const cancelled = await settled(getStorage(), waiting.analysisId);
+  assert.equal(cancelled.status, "failed");
+  assert.equal(cancelled.attempts, 0);
+  assert.match(cancelled.error.message, /Client disconnected/);
+  assert.equal(fs.existsSync(waiting.video.path), false);
+
+  const timedOut = await settled(getStorage(), running.analysisId);
+  assert.equal(timedOut.status, "failed");
+  assert.match(timedOut.error.message, /timed out after 2 seconds/);
+  await assertExited(pid);
+  assert.equal(fs.existsSync(running.video.path), false);
+});
+
+fs.rmSync(workDir, { recursive: true, force: true });
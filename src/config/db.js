@@ -3,6 +3,15 @@ import dotenv from "dotenv";
 
 dotenv.config();
 
+// Delay before retrying a failed initial connection
+const RETRY_DELAY_MS = parseInt(process.env.MONGODB_RETRY_MS, 10) || 5000;
+
+/**
+ * Connect to MongoDB. A failed attempt is logged and retried in the
+ * background, so the server keeps running and reports the database as not
+ * ready until a connection is made.
+ * @returns {boolean} Whether this attempt connected
+ */
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI, {
@@ -10,9 +19,13 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+    return true;
   } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1);
+    console.error(
+      `Error: ${error.message}. Retrying in ${RETRY_DELAY_MS / 1000}s`
+    );
+    setTimeout(connectDB, RETRY_DELAY_MS);
+    return false;
   }
 };
 
@@ -0,0 +1,33 @@
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { dirname, join, resolve } from "path";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const MODEL_CONFIG = {
+  // Directory holding one sub-directory of TF.js graph model files per model
+  DIR: process.env.MODEL_DIR
+    ? resolve(process.env.MODEL_DIR)
+    : join(dirname(dirname(__dirname)), "models"),
+  // Download from TF Hub when a model is missing locally. Off by default so
+  // offline deployments fail at startup instead of on the first analysis.
+  ALLOW_REMOTE: process.env.MODEL_ALLOW_REMOTE === "true",
+};
+
+// Sub-directory of MODEL_CONFIG.DIR and TF Hub source of each model
+export const MODEL_SOURCES = {
+  blazeface: {
+    directory: "blazeface",
+    url: "https://tfhub.dev/tensorflow/tfjs-model/blazeface/1/default/1",
+  },
+  faceDetection: {
+    directory: "face-detection-short",
+    url: "https://tfhub.dev/mediapipe/tfjs-model/face_detection/short/1",
+  },
+};
+
+export const getModelPath = (name, dir = MODEL_CONFIG.DIR) =>
+  join(dir, MODEL_SOURCES[name].directory, "model.json");
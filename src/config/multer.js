@@ -5,10 +5,11 @@ import { dirname, join } from "path";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+export const UPLOAD_DIR = join(dirname(dirname(__dirname)), "uploads");
+
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const uploadPath = join(dirname(dirname(__dirname)), "uploads");
-    cb(null, uploadPath);
+    cb(null, UPLOAD_DIR);
   },
   filename: function (req, file, cb) {
     cb(null, Date.now() + "-" + file.originalname);
@@ -0,0 +1,105 @@
+// controllers/calibrationController.js
+import {
+  addCalibrationReference,
+  removeCalibration,
+  validateReference,
+  isValidIdentifier,
+} from "../services/calibration.js";
+import { getStorage } from "../storage/index.js";
+
+export const submitCalibrationReference = async (req, res) => {
+  const { subjectId } = req.params;
+
+  if (!isValidIdentifier(subjectId)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid subject id",
+      subjectId,
+    });
+  }
+
+  const validation = validateReference(req.body);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid reference readings",
+      issues: validation.issues,
+    });
+  }
+
+  try {
+    const calibration = await addCalibrationReference(subjectId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Reference readings recorded and calibration updated",
+      subjectId,
+      calibration,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode
+        ? error.message
+        : "Failed to update calibration",
+      error: error.statusCode ? error.details : error.message,
+    });
+  }
+};
+
+export const getSubjectCalibrations = async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const subject = await getStorage().subjects.find(subjectId);
+
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        message: "Subject not found",
+        subjectId,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Calibrations retrieved",
+      subjectId,
+      calibrations: subject.calibrations,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve calibrations",
+      error: error.message,
+    });
+  }
+};
+
+export const deleteCalibration = async (req, res) => {
+  try {
+    const { subjectId, deviceId } = req.params;
+    const removed = await removeCalibration(subjectId, deviceId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: "No calibration for this subject and device",
+        subjectId,
+        deviceId,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Calibration removed; default coefficients apply again",
+      subjectId,
+      deviceId,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove calibration",
+      error: error.message,
+    });
+  }
+};
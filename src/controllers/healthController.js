@@ -0,0 +1,28 @@
+// controllers/healthController.js
+import { checkReadiness } from "../services/healthService.js";
+
+// The process is up and serving requests; dependencies are not checked
+export const getLiveness = (req, res) => {
+  res.status(200).json({
+    status: "ok",
+    uptime: process.uptime(),
+    pid: process.pid,
+  });
+};
+
+// Only ready instances should receive uploads
+export const getReadiness = async (req, res) => {
+  try {
+    const { ready, checks } = await checkReadiness();
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : "not ready",
+      checks,
+    });
+  } catch (error) {
+    res.status(503).json({
+      status: "not ready",
+      error: error.message,
+    });
+  }
+};
@@ -1,49 +1,36 @@
 // controllers/videoController.js
-import { extractFramesFromVideo } from "../services/videoService.js";
-import { processVitalSigns } from "../services/vitalSignsProcessor.js";
-import { generateVitalReport } from "../services/reportGenerator.js";
-import * as tf from "@tensorflow/tfjs-node";
+import { enqueueAnalysis } from "../services/jobQueue.js";
+import { subscribeToAnalysis } from "../services/analysisEvents.js";
+import { getStorage } from "../storage/index.js";
 
 export const analyzeVideo = async (req, res) => {
   try {
-    const videoFile = req.file;
-
-    // Extract frames from the uploaded video
-    const frameBuffers = await extractFramesFromVideo(videoFile.path);
-
-    // Convert frame buffers to tensors
-    const frameTensors = await Promise.all(
-      frameBuffers.map((buffer) => tf.node.decodeImage(buffer, 3))
-    );
-
-    // Process vital signs
-    const vitals = await processVitalSigns(frameTensors);
-
-    console.log(vitals);
-
-    // Generate detailed report
-    const report = await generateVitalReport(vitals, {
-      duration: frameTensors.length / 5, // 5 FPS
-      timestamp: new Date(),
-      videoQuality: req.videoQuality, // From your validation middleware
+    // Cancels the job if the client goes away before it has started
+    const disconnect = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        disconnect.abort(
+          new Error("Client disconnected before the analysis started")
+        );
+      }
     });
 
-    // Cleanup tensors
-    frameTensors.forEach((tensor) => tensor.dispose());
-
-    // You might want to store the report in your database here
-    // const savedReport = await Report.create(report);
+    const job = await enqueueAnalysis(req.file, req.analysisOptions, {
+      signal: disconnect.signal,
+    });
 
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: "Video analysis completed successfully",
-      report,
+      message: "Video accepted for analysis",
+      analysisId: job.analysisId,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/result/${job.analysisId}`,
     });
   } catch (error) {
     console.error("Video analysis error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to analyze video",
+      message: "Failed to queue video analysis",
       error: error.message,
     });
   }
@@ -53,16 +40,50 @@ export const getAnalysisResult = async (req, res) => {
   try {
     const { analysisId } = req.params;
 
-    // Implement fetching analysis result from your database
-    // const report = await Report.findById(analysisId);
+    const storage = getStorage();
+    const job = await storage.jobs.find(analysisId);
+    const stored = await storage.reports.find(analysisId);
+
+    if (!job && !stored) {
+      return res.status(404).json({
+        success: false,
+        message: "Analysis result not found",
+        analysisId,
+      });
+    }
 
-    // Temporary response until database implementation
-    res.status(200).json({
+    const response = {
       success: true,
       message: "Analysis result retrieved",
       analysisId,
-      status: "pending",
-    });
+      status: job ? job.status : "completed",
+    };
+
+    if (job) {
+      response.timestamps = {
+        queuedAt: job.queuedAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        failedAt: job.failedAt,
+      };
+      response.history = job.history;
+      response.attempts = job.attempts;
+    }
+
+    if (job && job.status === "failed") {
+      response.error = job.error;
+    }
+
+    if (stored) {
+      response.report = stored.report;
+      response.vitals = stored.vitals;
+      response.recordingDetails = stored.recordingDetails;
+      response.faces = stored.faces || [];
+      response.faceDetection = stored.faceDetection;
+      response.createdAt = stored.createdAt;
+    }
+
+    res.status(200).json(response);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -71,3 +92,107 @@ export const getAnalysisResult = async (req, res) => {
     });
   }
 };
+
+const SSE_HEARTBEAT_MS = 15000;
+const TERMINAL_EVENTS = ["complete", "error"];
+
+const writeEvent = (res, type, data) => {
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+export const streamAnalysisEvents = async (req, res) => {
+  const { analysisId } = req.params;
+  const buffered = [];
+  let streaming = false;
+  let heartbeat;
+
+  const handleEvent = (event) => {
+    if (!streaming) {
+      buffered.push(event);
+      return;
+    }
+    writeEvent(res, event.type, event.data);
+    if (TERMINAL_EVENTS.includes(event.type)) close();
+  };
+
+  // Subscribe before reading the job so no transition is missed in between
+  const unsubscribe = subscribeToAnalysis(analysisId, handleEvent);
+
+  const stopListening = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  const close = () => {
+    streaming = false;
+    stopListening();
+    res.end();
+  };
+
+  req.on("close", stopListening);
+
+  try {
+    const storage = getStorage();
+    const job = await storage.jobs.find(analysisId);
+    const stored =
+      !job || job.status === "completed"
+        ? await storage.reports.find(analysisId)
+        : null;
+
+    if (!job && !stored) {
+      stopListening();
+      return res.status(404).json({
+        success: false,
+        message: "Analysis not found",
+        analysisId,
+      });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+
+    const status = job ? job.status : "completed";
+    writeEvent(res, "status", { analysisId, status });
+
+    if (status === "completed") {
+      writeEvent(res, "complete", {
+        analysisId,
+        report: stored ? stored.report : null,
+        faces: stored ? stored.faces || [] : [],
+      });
+      return close();
+    }
+
+    if (status === "failed") {
+      writeEvent(res, "error", { analysisId, error: job.error });
+      return close();
+    }
+
+    heartbeat = setInterval(
+      () => res.write(": heartbeat\n\n"),
+      SSE_HEARTBEAT_MS
+    );
+    streaming = true;
+    buffered.splice(0).forEach(handleEvent);
+  } catch (error) {
+    if (res.headersSent) {
+      writeEvent(res, "error", {
+        analysisId,
+        error: { message: error.message },
+      });
+      return close();
+    }
+
+    stopListening();
+    res.status(500).json({
+      success: false,
+      message: "Failed to stream analysis events",
+      error: error.message,
+    });
+  }
+};
@@ -1,28 +1,41 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import { fileURLToPath } from "url";
-import { dirname, join } from "path";
 import fs from "fs";
-import connectDB from "./config/db.js";
+import { UPLOAD_DIR } from "./config/multer.js";
 import routes from "./routes/routes.js";
 import { errorHandler } from "./middleware/errorHandler.js";
 import logger from "./middleware/logger.js";
+import { recoverInterruptedJobs, stopQueue } from "./services/jobQueue.js";
+import { loadModels } from "./services/modelRegistry.js";
+import { getStorage } from "./storage/index.js";
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-await connectDB();
+const storage = getStorage();
+console.log(`Using ${storage.driver} storage`);
+const storageReady = await storage.init();
+await loadModels();
+
+// Jobs left running by a previous process need the store
+if (storageReady) {
+  await recoverInterruptedJobs();
+} else {
+  storage
+    .whenReady()
+    .then(() =>
+      recoverInterruptedJobs().catch((error) =>
+        console.error("Failed to recover interrupted jobs:", error)
+      )
+    );
+}
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Ensure uploads directory exists
-const uploadDir = join(__dirname, "../uploads");
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
+if (!fs.existsSync(UPLOAD_DIR)) {
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 }
 
 app.use(cors());
@@ -32,6 +45,17 @@ app.use(logger);
 app.use("/api", routes);
 app.use(errorHandler);
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
+
+// Running analyses are aborted and left for recoverInterruptedJobs
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down`);
+  server.close();
+  await stopQueue();
+  process.exit(0);
+};
+
+process.once("SIGTERM", () => shutdown("SIGTERM"));
+process.once("SIGINT", () => shutdown("SIGINT"));
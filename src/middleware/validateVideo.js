@@ -1,157 +1,108 @@
-import * as tf from "@tensorflow/tfjs-node";
-import * as blazeface from "@tensorflow-models/blazeface";
 import {
-  extractFramesFromVideo,
-  cleanupFrames,
-} from "../services/videoService.js";
+  RPPG_ALGORITHMS,
+  DEFAULT_RPPG_ALGORITHM,
+} from "../services/rppgAlgorithms.js";
+import { isValidIdentifier } from "../services/calibration.js";
+import { FACE_VALIDATION_CONFIG } from "../services/faceValidationService.js";
 
 // Configuration constants
 const CONFIG = {
   MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB
-  MIN_FACE_VISIBILITY_RATIO: 0.6,
-  MIN_CONFIDENCE: 0.7,
 };
 
-const validateVideoUpload = async (req, res, next) => {
-  try {
-    // Basic file validations
-    if (!req.file) {
-      return res.status(400).json({
-        error: "No video file provided",
-        fix: "Please ensure you've selected a video file before uploading",
-      });
-    }
-
-    // File size validation
-    if (req.file.size > CONFIG.MAX_FILE_SIZE) {
-      return res.status(400).json({
-        error: "File size too large",
-        details: `File size (${(req.file.size / (1024 * 1024)).toFixed(
-          2
-        )}MB) exceeds 50MB limit`,
-        fix: "Please compress your video or record a shorter duration",
-      });
-    }
-
-    // Extract frames
-    const frameBuffers = await extractFramesFromVideo(req.file.path);
-
-    // Load BlazeFace model
-    const model = await blazeface.load();
-
-    // Process each frame for face detection
-    let validFramesCount = 0;
-    let totalConfidence = 0;
-    let frameAnalysis = [];
-
-    for (let i = 0; i < frameBuffers.length; i++) {
-      let tensor;
-      try {
-        // Decode image buffer into a tensor
-        tensor = tf.node.decodeImage(frameBuffers[i], 3);
-
-        // Run face detection on the frame
-        const predictions = await model.estimateFaces(tensor, {
-          flipHorizontal: false,
-        });
+const FACE_MODES = ["primary", "all"];
+
+/**
+ * Cheap upload checks that run before a job is queued. Face visibility is
+ * validated inside the analysis job (see services/faceValidationService.js).
+ */
+const validateVideoUpload = (req, res, next) => {
+  // Basic file validations
+  if (!req.file) {
+    return res.status(400).json({
+      error: "No video file provided",
+      fix: "Please ensure you've selected a video file before uploading",
+    });
+  }
 
-        if (predictions.length === 1) {
-          validFramesCount++;
-          const box = predictions[0].topLeft.concat(predictions[0].bottomRight);
-          const boxSize = (box[2] - box[0]) * (box[3] - box[1]);
-          const imageSize = tensor.shape[0] * tensor.shape[1];
-          const confidence = Math.min((boxSize / imageSize) * 3, 1);
-          totalConfidence += confidence;
+  // File size validation
+  if (req.file.size > CONFIG.MAX_FILE_SIZE) {
+    return res.status(400).json({
+      error: "File size too large",
+      details: `File size (${(req.file.size / (1024 * 1024)).toFixed(
+        2
+      )}MB) exceeds 50MB limit`,
+      fix: "Please compress your video or record a shorter duration",
+    });
+  }
 
-          frameAnalysis.push({
-            frameNumber: i + 1,
-            hasFace: true,
-            confidence: confidence,
-            box: box,
-          });
-        } else {
-          frameAnalysis.push({
-            frameNumber: i + 1,
-            hasFace: false,
-            confidence: 0,
-          });
-        }
-      } catch (error) {
-        console.error(`Error processing frame ${i + 1}:`, error);
-        frameAnalysis.push({
-          frameNumber: i + 1,
-          hasFace: false,
-          confidence: 0,
-          error: true,
-        });
-      } finally {
-        if (tensor) tensor.dispose();
-      }
-    }
+  // rPPG method, from the multipart body or the query string
+  const algorithm = String(
+    req.body.algorithm || req.query.algorithm || DEFAULT_RPPG_ALGORITHM
+  ).toLowerCase();
 
-    // Calculate visibility and confidence metrics
-    const faceVisibilityRatio = validFramesCount / frameBuffers.length;
-    const averageConfidence =
-      validFramesCount > 0 ? totalConfidence / validFramesCount : 0;
+  if (!RPPG_ALGORITHMS[algorithm]) {
+    return res.status(400).json({
+      error: "Unsupported rPPG algorithm",
+      details: `Algorithm "${algorithm}" is not supported`,
+      fix: `Use one of: ${Object.keys(RPPG_ALGORITHMS).join(", ")}`,
+    });
+  }
 
-    // Analyze results and return issues if any
-    const issues = [];
+  // Optional subject and device, used to apply their calibration
+  const subjectId = req.body.subjectId || req.query.subjectId;
+  const deviceId = req.body.deviceId || req.query.deviceId;
 
-    if (faceVisibilityRatio < CONFIG.MIN_FACE_VISIBILITY_RATIO) {
-      issues.push({
-        issue: "Inconsistent face detection",
-        details: `Face was only detected in ${Math.round(
-          faceVisibilityRatio * 100
-        )}% of frames (minimum required: 60%)`,
-        fixes: [
-          "Ensure your face is clearly visible and centered",
-          "Maintain a consistent position",
-          "Avoid rapid movements",
-        ],
+  for (const [field, value] of Object.entries({ subjectId, deviceId })) {
+    if (value !== undefined && !isValidIdentifier(value)) {
+      return res.status(400).json({
+        error: `Invalid ${field}`,
+        details: `${field} "${value}" is not a valid identifier`,
+        fix: "Use up to 64 letters, digits, '.', '_' or '-'",
       });
     }
+  }
 
-    if (averageConfidence < CONFIG.MIN_CONFIDENCE) {
-      issues.push({
-        issue: "Low face detection quality",
-        details: `Average detection quality: ${Math.round(
-          averageConfidence * 100
-        )}% (minimum required: 70%)`,
-        fixes: [
-          "Move closer to the camera",
-          "Ensure your full face is visible",
-          "Face the camera directly",
-          "Keep a stable position during recording",
-        ],
-      });
-    }
+  // Analyse only the primary face, or every face visible long enough
+  const faces = String(
+    req.body.faces || req.query.faces || "primary"
+  ).toLowerCase();
 
-    if (issues.length > 0) {
-      return res.status(400).json({
-        error: "Video validation failed",
-        issues,
-        metrics: {
-          framesAnalyzed: frameBuffers.length,
-          faceVisibilityPercentage: Math.round(faceVisibilityRatio * 100),
-          averageDetectionQuality: Math.round(averageConfidence * 100),
-        },
-      });
-    }
+  if (!FACE_MODES.includes(faces)) {
+    return res.status(400).json({
+      error: "Unsupported face mode",
+      details: `Face mode "${faces}" is not supported`,
+      fix: `Use one of: ${FACE_MODES.join(", ")}`,
+    });
+  }
 
-    req.faceDetection = {
-      visibilityRatio: faceVisibilityRatio,
-      averageConfidence,
-      frameAnalysis,
-    };
-    next();
-  } catch (error) {
-    console.error("Video validation error:", error);
-    return res.status(500).json({
-      error: "Video processing failed",
-      details: "An unexpected error occurred while processing your video",
-      fix: "Please try uploading again or record a new video",
+  // Shortest face-visible segment to accept; the server default when omitted
+  const minSegment = req.body.minSegmentSeconds ?? req.query.minSegmentSeconds;
+  const minSegmentSeconds =
+    minSegment === undefined || minSegment === ""
+      ? undefined
+      : Number(minSegment);
+  const [minLimit, maxLimit] = FACE_VALIDATION_CONFIG.MIN_SEGMENT_LIMITS;
+
+  if (
+    minSegmentSeconds !== undefined &&
+    !(minSegmentSeconds >= minLimit && minSegmentSeconds <= maxLimit)
+  ) {
+    return res.status(400).json({
+      error: "Invalid minSegmentSeconds",
+      details: `minSegmentSeconds "${minSegment}" is not a number of seconds between ${minLimit} and ${maxLimit}`,
+      fix: `Use a value from ${minLimit} to ${maxLimit}, or leave it out for the default of ${FACE_VALIDATION_CONFIG.MIN_SEGMENT_SECONDS}`,
     });
   }
+
+  req.analysisOptions = {
+    algorithm,
+    subjectId,
+    deviceId,
+    faces,
+    minSegmentSeconds,
+  };
+  next();
 };
 
 export default validateVideoUpload;
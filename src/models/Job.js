@@ -0,0 +1,76 @@
+// models/Job.js
+import mongoose from "mongoose";
+
+export const JOB_STATUSES = [
+  "queued",
+  "extracting",
+  "validating",
+  "processing",
+  "completed",
+  "failed",
+];
+
+export const ACTIVE_JOB_STATUSES = [
+  "queued",
+  "extracting",
+  "validating",
+  "processing",
+];
+
+const jobSchema = new mongoose.Schema(
+  {
+    analysisId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "queued",
+      index: true,
+    },
+    video: {
+      path: { type: String, required: true },
+      originalName: String,
+      mimeType: String,
+      size: Number,
+    },
+    options: {
+      algorithm: String,
+      subjectId: String,
+      deviceId: String,
+      faces: { type: String, enum: ["primary", "all"] },
+      minSegmentSeconds: Number,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    history: [
+      {
+        _id: false,
+        status: { type: String, enum: JOB_STATUSES },
+        at: { type: Date, default: Date.now },
+        note: String,
+      },
+    ],
+    queuedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    failedAt: Date,
+    reportId: String,
+    error: {
+      message: String,
+      details: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+const Job = mongoose.model("Job", jobSchema);
+
+export default Job;
@@ -0,0 +1,54 @@
+// models/Report.js
+import mongoose from "mongoose";
+
+const reportSchema = new mongoose.Schema(
+  {
+    reportId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    report: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    vitals: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    recordingDetails: {
+      duration: Number,
+      timestamp: Date,
+      recordingQuality: mongoose.Schema.Types.Mixed,
+      analyzedSegment: {
+        start: Number,
+        end: Number,
+        duration: Number,
+        frameCount: Number,
+        faceRatio: Number,
+      },
+      originalName: String,
+      subjectId: { type: String, index: true },
+      deviceId: String,
+      mimeType: String,
+      size: Number,
+    },
+    faceDetection: {
+      visibilityRatio: Number,
+      averageConfidence: Number,
+      tracks: [mongoose.Schema.Types.Mixed],
+      timeline: [mongoose.Schema.Types.Mixed],
+      frameAnalysis: [mongoose.Schema.Types.Mixed],
+    },
+    // One entry per analysed face, the primary first
+    faces: [mongoose.Schema.Types.Mixed],
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+const Report = mongoose.model("Report", reportSchema);
+
+export default Report;
@@ -0,0 +1,56 @@
+// models/Subject.js
+import mongoose from "mongoose";
+
+const referenceSchema = new mongoose.Schema(
+  {
+    analysisId: { type: String, required: true },
+    recordedAt: { type: Date, default: Date.now },
+    // Readings from a cuff and a pulse oximeter taken with the recording
+    bloodPressure: {
+      systolic: Number,
+      diastolic: Number,
+    },
+    spO2: Number,
+    // Model inputs measured by the analysis
+    features: {
+      amplitudeStd: Number,
+      amplitudeMean: Number,
+      rValue: Number,
+    },
+  },
+  { _id: false }
+);
+
+const calibrationSchema = new mongoose.Schema(
+  {
+    deviceId: { type: String, required: true },
+    references: [referenceSchema],
+    // Fitted { coefficients, referenceCount, method, residualError, updatedAt }
+    bloodPressure: mongoose.Schema.Types.Mixed,
+    spO2: mongoose.Schema.Types.Mixed,
+    updatedAt: Date,
+  },
+  { _id: false }
+);
+
+const subjectSchema = new mongoose.Schema(
+  {
+    subjectId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    calibrations: [calibrationSchema],
+    // Incremented on every update, so concurrent updates can detect each
+    // other
+    revision: Number,
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+const Subject = mongoose.model("Subject", subjectSchema);
+
+export default Subject;
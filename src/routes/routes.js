@@ -3,13 +3,23 @@ import { uploadConfig } from "../config/multer.js";
 import {
   analyzeVideo,
   getAnalysisResult,
+  streamAnalysisEvents,
 } from "../controllers/videoController.js";
+import {
+  submitCalibrationReference,
+  getSubjectCalibrations,
+  deleteCalibration,
+} from "../controllers/calibrationController.js";
+import { getLiveness, getReadiness } from "../controllers/healthController.js";
 
 import validateVideoUpload from "../middleware/validateVideo.js";
 // import testVideo from "../controllers/testController.js";
 
 const router = express.Router();
 
+router.get("/health/live", getLiveness);
+router.get("/health/ready", getReadiness);
+
 router.post(
   "/analyse",
   uploadConfig.single("video"),
@@ -18,5 +28,10 @@ router.post(
 );
 
 router.get("/result/:analysisId", getAnalysisResult);
+router.get("/result/:analysisId/events", streamAnalysisEvents);
+
+router.post("/subjects/:subjectId/calibrations", submitCalibrationReference);
+router.get("/subjects/:subjectId/calibrations", getSubjectCalibrations);
+router.delete("/subjects/:subjectId/calibrations/:deviceId", deleteCalibration);
 
 export default router;
@@ -0,0 +1,28 @@
+// services/analysisEvents.js
+import { EventEmitter } from "events";
+
+// One emitter for every running analysis; listeners subscribe by analysisId
+const analysisEvents = new EventEmitter();
+analysisEvents.setMaxListeners(0);
+
+/**
+ * Publish an event for a single analysis
+ * @param {string} analysisId - Analysis the event belongs to
+ * @param {string} type - Event type (status, progress, complete, error)
+ * @param {Object} data - Event payload
+ */
+export const emitAnalysisEvent = (analysisId, type, data = {}) => {
+  analysisEvents.emit(analysisId, {
+    type,
+    data: { analysisId, ...data, at: new Date().toISOString() },
+  });
+};
+
+/**
+ * Listen to the events of a single analysis
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToAnalysis = (analysisId, listener) => {
+  analysisEvents.on(analysisId, listener);
+  return () => analysisEvents.off(analysisId, listener);
+};
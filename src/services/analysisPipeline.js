@@ -0,0 +1,253 @@
+// services/analysisPipeline.js
+import { acquireFrames, acquireMeasurementFrames } from "./frameAcquisition.js";
+import { getDisplaySize, getVideoInfo } from "./videoService.js";
+import { validateFaceVisibility } from "./faceValidationService.js";
+import { processVitalSigns } from "./vitalSignsProcessor.js";
+import { generateVitalReport } from "./reportGenerator.js";
+import { getCalibration } from "./calibration.js";
+import {
+  checkSourceProperties,
+  checkFrameQuality,
+} from "./recordingQuality.js";
+import { getStorage } from "../storage/index.js";
+
+/**
+ * Run the full analysis for a queued job. Faces are detected and tracked on
+ * enhanced, downscaled frames; recording-quality checks and vital signs use a
+ * second, unfiltered decode of the analysed faces' regions. The primary face
+ * is always analysed; with `faces: "all"` every other face that is visible
+ * long enough gets its own report too. A face that fails the pixel prechecks
+ * keeps its issues in `faces`; the job fails only when no face is measured.
+ * @param {Object} job - Job document (analysisId, video, options)
+ * @param {Object} hooks
+ * @param {Function} hooks.setStage - Called with each stage name as the job progresses
+ * @param {Function} hooks.onProgress - Receives fine-grained progress events
+ * @param {AbortSignal} hooks.signal - Cancels the analysis
+ * @returns {Object} { reportId, report, faces }, where report is the primary
+ *   face's report, or the first other face's when the primary failed its
+ *   prechecks, and faces holds one entry per analysed face
+ */
+export const runAnalysis = async (job, { setStage, onProgress, signal }) => {
+  const { analysisId, video, options = {} } = job;
+
+  await setStage("extracting");
+
+  // 1. Source prechecks need only ffprobe, so a recording that is too short,
+  // too long or too coarse is rejected before anything is decoded
+  const videoInfo = await getVideoInfo(video.path);
+  const source = checkSourceProperties(videoInfo);
+  if (!source.isValid) {
+    throw validationError(source.issues, { recordingQuality: source.metrics });
+  }
+
+  // 2. Frame acquisition
+  throwIfAborted(signal);
+  const frameSet = await acquireFrames(video.path, {
+    videoInfo,
+    onProgress,
+    signal,
+  });
+  let measurementSet = null;
+
+  try {
+    // 3. Face visibility precheck
+    throwIfAborted(signal);
+    await setStage("validating");
+    const validation = await validateFaceVisibility(frameSet.frames, {
+      onProgress,
+      minSegmentSeconds: options.minSegmentSeconds,
+    });
+
+    if (!validation.isValid) {
+      throw validationError(validation.issues, {
+        metrics: validation.metrics,
+        recordingQuality: source.metrics,
+      });
+    }
+
+    // Primary first, so its report is the job's report whenever it has one
+    const tracks = validation.tracks
+      .filter((track) =>
+        options.faces === "all" ? track.eligible : track.primary
+      )
+      .sort((a, b) => b.primary - a.primary);
+    const display = getDisplaySize(frameSet.videoInfo);
+    const boxScale = [
+      display.width / frameSet.frameSize.width,
+      display.height / frameSet.frameSize.height,
+    ];
+
+    // Detection frames are released first so the two decodes are never held
+    // together; pixel checks need the unfiltered frames
+    frameSet.dispose();
+
+    // 4. Vital signs processing, one face at a time from a single
+    // measurement decode; pixel prechecks run here too since they need it
+    await setStage("processing");
+    measurementSet = await acquireMeasurementFrames(video.path, frameSet, {
+      tracks,
+      onProgress,
+      signal,
+    });
+    const calibration = await getCalibration(
+      options.subjectId,
+      options.deviceId
+    );
+    const faces = [];
+
+    for (const track of tracks) {
+      throwIfAborted(signal);
+      const face = await analyzeFace(track, {
+        analysisId,
+        frameSet,
+        measurement: measurementSet.forTrack(track),
+        source,
+        // Subject calibration belongs to the primary face only
+        calibration: track.primary ? calibration : {},
+        algorithm: options.algorithm,
+        onProgress:
+          onProgress &&
+          ((progress) => onProgress({ ...progress, trackId: track.trackId })),
+      });
+      faces.push({
+        ...face,
+        boxHistory: formatBoxHistory(track.boxHistory, boxScale),
+      });
+    }
+
+    // A face that failed its prechecks has no report; the job's report is
+    // the first one measured
+    const main = faces.find((face) => face.report);
+    if (!main) {
+      throw validationError(faces[0].issues, {
+        metrics: validation.metrics,
+        recordingQuality: faces[0].recordingQuality,
+        ...(faces.length > 1 && {
+          faces: faces.map(({ trackId, issues }) => ({ trackId, issues })),
+        }),
+      });
+    }
+    throwIfAborted(signal);
+
+    await getStorage().reports.create({
+      reportId: analysisId,
+      report: main.report,
+      vitals: main.vitals,
+      recordingDetails: {
+        duration: frameSet.videoInfo.duration,
+        timestamp: new Date(),
+        originalName: video.originalName,
+        subjectId: calibration.subjectId,
+        deviceId: calibration.deviceId,
+        recordingQuality: main.recordingQuality,
+        analyzedSegment: main.segment,
+        mimeType: video.mimeType,
+        size: video.size,
+      },
+      faceDetection: validation.faceDetection,
+      faces: faces.map(({ vitals, ...face }) => face),
+    });
+
+    return {
+      reportId: analysisId,
+      report: main.report,
+      faces: faces.map(({ vitals, ...face }) => face),
+    };
+  } finally {
+    frameSet.dispose();
+    if (measurementSet) measurementSet.dispose();
+  }
+};
+
+/**
+ * Measure one tracked face from its part of the measurement decode: run the
+ * pixel prechecks and, if they pass, compute its vitals and report
+ * @returns {Object} { trackId, primary, segment, recordingQuality, liveness,
+ *   report, vitals }, or { trackId, primary, segment, recordingQuality,
+ *   issues } when a precheck failed
+ */
+const analyzeFace = async (
+  track,
+  {
+    analysisId,
+    frameSet,
+    measurement,
+    source,
+    calibration,
+    algorithm,
+    onProgress,
+  }
+) => {
+  const frameQuality = await checkFrameQuality(measurement);
+  const recordingQuality = { ...source.metrics, ...frameQuality.metrics };
+  const summary = {
+    trackId: track.trackId,
+    primary: track.primary,
+    segment: formatSegment(track.segment),
+    recordingQuality,
+  };
+
+  if (!frameQuality.isValid) {
+    return { ...summary, report: null, issues: frameQuality.issues };
+  }
+
+  const vitals = await processVitalSigns(measurement.frames, {
+    onProgress,
+    algorithm,
+    sourceFps: frameSet.videoInfo.fps,
+    calibration,
+  });
+
+  const report = await generateVitalReport(vitals, {
+    reportId: track.primary ? analysisId : `${analysisId}-${track.trackId}`,
+    duration: frameSet.videoInfo.duration,
+    truncated: frameSet.truncated,
+    timestamp: new Date(),
+    subjectId: calibration.subjectId,
+    deviceId: calibration.deviceId,
+    face: { trackId: track.trackId, primary: track.primary },
+    recordingQuality,
+    analyzedSegment: summary.segment,
+  });
+
+  return {
+    ...summary,
+    liveness: {
+      verdict: vitals.liveness.verdict,
+      score: vitals.liveness.score,
+    },
+    report,
+    vitals,
+  };
+};
+
+/**
+ * Box history in source pixels, rounded for storage
+ */
+const formatBoxHistory = (boxHistory, [scaleX, scaleY]) =>
+  boxHistory.map(({ timestamp, box }) => ({
+    timestamp: Number(timestamp.toFixed(3)),
+    box: box.map((value, i) =>
+      Number((value * (i % 2 ? scaleY : scaleX)).toFixed(1))
+    ),
+  }));
+
+const formatSegment = ({ start, end, duration, frameCount, faceRatio }) => ({
+  start,
+  end,
+  duration: Number(duration.toFixed(2)),
+  frameCount,
+  faceRatio: Number(faceRatio.toFixed(3)),
+});
+
+const validationError = (issues, details) => {
+  const error = new Error("Video validation failed");
+  error.details = { issues, ...details };
+  return error;
+};
+
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw signal.reason || new Error("Analysis aborted");
+  }
+};
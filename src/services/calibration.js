@@ -0,0 +1,333 @@
+// services/calibration.js
+import { getStorage } from "../storage/index.js";
+import { BLOOD_PRESSURE_CALIBRATION } from "./vitalSignsProcessor.js";
+import { SPO2_CALIBRATION } from "./spO2Processor.js";
+
+export const CALIBRATION_CONFIG = {
+  DEFAULT_DEVICE: "default",
+  ID_PATTERN: /^[\w.-]{1,64}$/,
+  // Only the most recent references are kept and used for fitting
+  MAX_REFERENCES: 20,
+  // With fewer references only the intercept is fitted; the slope stays at
+  // its default
+  MIN_REGRESSION_REFERENCES: 3,
+  REFERENCE_RANGES: {
+    SYSTOLIC: [70, 250],
+    DIASTOLIC: [40, 150],
+    SPO2: [70, 100],
+  },
+};
+
+export const isValidIdentifier = (id) =>
+  typeof id === "string" && CALIBRATION_CONFIG.ID_PATTERN.test(id);
+
+/**
+ * Check reference readings submitted for calibration
+ * @param {Object} reference - { analysisId, deviceId, bloodPressure:
+ *   { systolic, diastolic }, spO2 }
+ * @returns {Object} { isValid, issues }
+ */
+export const validateReference = (reference = {}) => {
+  const issues = [];
+  const { analysisId, deviceId, bloodPressure, spO2 } = reference;
+  const { SYSTOLIC, DIASTOLIC, SPO2 } = CALIBRATION_CONFIG.REFERENCE_RANGES;
+  const inRange = (value, [min, max]) =>
+    typeof value === "number" && value >= min && value <= max;
+
+  if (!analysisId || typeof analysisId !== "string") {
+    issues.push(
+      "analysisId of the analysis the readings belong to is required"
+    );
+  }
+  if (deviceId !== undefined && !isValidIdentifier(deviceId)) {
+    issues.push("deviceId may only contain letters, digits, '.', '_' and '-'");
+  }
+  if (bloodPressure === undefined && spO2 === undefined) {
+    issues.push("Provide a bloodPressure reading, an spO2 reading or both");
+  }
+
+  if (bloodPressure !== undefined) {
+    const { systolic, diastolic } = bloodPressure || {};
+    if (!inRange(systolic, SYSTOLIC)) {
+      issues.push(
+        `bloodPressure.systolic must be between ${SYSTOLIC[0]} and ${SYSTOLIC[1]} mmHg`
+      );
+    }
+    if (!inRange(diastolic, DIASTOLIC)) {
+      issues.push(
+        `bloodPressure.diastolic must be between ${DIASTOLIC[0]} and ${DIASTOLIC[1]} mmHg`
+      );
+    }
+    if (systolic <= diastolic) {
+      issues.push("bloodPressure.systolic must be above diastolic");
+    }
+  }
+
+  if (spO2 !== undefined && !inRange(spO2, SPO2)) {
+    issues.push(`spO2 must be between ${SPO2[0]} and ${SPO2[1]} %`);
+  }
+
+  return { isValid: issues.length === 0, issues };
+};
+
+/**
+ * Stored calibration of a subject on a device, in the form the processors
+ * take. Missing entries mean the default coefficients apply.
+ * @returns {Object} { subjectId, deviceId, bloodPressure, spO2 }
+ */
+export const getCalibration = async (
+  subjectId,
+  deviceId = CALIBRATION_CONFIG.DEFAULT_DEVICE
+) => {
+  if (!subjectId) return {};
+
+  const subject = await getStorage().subjects.find(subjectId);
+  const calibration =
+    subject &&
+    subject.calibrations.find((entry) => entry.deviceId === deviceId);
+
+  return {
+    subjectId,
+    deviceId,
+    bloodPressure: (calibration && calibration.bloodPressure) || null,
+    spO2: (calibration && calibration.spO2) || null,
+  };
+};
+
+/**
+ * Pair reference readings with a completed analysis and refit the subject's
+ * calibration for the device
+ * @param {string} subjectId - Subject the readings were taken from
+ * @param {Object} reference - Validated reference (see validateReference)
+ * @returns {Object} The updated calibration entry
+ */
+export const addCalibrationReference = async (subjectId, reference) => {
+  const storage = getStorage();
+  const stored = await storage.reports.find(reference.analysisId);
+  if (!stored) {
+    throw calibrationError(404, "Analysis not found");
+  }
+
+  // Features are only comparable within one subject and camera, so the
+  // analysis must have been run for this subject and on this device
+  const recorded = stored.recordingDetails || {};
+  if (recorded.subjectId !== subjectId) {
+    throw calibrationError(
+      409,
+      recorded.subjectId
+        ? "Analysis belongs to a different subject"
+        : "Analysis was not run for a subject; analyse the recording with this subjectId",
+      { analysisSubjectId: recorded.subjectId || null }
+    );
+  }
+  if (
+    reference.deviceId &&
+    recorded.deviceId &&
+    reference.deviceId !== recorded.deviceId
+  ) {
+    throw calibrationError(409, "Analysis was recorded on a different device", {
+      analysisDeviceId: recorded.deviceId,
+    });
+  }
+
+  if (stored.vitals.withheld) {
+    throw calibrationError(
+      422,
+      "Analysis did not pass the liveness check and has no vitals to calibrate against"
+    );
+  }
+
+  const deviceId =
+    reference.deviceId ||
+    recorded.deviceId ||
+    CALIBRATION_CONFIG.DEFAULT_DEVICE;
+  const features = {
+    ...(stored.vitals.bloodPressure && stored.vitals.bloodPressure.features),
+    ...(stored.vitals.spO2 && stored.vitals.spO2.features),
+  };
+
+  const missing = [];
+  if (reference.bloodPressure && !Number.isFinite(features.amplitudeStd)) {
+    missing.push("blood pressure");
+  }
+  if (reference.spO2 !== undefined && !Number.isFinite(features.rValue)) {
+    missing.push("SpO2");
+  }
+  if (missing.length) {
+    throw calibrationError(
+      422,
+      `Analysis has no ${missing.join(" or ")} features to calibrate against`
+    );
+  }
+
+  const subject = await storage.subjects.update(subjectId, (current) => {
+    const calibrations = current ? current.calibrations : [];
+    let calibration = calibrations.find((entry) => entry.deviceId === deviceId);
+    if (!calibration) {
+      calibration = { deviceId, references: [] };
+      calibrations.push(calibration);
+    }
+
+    // Readings resubmitted for an analysis replace the earlier ones, so one
+    // recording never counts twice in the fit
+    calibration.references = calibration.references.filter(
+      (entry) => entry.analysisId !== reference.analysisId
+    );
+    calibration.references.push({
+      analysisId: reference.analysisId,
+      recordedAt: new Date(),
+      bloodPressure: reference.bloodPressure,
+      spO2: reference.spO2,
+      features,
+    });
+
+    // Older readings are dropped rather than kept unused
+    calibration.references = calibration.references.slice(
+      -CALIBRATION_CONFIG.MAX_REFERENCES
+    );
+    const now = new Date();
+    calibration.bloodPressure = fitBloodPressure(calibration.references, now);
+    calibration.spO2 = fitSpO2(calibration.references, now);
+    calibration.updatedAt = now;
+
+    return { calibrations };
+  });
+
+  return subject.calibrations.find((entry) => entry.deviceId === deviceId);
+};
+
+/**
+ * Drop a device calibration so later analyses use the defaults again
+ * @returns {boolean} Whether a calibration was removed
+ */
+export const removeCalibration = async (subjectId, deviceId) => {
+  let removed = false;
+  await getStorage().subjects.update(subjectId, (subject) => {
+    const calibrations = subject
+      ? subject.calibrations.filter((entry) => entry.deviceId !== deviceId)
+      : [];
+    removed =
+      Boolean(subject) && calibrations.length < subject.calibrations.length;
+    return removed ? { calibrations } : null;
+  });
+  return removed;
+};
+
+/**
+ * Fit systolic = intercept + slope * amplitudeStd and diastolic = intercept +
+ * slope * amplitudeMean to the references with a cuff reading
+ * @returns {Object|null} { coefficients, referenceCount, fit, updatedAt }
+ */
+export const fitBloodPressure = (references, updatedAt = new Date()) => {
+  const usable = references.filter(
+    (reference) =>
+      reference.bloodPressure &&
+      Number.isFinite(reference.bloodPressure.systolic) &&
+      Number.isFinite(reference.features.amplitudeStd)
+  );
+  if (!usable.length) return null;
+
+  const systolic = fitLine(
+    usable.map((reference) => [
+      reference.features.amplitudeStd,
+      reference.bloodPressure.systolic,
+    ]),
+    BLOOD_PRESSURE_CALIBRATION.systolic
+  );
+  const diastolic = fitLine(
+    usable.map((reference) => [
+      reference.features.amplitudeMean,
+      reference.bloodPressure.diastolic,
+    ]),
+    BLOOD_PRESSURE_CALIBRATION.diastolic
+  );
+
+  return {
+    coefficients: {
+      systolic: { intercept: systolic.intercept, slope: systolic.slope },
+      diastolic: { intercept: diastolic.intercept, slope: diastolic.slope },
+    },
+    referenceCount: usable.length,
+    fit: {
+      systolic: { method: systolic.method, residualError: systolic.residual },
+      diastolic: {
+        method: diastolic.method,
+        residualError: diastolic.residual,
+      },
+    },
+    updatedAt,
+  };
+};
+
+/**
+ * Fit SpO2 = a - b * R to the references with a pulse-oximeter reading
+ * @returns {Object|null} { coefficients, referenceCount, fit, updatedAt }
+ */
+export const fitSpO2 = (references, updatedAt = new Date()) => {
+  const usable = references.filter(
+    (reference) =>
+      Number.isFinite(reference.spO2) &&
+      Number.isFinite(reference.features.rValue)
+  );
+  if (!usable.length) return null;
+
+  const line = fitLine(
+    usable.map((reference) => [reference.features.rValue, reference.spO2]),
+    { intercept: SPO2_CALIBRATION.a, slope: -SPO2_CALIBRATION.b }
+  );
+
+  return {
+    coefficients: { a: line.intercept, b: -line.slope },
+    referenceCount: usable.length,
+    fit: { method: line.method, residualError: line.residual },
+    updatedAt,
+  };
+};
+
+/**
+ * Least-squares line through [x, y] points. With few points, or a fitted
+ * slope of the wrong sign, the default slope is kept and only the intercept
+ * is fitted.
+ */
+const fitLine = (points, defaults) => {
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+  const varianceX = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+
+  let slope = defaults.slope;
+  let method = "offset";
+  if (
+    points.length >= CALIBRATION_CONFIG.MIN_REGRESSION_REFERENCES &&
+    varianceX > 1e-12
+  ) {
+    const fitted =
+      points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0) /
+      varianceX;
+    if (Math.sign(fitted) === Math.sign(defaults.slope)) {
+      slope = fitted;
+      method = "regression";
+    }
+  }
+
+  const intercept = meanY - slope * meanX;
+  const residual = Math.sqrt(
+    points.reduce((sum, [x, y]) => sum + (y - intercept - slope * x) ** 2, 0) /
+      points.length
+  );
+
+  return {
+    intercept: round(intercept),
+    slope: round(slope),
+    method,
+    residual: round(residual),
+  };
+};
+
+const calibrationError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+const round = (value) => Number(value.toFixed(4));
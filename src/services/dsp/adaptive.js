@@ -0,0 +1,51 @@
+// services/dsp/adaptive.js
+
+/**
+ * Normalised LMS adaptive noise canceller. An FIR filter on the reference is
+ * adapted sample by sample to predict the primary signal; whatever the
+ * reference cannot explain is returned as the output.
+ * @param {Array} primary - Signal containing the wanted component plus noise
+ * @param {Array} reference - Signal correlated with the noise only
+ * @param {Object} options
+ * @param {number} options.order - Number of filter taps (default 4)
+ * @param {number} options.stepSize - Adaptation rate in (0, 2) (default 0.05)
+ * @param {number} options.epsilon - Regulariser for a quiet reference
+ * @returns {Object} { output, estimate, weights }
+ */
+export function nlmsFilter(
+  primary,
+  reference,
+  { order = 4, stepSize = 0.05, epsilon = 1e-9 } = {}
+) {
+  if (primary.length !== reference.length) {
+    throw new Error("primary and reference must have the same length");
+  }
+
+  const weights = new Array(order).fill(0);
+  const taps = new Array(order).fill(0);
+  const output = [];
+  const estimate = [];
+
+  for (let n = 0; n < primary.length; n++) {
+    taps.pop();
+    taps.unshift(reference[n]);
+
+    let predicted = 0;
+    let energy = epsilon;
+    for (let k = 0; k < order; k++) {
+      predicted += weights[k] * taps[k];
+      energy += taps[k] * taps[k];
+    }
+
+    const error = primary[n] - predicted;
+    const gain = (stepSize * error) / energy;
+    for (let k = 0; k < order; k++) {
+      weights[k] += gain * taps[k];
+    }
+
+    estimate.push(predicted);
+    output.push(error);
+  }
+
+  return { output, estimate, weights };
+}
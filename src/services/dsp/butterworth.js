@@ -0,0 +1,166 @@
+// services/dsp/butterworth.js
+import * as C from "./complex.js";
+
+const IMAG_EPSILON = 1e-10;
+
+/**
+ * Design an IIR Butterworth filter of any order as second-order sections
+ * @param {Object} options
+ * @param {string} options.type - "lowpass", "highpass" or "bandpass"
+ * @param {number} options.order - Filter order (bandpass filters end up with 2 * order poles)
+ * @param {number|Array} options.cutoff - Cutoff in Hz, or [low, high] for bandpass
+ * @param {number} options.samplingRate - Sampling rate in Hz
+ * @returns {Array} Sections of the form { b: [b0, b1, b2], a: [1, a1, a2] }
+ */
+export function designButterworth({ type, order, cutoff, samplingRate }) {
+  if (!Number.isInteger(order) || order < 1) {
+    throw new RangeError(
+      `Filter order must be a positive integer, got ${order}`
+    );
+  }
+
+  const nyquist = samplingRate / 2;
+  const cutoffs = Array.isArray(cutoff) ? cutoff : [cutoff];
+  cutoffs.forEach((frequency) => {
+    if (!(frequency > 0 && frequency < nyquist)) {
+      throw new RangeError(
+        `Cutoff ${frequency} Hz must lie between 0 and the Nyquist frequency (${nyquist} Hz)`
+      );
+    }
+  });
+
+  // Pre-warp the cutoff frequencies for the bilinear transform
+  const fs2 = 2 * samplingRate;
+  const warp = (frequency) =>
+    fs2 * Math.tan((Math.PI * frequency) / samplingRate);
+
+  const prototypePoles = analogPrototypePoles(order);
+  let analogPoles;
+  let zeroAt;
+  let referenceOmega;
+
+  if (type === "lowpass") {
+    const wc = warp(cutoffs[0]);
+    analogPoles = prototypePoles.map((p) => C.scale(p, wc));
+    zeroAt = [-1];
+    referenceOmega = 0;
+  } else if (type === "highpass") {
+    const wc = warp(cutoffs[0]);
+    analogPoles = prototypePoles.map((p) => C.div(C.complex(wc), p));
+    zeroAt = [1];
+    referenceOmega = Math.PI;
+  } else if (type === "bandpass") {
+    if (cutoffs.length !== 2 || cutoffs[0] >= cutoffs[1]) {
+      throw new RangeError(
+        "Bandpass cutoff must be [low, high] with low < high"
+      );
+    }
+    const w1 = warp(cutoffs[0]);
+    const w2 = warp(cutoffs[1]);
+    const bandwidth = w2 - w1;
+    const center = Math.sqrt(w1 * w2);
+
+    // Each prototype pole p maps to the roots of s^2 - p*bw*s + w0^2
+    analogPoles = [];
+    prototypePoles.forEach((p) => {
+      const pb = C.scale(p, bandwidth);
+      const discriminant = C.sub(C.mul(pb, pb), C.complex(4 * center * center));
+      const root = C.sqrt(discriminant);
+      analogPoles.push(C.scale(C.add(pb, root), 0.5));
+      analogPoles.push(C.scale(C.sub(pb, root), 0.5));
+    });
+    zeroAt = [1, -1];
+    referenceOmega = 2 * Math.atan(center / fs2);
+  } else {
+    throw new Error(`Unsupported filter type "${type}"`);
+  }
+
+  // Bilinear transform: z = (fs2 + s) / (fs2 - s)
+  const digitalPoles = analogPoles.map((s) =>
+    C.div(C.add(C.complex(fs2), s), C.sub(C.complex(fs2), s))
+  );
+
+  return buildSections(digitalPoles, zeroAt, referenceOmega);
+}
+
+/**
+ * Normalised analog Butterworth poles on the left half of the unit circle
+ */
+function analogPrototypePoles(order) {
+  const poles = [];
+  for (let k = 0; k < order; k++) {
+    const theta = (Math.PI * (2 * k + order + 1)) / (2 * order);
+    poles.push(C.expj(theta));
+  }
+  return poles;
+}
+
+/**
+ * Group conjugate pole pairs into biquads and normalise each section to unit
+ * gain at the reference frequency
+ */
+function buildSections(poles, zeroAt, referenceOmega) {
+  const complexPoles = poles.filter((p) => p.im > IMAG_EPSILON);
+  const realPoles = poles
+    .filter((p) => Math.abs(p.im) <= IMAG_EPSILON)
+    .map((p) => p.re);
+
+  const sections = complexPoles.map((p) => ({
+    poles: 2,
+    a: [1, -2 * p.re, p.re * p.re + p.im * p.im],
+  }));
+
+  for (let i = 0; i < realPoles.length; i += 2) {
+    if (i + 1 < realPoles.length) {
+      const [r1, r2] = [realPoles[i], realPoles[i + 1]];
+      sections.push({ poles: 2, a: [1, -(r1 + r2), r1 * r2] });
+    } else {
+      sections.push({ poles: 1, a: [1, -realPoles[i], 0] });
+    }
+  }
+
+  return sections.map(({ poles: poleCount, a }) => {
+    const b = sectionNumerator(poleCount, zeroAt);
+    const gain = 1 / magnitudeAt({ b, a }, referenceOmega);
+    return { b: b.map((value) => value * gain), a };
+  });
+}
+
+/**
+ * Numerator polynomial with the filter's zeros (z = 1 and/or z = -1)
+ */
+function sectionNumerator(poleCount, zeroAt) {
+  if (poleCount === 1) {
+    return [1, -zeroAt[0], 0];
+  }
+  if (zeroAt.length === 2) {
+    // One zero at z = 1 and one at z = -1
+    return [1, 0, -1];
+  }
+  return [1, -2 * zeroAt[0], 1];
+}
+
+/**
+ * Magnitude of a section's frequency response at normalised frequency omega
+ */
+export function magnitudeAt({ b, a }, omega) {
+  const z1 = C.expj(-omega);
+  const z2 = C.expj(-2 * omega);
+  const evaluate = (coefficients) =>
+    C.add(
+      C.add(C.complex(coefficients[0]), C.scale(z1, coefficients[1])),
+      C.scale(z2, coefficients[2])
+    );
+  return C.abs(C.div(evaluate(b), evaluate(a)));
+}
+
+/**
+ * Magnitude response of a full cascade at a frequency in Hz
+ */
+export function frequencyResponse(sections, frequency, samplingRate) {
+  const omega = (2 * Math.PI * frequency) / samplingRate;
+  return sections.reduce(
+    (gain, section) => gain * magnitudeAt(section, omega),
+    1
+  );
+}
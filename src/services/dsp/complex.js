@@ -0,0 +1,32 @@
+// services/dsp/complex.js
+// Minimal complex arithmetic for filter design. Complex values are {re, im}.
+
+export const complex = (re, im = 0) => ({ re, im });
+
+export const add = (a, b) => complex(a.re + b.re, a.im + b.im);
+
+export const sub = (a, b) => complex(a.re - b.re, a.im - b.im);
+
+export const mul = (a, b) =>
+  complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+
+export const div = (a, b) => {
+  const denom = b.re * b.re + b.im * b.im;
+  return complex(
+    (a.re * b.re + a.im * b.im) / denom,
+    (a.im * b.re - a.re * b.im) / denom
+  );
+};
+
+export const scale = (a, k) => complex(a.re * k, a.im * k);
+
+export const abs = (a) => Math.hypot(a.re, a.im);
+
+export const sqrt = (a) => {
+  const r = abs(a);
+  const re = Math.sqrt((r + a.re) / 2);
+  const im = Math.sign(a.im || 1) * Math.sqrt(Math.max(0, (r - a.re) / 2));
+  return complex(re, im);
+};
+
+export const expj = (theta) => complex(Math.cos(theta), Math.sin(theta));
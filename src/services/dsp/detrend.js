@@ -0,0 +1,33 @@
+// services/dsp/detrend.js
+
+/**
+ * Remove the mean ("constant") or least-squares line ("linear") from a signal
+ * @param {Array} signal - Input samples
+ * @param {string} type - "linear" (default) or "constant"
+ * @returns {Array} Detrended samples
+ */
+export function detrend(signal, type = "linear") {
+  const n = signal.length;
+  if (n === 0) return [];
+
+  const mean = signal.reduce((a, b) => a + b, 0) / n;
+  if (type === "constant" || n < 2) {
+    return signal.map((value) => value - mean);
+  }
+
+  if (type !== "linear") {
+    throw new Error(`Unsupported detrend type "${type}"`);
+  }
+
+  // Least-squares fit of value = slope * i + intercept
+  const meanIndex = (n - 1) / 2;
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (i - meanIndex) * (signal[i] - mean);
+    variance += (i - meanIndex) * (i - meanIndex);
+  }
+  const slope = covariance / variance;
+
+  return signal.map((value, i) => value - mean - slope * (i - meanIndex));
+}
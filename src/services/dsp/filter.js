@@ -0,0 +1,86 @@
+// services/dsp/filter.js
+
+/**
+ * Run a signal through a cascade of second-order sections
+ * (direct form II transposed)
+ * @param {Array} sections - Output of designButterworth
+ * @param {Array} signal - Input samples
+ * @param {Array} initialState - Optional per-section [z1, z2] state
+ * @returns {Array} Filtered samples
+ */
+export function sosFilter(sections, signal, initialState) {
+  let output = Array.from(signal);
+
+  sections.forEach(({ b, a }, index) => {
+    let [z1, z2] = initialState ? initialState[index] : [0, 0];
+    const input = output;
+    output = new Array(input.length);
+
+    for (let n = 0; n < input.length; n++) {
+      const x = input[n];
+      const y = b[0] * x + z1;
+      z1 = b[1] * x - a[1] * y + z2;
+      z2 = b[2] * x - a[2] * y;
+      output[n] = y;
+    }
+  });
+
+  return output;
+}
+
+/**
+ * Steady-state section states for a unit step input, so filtering can start
+ * without a transient (equivalent to scipy's sosfilt_zi)
+ */
+export function sosInitialState(sections) {
+  let gain = 1;
+
+  return sections.map(({ b, a }) => {
+    const sectionGain = (b[0] + b[1] + b[2]) / (a[0] + a[1] + a[2]);
+    const z2 = (b[2] - a[2] * sectionGain) * gain;
+    const z1 = (b[1] - a[1] * sectionGain) * gain + z2;
+    gain *= sectionGain;
+    return [z1, z2];
+  });
+}
+
+/**
+ * Zero-phase forward-backward filtering with odd signal extension at both
+ * ends to suppress edge transients
+ * @param {Array} sections - Output of designButterworth
+ * @param {Array} signal - Input samples
+ * @returns {Array} Filtered samples, same length as the input
+ */
+export function filtfilt(sections, signal) {
+  if (signal.length < 2) return Array.from(signal);
+
+  const padLength = Math.min(3 * (2 * sections.length + 1), signal.length - 1);
+  const extended = oddExtension(signal, padLength);
+  const zi = sosInitialState(sections);
+  const scaled = (state, x0) => state.map(([z1, z2]) => [z1 * x0, z2 * x0]);
+
+  const forward = sosFilter(sections, extended, scaled(zi, extended[0]));
+  forward.reverse();
+  const backward = sosFilter(sections, forward, scaled(zi, forward[0]));
+  backward.reverse();
+
+  return backward.slice(padLength, padLength + signal.length);
+}
+
+/**
+ * Reflect the signal around its end points
+ */
+function oddExtension(signal, padLength) {
+  const n = signal.length;
+  const head = [];
+  const tail = [];
+
+  for (let i = padLength; i >= 1; i--) {
+    head.push(2 * signal[0] - signal[i]);
+  }
+  for (let i = 1; i <= padLength; i++) {
+    tail.push(2 * signal[n - 1] - signal[n - 1 - i]);
+  }
+
+  return [...head, ...signal, ...tail];
+}
@@ -0,0 +1,45 @@
+// services/dsp/index.js
+import { designButterworth } from "./butterworth.js";
+import { filtfilt } from "./filter.js";
+import { detrend } from "./detrend.js";
+
+export { designButterworth, frequencyResponse } from "./butterworth.js";
+export { sosFilter, sosInitialState, filtfilt } from "./filter.js";
+export { detrend } from "./detrend.js";
+export { resample, resampleToUniform, upsample } from "./resample.js";
+export { nlmsFilter } from "./adaptive.js";
+export { median, correlation, round, sampleEvenly } from "./stats.js";
+export {
+  fft,
+  welch,
+  welchSegments,
+  findSpectralPeak,
+  bandPower,
+  spectralSNR,
+} from "./spectrum.js";
+
+/**
+ * Detrend and zero-phase Butterworth bandpass a signal. The upper edge is
+ * clamped below Nyquist so low frame rates still get a valid filter.
+ * @param {Array} signal - Input samples
+ * @param {Object} options
+ * @param {number} options.lowFreq - Lower cutoff in Hz
+ * @param {number} options.highFreq - Upper cutoff in Hz
+ * @param {number} options.samplingRate - Sampling rate in Hz
+ * @param {number} options.order - Butterworth order (default 4)
+ * @returns {Array} Filtered samples
+ */
+export function bandpassFilter(
+  signal,
+  { lowFreq, highFreq, samplingRate, order = 4 }
+) {
+  const highCutoff = Math.min(highFreq, 0.45 * samplingRate);
+  const sections = designButterworth({
+    type: "bandpass",
+    order,
+    cutoff: [lowFreq, highCutoff],
+    samplingRate,
+  });
+
+  return filtfilt(sections, detrend(signal));
+}
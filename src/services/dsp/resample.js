@@ -0,0 +1,113 @@
+// services/dsp/resample.js
+import { designButterworth } from "./butterworth.js";
+import { filtfilt } from "./filter.js";
+
+/**
+ * Linearly interpolate irregularly timed samples onto a uniform grid
+ * @param {Array} values - Sample values
+ * @param {Array} timestamps - Sample times in seconds, ascending
+ * @param {number} samplingRate - Target rate in Hz
+ * @returns {Object} { values, timestamps } on the uniform grid
+ */
+export function resampleToUniform(values, timestamps, samplingRate) {
+  if (values.length !== timestamps.length) {
+    throw new Error("values and timestamps must have the same length");
+  }
+  if (values.length < 2) {
+    return { values: Array.from(values), timestamps: Array.from(timestamps) };
+  }
+
+  const start = timestamps[0];
+  const end = timestamps[timestamps.length - 1];
+  const count = Math.floor((end - start) * samplingRate + 1e-9) + 1;
+  const gridTimes = [];
+  const gridValues = [];
+  let j = 0;
+
+  for (let i = 0; i < count; i++) {
+    const t = start + i / samplingRate;
+    while (j < timestamps.length - 2 && timestamps[j + 1] < t) j++;
+
+    const t0 = timestamps[j];
+    const t1 = timestamps[j + 1];
+    const fraction =
+      t1 > t0 ? Math.min(1, Math.max(0, (t - t0) / (t1 - t0))) : 0;
+
+    gridTimes.push(t);
+    gridValues.push(values[j] + (values[j + 1] - values[j]) * fraction);
+  }
+
+  return { values: gridValues, timestamps: gridTimes };
+}
+
+/**
+ * Change the sampling rate of a uniformly sampled signal. When downsampling, an
+ * anti-aliasing low-pass filter is applied first.
+ * @param {Array} signal - Input samples
+ * @param {number} fromRate - Current sampling rate in Hz
+ * @param {number} toRate - Target sampling rate in Hz
+ * @returns {Array} Resampled samples
+ */
+export function resample(signal, fromRate, toRate) {
+  if (fromRate === toRate || signal.length < 2) return Array.from(signal);
+
+  let source = signal;
+  if (toRate < fromRate) {
+    const antiAlias = designButterworth({
+      type: "lowpass",
+      order: 4,
+      cutoff: 0.45 * toRate,
+      samplingRate: fromRate,
+    });
+    source = filtfilt(antiAlias, signal);
+  }
+
+  const timestamps = source.map((_, i) => i / fromRate);
+  return resampleToUniform(source, timestamps, toRate).values;
+}
+
+/**
+ * Upsample a uniformly sampled signal by an integer factor with a natural
+ * cubic spline, which keeps peak shapes smooth for sub-sample timing
+ * @param {Array} signal - Input samples
+ * @param {number} factor - Output samples per input sample
+ * @returns {Array} Upsampled samples; the last input sample is the last output
+ */
+export function upsample(signal, factor) {
+  const n = signal.length;
+  if (factor <= 1 || n < 3) return Array.from(signal);
+
+  // Second derivatives from the tridiagonal system (Thomas algorithm)
+  const secondDerivatives = new Float64Array(n);
+  const scratch = new Float64Array(n);
+  for (let i = 1; i < n - 1; i++) {
+    const p = 0.5 * secondDerivatives[i - 1] + 2;
+    secondDerivatives[i] = -0.5 / p;
+    scratch[i] =
+      (3 * (signal[i + 1] - 2 * signal[i] + signal[i - 1]) -
+        0.5 * scratch[i - 1]) /
+      p;
+  }
+  secondDerivatives[n - 1] = 0;
+  for (let i = n - 2; i >= 0; i--) {
+    secondDerivatives[i] =
+      secondDerivatives[i] * secondDerivatives[i + 1] + scratch[i];
+  }
+
+  const output = [];
+  for (let i = 0; i < n - 1; i++) {
+    for (let k = 0; k < factor; k++) {
+      const b = k / factor;
+      const a = 1 - b;
+      output.push(
+        a * signal[i] +
+          b * signal[i + 1] +
+          ((a * a * a - a) * secondDerivatives[i] +
+            (b * b * b - b) * secondDerivatives[i + 1]) /
+            6
+      );
+    }
+  }
+  output.push(signal[n - 1]);
+  return output;
+}
@@ -0,0 +1,223 @@
+// services/dsp/spectrum.js
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+export function fft(re, im) {
+  const n = re.length;
+  if (n & (n - 1)) {
+    throw new RangeError(`FFT length must be a power of two, got ${n}`);
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let uRe = 1;
+      let uIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * uRe - im[b] * uIm;
+        const tIm = re[b] * uIm + im[b] * uRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = uRe * wRe - uIm * wIm;
+        uIm = uRe * wIm + uIm * wRe;
+        uRe = nextRe;
+      }
+    }
+  }
+}
+
+export function nextPowerOfTwo(value) {
+  let n = 1;
+  while (n < value) n <<= 1;
+  return n;
+}
+
+function hannWindow(length) {
+  if (length === 1) return [1];
+  return Array.from(
+    { length },
+    (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (length - 1))
+  );
+}
+
+/**
+ * Welch power spectral density estimate (Hann window, mean-removed segments)
+ * @param {Array} signal - Uniformly sampled input
+ * @param {number} samplingRate - Sampling rate in Hz
+ * @param {Object} options
+ * @param {number} options.segmentLength - Samples per segment (default: whole signal, max 256)
+ * @param {number} options.overlap - Fractional overlap between segments (default 0.5)
+ * @param {number} options.nfft - FFT length; zero-padding gives a finer frequency grid (default >= 1024)
+ * @returns {Object} { frequencies, power, resolution }
+ */
+export function welch(signal, samplingRate, options = {}) {
+  const segmentLength = Math.min(
+    signal.length,
+    options.segmentLength || Math.min(signal.length, 256)
+  );
+  const overlap = options.overlap ?? 0.5;
+  const nfft = nextPowerOfTwo(Math.max(options.nfft || 1024, segmentLength));
+  const step = Math.max(1, Math.round(segmentLength * (1 - overlap)));
+  const window = hannWindow(segmentLength);
+  const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+  const bins = nfft / 2 + 1;
+  const power = new Float64Array(bins);
+  let segments = 0;
+
+  for (let start = 0; start + segmentLength <= signal.length; start += step) {
+    const segment = signal.slice(start, start + segmentLength);
+    const mean = segment.reduce((a, b) => a + b, 0) / segmentLength;
+    const re = new Float64Array(nfft);
+    const im = new Float64Array(nfft);
+    for (let i = 0; i < segmentLength; i++) {
+      re[i] = (segment[i] - mean) * window[i];
+    }
+
+    fft(re, im);
+
+    for (let k = 0; k < bins; k++) {
+      const onesided = k === 0 || k === nfft / 2 ? 1 : 2;
+      power[k] +=
+        (onesided * (re[k] * re[k] + im[k] * im[k])) /
+        (samplingRate * windowPower);
+    }
+    segments++;
+  }
+
+  const frequencies = Array.from(
+    { length: bins },
+    (_, k) => (k * samplingRate) / nfft
+  );
+
+  return {
+    frequencies,
+    power: Array.from(power, (value) => value / Math.max(segments, 1)),
+    resolution: samplingRate / nfft,
+  };
+}
+
+/**
+ * Welch PSD averaged over separate stretches of a signal (e.g. the parts left
+ * after removing artifacts), weighted by their length. A common FFT length
+ * keeps the frequency grids aligned.
+ * @param {Array} segments - Arrays of uniformly sampled values
+ * @param {number} samplingRate - Sampling rate in Hz
+ * @param {Object} options - As for welch
+ * @returns {Object|null} { frequencies, power, resolution }, null without segments
+ */
+export function welchSegments(segments, samplingRate, options = {}) {
+  const usable = segments.filter((segment) => segment.length >= 2);
+  if (!usable.length) return null;
+
+  const nfft = nextPowerOfTwo(
+    Math.max(
+      options.nfft || 1024,
+      ...usable.map((segment) =>
+        Math.min(segment.length, options.segmentLength || 256)
+      )
+    )
+  );
+  const spectra = usable.map((segment) =>
+    welch(segment, samplingRate, { ...options, nfft })
+  );
+  const totalLength = usable.reduce((sum, segment) => sum + segment.length, 0);
+
+  return {
+    frequencies: spectra[0].frequencies,
+    power: spectra[0].power.map((_, k) =>
+      spectra.reduce(
+        (sum, spectrum, i) =>
+          sum + (spectrum.power[k] * usable[i].length) / totalLength,
+        0
+      )
+    ),
+    resolution: spectra[0].resolution,
+  };
+}
+
+/**
+ * Strongest spectral peak inside a band, refined by parabolic interpolation
+ * over the neighbouring bins
+ * @returns {Object|null} { frequency, power, index }
+ */
+export function findSpectralPeak({ frequencies, power }, minFreq, maxFreq) {
+  let index = -1;
+  for (let k = 1; k < frequencies.length - 1; k++) {
+    const f = frequencies[k];
+    if (f < minFreq || f > maxFreq) continue;
+    if (power[k] >= power[k - 1] && power[k] >= power[k + 1]) {
+      if (index === -1 || power[k] > power[index]) index = k;
+    }
+  }
+  if (index === -1) return null;
+
+  const [a, b, c] = [power[index - 1], power[index], power[index + 1]];
+  const denominator = a - 2 * b + c;
+  const offset = denominator !== 0 ? (0.5 * (a - c)) / denominator : 0;
+  const resolution = frequencies[1] - frequencies[0];
+
+  return {
+    index,
+    frequency: frequencies[index] + offset * resolution,
+    power: b - 0.25 * (a - c) * offset,
+  };
+}
+
+/**
+ * Total power between two frequencies
+ */
+export function bandPower({ frequencies, power }, minFreq, maxFreq) {
+  let total = 0;
+  for (let k = 0; k < frequencies.length; k++) {
+    if (frequencies[k] >= minFreq && frequencies[k] <= maxFreq) {
+      total += power[k];
+    }
+  }
+  return total;
+}
+
+/**
+ * Spectral SNR in dB: power near the fundamental and its first harmonic over
+ * the remaining power in the analysis band
+ * @param {Object} spectrum - Output of welch
+ * @param {number} peakFrequency - Fundamental frequency in Hz
+ * @param {Object} band - { minFreq, maxFreq, halfWidth }
+ */
+export function spectralSNR(spectrum, peakFrequency, band) {
+  const { minFreq, maxFreq, halfWidth = 0.1 } = band;
+  const isSignal = (f) =>
+    Math.abs(f - peakFrequency) <= halfWidth ||
+    Math.abs(f - 2 * peakFrequency) <= halfWidth;
+
+  let signalPower = 0;
+  let noisePower = 0;
+  spectrum.frequencies.forEach((f, k) => {
+    if (f < minFreq || f > maxFreq) return;
+    if (isSignal(f)) signalPower += spectrum.power[k];
+    else noisePower += spectrum.power[k];
+  });
+
+  if (signalPower === 0) return -Infinity;
+  if (noisePower === 0) return Infinity;
+  return 10 * Math.log10(signalPower / noisePower);
+}
@@ -0,0 +1,50 @@
+// services/dsp/stats.js
+
+/**
+ * Median of a list of numbers; the mean of the middle two for even lengths
+ */
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Pearson correlation of two equally long series; 0 when either is constant
+ */
+export function correlation(a, b) {
+  const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+  const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  a.forEach((value, i) => {
+    covariance += (value - meanA) * (b[i] - meanB);
+    varianceA += (value - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  });
+  return varianceA > 0 && varianceB > 0
+    ? covariance / Math.sqrt(varianceA * varianceB)
+    : 0;
+}
+
+/**
+ * Round to a number of decimals for reporting
+ */
+export function round(value, decimals) {
+  return Number(value.toFixed(decimals));
+}
+
+/**
+ * Up to `count` items, evenly spaced from the first
+ */
+export function sampleEvenly(items, count) {
+  const step = Math.max(1, items.length / count);
+  const sampled = [];
+  for (let i = 0; i < items.length; i += step) {
+    sampled.push(items[Math.floor(i)]);
+  }
+  return sampled;
+}
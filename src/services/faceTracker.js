@@ -0,0 +1,73 @@
+// services/faceTracker.js
+
+// Configuration constants
+export const TRACKING_CONFIG = {
+  // Overlap a detection needs with a track's last box to continue it
+  MIN_IOU: 0.3,
+  // A track that has not been matched for longer than this is closed; a face
+  // reappearing later starts a new track
+  MAX_MISSED_SECONDS: 1,
+};
+
+/**
+ * Intersection over union of two [x1, y1, x2, y2] boxes
+ */
+export function computeIoU(a, b) {
+  const width = Math.min(a[2], b[2]) - Math.max(a[0], b[0]);
+  const height = Math.min(a[3], b[3]) - Math.max(a[1], b[1]);
+  if (width <= 0 || height <= 0) return 0;
+
+  const intersection = width * height;
+  const areaA = (a[2] - a[0]) * (a[3] - a[1]);
+  const areaB = (b[2] - b[0]) * (b[3] - b[1]);
+  return intersection / (areaA + areaB - intersection);
+}
+
+/**
+ * Link face detections across frames into tracks. Each frame's detections are
+ * matched to the open tracks greedily, highest IoU first; unmatched
+ * detections start new tracks.
+ * @param {Array} frames - In time order, as { timestamp, detections:
+ *   [{ box, landmarks, confidence }] }
+ * @returns {Array} Tracks as { trackId, observations: [{ frame, timestamp,
+ *   box, landmarks, confidence }] }, where frame is the position in `frames`
+ */
+export function trackFaces(frames) {
+  const tracks = [];
+
+  frames.forEach(({ timestamp, detections }, frame) => {
+    const open = tracks.filter((track) => {
+      const last = track.observations[track.observations.length - 1];
+      return timestamp - last.timestamp <= TRACKING_CONFIG.MAX_MISSED_SECONDS;
+    });
+
+    const pairs = [];
+    open.forEach((track) => {
+      const last = track.observations[track.observations.length - 1];
+      detections.forEach((detection, d) => {
+        const iou = computeIoU(last.box, detection.box);
+        if (iou >= TRACKING_CONFIG.MIN_IOU) pairs.push({ track, d, iou });
+      });
+    });
+    pairs.sort((a, b) => b.iou - a.iou);
+
+    const matchedTracks = new Set();
+    const matchedDetections = new Set();
+    pairs.forEach(({ track, d }) => {
+      if (matchedTracks.has(track) || matchedDetections.has(d)) return;
+      matchedTracks.add(track);
+      matchedDetections.add(d);
+      track.observations.push({ frame, timestamp, ...detections[d] });
+    });
+
+    detections.forEach((detection, d) => {
+      if (matchedDetections.has(d)) return;
+      tracks.push({
+        trackId: `face-${tracks.length + 1}`,
+        observations: [{ frame, timestamp, ...detection }],
+      });
+    });
+  });
+
+  return tracks;
+}
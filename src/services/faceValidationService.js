@@ -0,0 +1,362 @@
+// services/faceValidationService.js
+import { getModel } from "./modelRegistry.js";
+import { trackFaces } from "./faceTracker.js";
+import { toFrameTensor } from "./videoService.js";
+
+// Configuration constants
+export const FACE_VALIDATION_CONFIG = {
+  // Per-frame detection quality for a frame to count towards a segment
+  MIN_CONFIDENCE: 0.7,
+  // Shortest face-visible segment worth analysing; a request may ask for
+  // another value within MIN_SEGMENT_LIMITS
+  MIN_SEGMENT_SECONDS:
+    parseFloat(process.env.ANALYSIS_MIN_SEGMENT_SECONDS) || 10,
+  // Below 5 s the pulse spectrum cannot tell neighbouring heart rates apart
+  MIN_SEGMENT_LIMITS: [5, 60],
+  // Detection dropouts up to this long do not break a segment; the ROI
+  // extractor holds the last face box over them
+  MAX_GAP_SECONDS: 0.5,
+};
+
+/**
+ * Run BlazeFace over the decoded frames, follow every face with the IoU
+ * tracker and find, per track, the longest contiguous segment in which it is
+ * clearly visible. Tracks whose segment is long enough are eligible for
+ * analysis; the primary subject is the eligible track with the longest
+ * segment, or the larger face on a tie. Sets `frame.face` to the primary's
+ * { box, landmarks } and `frame.faces` to every track's face by track id.
+ * @param {Array} frames - Shared frames from acquireFrames
+ * @param {Object} options
+ * @param {Function} options.onProgress - Receives per-frame detection progress
+ * @param {number} options.minSegmentSeconds - Shortest acceptable segment
+ * @returns {Object} Validation result with issues, metrics, tracks, the
+ *   primary track id and segment, and face detection summary
+ */
+export const validateFaceVisibility = async (
+  frames,
+  {
+    onProgress,
+    minSegmentSeconds = FACE_VALIDATION_CONFIG.MIN_SEGMENT_SECONDS,
+  } = {}
+) => {
+  // Shared BlazeFace instance, loaded from the local model directory
+  const model = await getModel("blazeface");
+
+  // Process each frame for face detection
+  let framesWithFaces = 0;
+  let frameAnalysis = [];
+
+  for (let i = 0; i < frames.length; i++) {
+    const { shape, timestamp } = frames[i];
+    frames[i].face = null;
+    frames[i].faces = {};
+    try {
+      // Run face detection on the frame
+      const tensor = toFrameTensor(frames[i]);
+      const predictions = await model
+        .estimateFaces(
+          tensor,
+          false, // returnTensors: plain arrays for boxes and landmarks
+          false // flipHorizontal
+        )
+        .finally(() => tensor.dispose());
+
+      const imageSize = shape[0] * shape[1];
+      const detections = predictions.map((prediction) => {
+        const box = prediction.topLeft.concat(prediction.bottomRight);
+        const boxSize = (box[2] - box[0]) * (box[3] - box[1]);
+        return {
+          box,
+          landmarks: prediction.landmarks,
+          confidence: Math.min((boxSize / imageSize) * 3, 1),
+        };
+      });
+      if (detections.length) framesWithFaces++;
+
+      frameAnalysis.push({
+        frameNumber: i + 1,
+        timestamp,
+        hasFace: detections.length > 0,
+        faceCount: detections.length,
+        confidence: Math.max(0, ...detections.map((d) => d.confidence)),
+        detections,
+        frameSize: [shape[1], shape[0]],
+      });
+    } catch (error) {
+      console.error(`Error processing frame ${i + 1}:`, error);
+      frameAnalysis.push({
+        frameNumber: i + 1,
+        timestamp,
+        hasFace: false,
+        faceCount: 0,
+        confidence: 0,
+        detections: [],
+        error: true,
+      });
+    }
+
+    if (onProgress) {
+      onProgress({
+        stage: "face-detection",
+        frame: i + 1,
+        totalFrames: frames.length,
+        facesFound: framesWithFaces,
+      });
+    }
+  }
+
+  const tracks = selectFaceSegments(frames, frameAnalysis, minSegmentSeconds);
+  const primary = tracks.find((track) => track.primary) || null;
+
+  // Attach the tracked faces to the shared frames
+  tracks.forEach((track) => {
+    track.observations.forEach(({ frame, box, landmarks }) => {
+      frames[frame].faces[track.trackId] = { box, landmarks };
+      if (track.primary) frames[frame].face = { box, landmarks };
+    });
+  });
+
+  const faceVisibilityRatio = primary ? primary.visibilityRatio : 0;
+  const averageConfidence = primary ? primary.averageConfidence : 0;
+  const longest = tracks
+    .filter((track) => track.segment)
+    .sort((a, b) => b.segment.duration - a.segment.duration)[0];
+
+  // Analyze results and return issues if any
+  const issues = [];
+
+  if (!primary) {
+    issues.push({
+      issue: "No usable face segment",
+      details: `The longest stretch with a clearly visible face is ${
+        longest ? longest.segment.duration.toFixed(1) : 0
+      }s (minimum required: ${minSegmentSeconds}s)`,
+      fixes: [
+        "Ensure your face is clearly visible and centered",
+        "Move closer to the camera",
+        `Hold still for at least ${minSegmentSeconds} seconds`,
+      ],
+    });
+  }
+
+  return {
+    isValid: issues.length === 0,
+    issues,
+    tracks: tracks.map(({ observations, ...track }) => ({
+      ...track,
+      boxHistory: observations.map(({ timestamp, box }) => ({
+        timestamp,
+        box,
+      })),
+    })),
+    primaryTrackId: primary ? primary.trackId : null,
+    segment: primary ? primary.segment : null,
+    metrics: {
+      framesAnalyzed: frames.length,
+      facesTracked: tracks.length,
+      eligibleFaces: tracks.filter((track) => track.eligible).length,
+      faceVisibilityPercentage: Math.round(faceVisibilityRatio * 100),
+      averageDetectionQuality: Math.round(averageConfidence * 100),
+      segmentDuration: primary
+        ? Number(primary.segment.duration.toFixed(2))
+        : 0,
+    },
+    faceDetection: {
+      visibilityRatio: faceVisibilityRatio,
+      averageConfidence,
+      tracks: tracks.map(({ observations, ...track }) => track),
+      timeline: buildTimeline(frameAnalysis),
+      frameAnalysis,
+    },
+  };
+};
+
+/**
+ * Track the per-frame detections and find each track's best segment
+ * @param {Array} frames - Shared frames, for their decode indices
+ * @param {Array} frameAnalysis - Per-frame { timestamp, detections, error }
+ * @param {number} minSegmentSeconds - Shortest segment that makes a track
+ *   eligible
+ * @returns {Array} Track summaries; the primary one has `primary` set
+ */
+export const selectFaceSegments = (
+  frames,
+  frameAnalysis,
+  minSegmentSeconds
+) => {
+  const tracks = trackFaces(frameAnalysis).map((track) =>
+    summarizeTrack(track, frames, frameAnalysis, minSegmentSeconds)
+  );
+  const primary = choosePrimary(tracks);
+  if (primary) primary.primary = true;
+  return tracks;
+};
+
+/**
+ * Visibility, detection quality and best segment of one track, with
+ * detection entries aligned to all frames so gaps count against it
+ */
+const summarizeTrack = (track, frames, frameAnalysis, minSegmentSeconds) => {
+  const byFrame = new Map(track.observations.map((o) => [o.frame, o]));
+  const entries = frameAnalysis.map((entry, i) => {
+    const observation = byFrame.get(i);
+    return {
+      timestamp: entry.timestamp,
+      error: entry.error,
+      hasFace: Boolean(observation),
+      faceCount: observation ? 1 : 0,
+      confidence: observation ? observation.confidence : 0,
+    };
+  });
+  const segment = findBestSegment(frames, entries);
+
+  // Record the track on the per-frame detections it was built from
+  track.observations.forEach((observation) => {
+    const detection = frameAnalysis[observation.frame].detections.find(
+      (d) => d.box === observation.box
+    );
+    if (detection) detection.trackId = track.trackId;
+  });
+
+  return {
+    trackId: track.trackId,
+    primary: false,
+    eligible: Boolean(segment) && segment.duration >= minSegmentSeconds,
+    segment,
+    visibilityRatio: track.observations.length / (frames.length || 1),
+    averageConfidence:
+      track.observations.reduce((sum, o) => sum + o.confidence, 0) /
+      track.observations.length,
+    observations: track.observations,
+  };
+};
+
+/**
+ * Eligible track with the longest segment; the larger face wins a tie
+ */
+const choosePrimary = (tracks) =>
+  tracks
+    .filter((track) => track.eligible)
+    .sort(
+      (a, b) =>
+        b.segment.duration - a.segment.duration ||
+        meanBoxArea(b) - meanBoxArea(a)
+    )[0] || null;
+
+const meanBoxArea = (track) =>
+  track.observations.reduce(
+    (sum, { box }) => sum + (box[2] - box[0]) * (box[3] - box[1]),
+    0
+  ) / track.observations.length;
+
+/**
+ * Classify a frame for segment selection
+ */
+const getFrameStatus = (entry) => {
+  if (entry.error) return "error";
+  if (entry.faceCount > 1) return "multiple-faces";
+  if (entry.hasFace) {
+    return entry.confidence >= FACE_VALIDATION_CONFIG.MIN_CONFIDENCE
+      ? "good"
+      : "low-quality";
+  }
+  return "no-face";
+};
+
+/**
+ * Typical time between analysed frames, from the timestamps
+ */
+const getFrameDuration = (frameAnalysis) => {
+  const first = frameAnalysis[0];
+  const last = frameAnalysis[frameAnalysis.length - 1];
+  return frameAnalysis.length > 1
+    ? (last.timestamp - first.timestamp) / (frameAnalysis.length - 1)
+    : 0;
+};
+
+/**
+ * Merge consecutive frames with the same status into time ranges
+ * @returns {Array} [{ status, start, end, frames }], end exclusive
+ */
+const buildTimeline = (frameAnalysis) => {
+  const frameDuration = getFrameDuration(frameAnalysis);
+  const timeline = [];
+
+  frameAnalysis.forEach((entry) => {
+    const status = getFrameStatus(entry);
+    const end = entry.timestamp + frameDuration;
+    const current = timeline[timeline.length - 1];
+
+    if (current && current.status === status) {
+      current.end = end;
+      current.frames++;
+    } else {
+      timeline.push({ status, start: entry.timestamp, end, frames: 1 });
+    }
+  });
+
+  return timeline.map((range) => ({
+    ...range,
+    start: Number(range.start.toFixed(3)),
+    end: Number(range.end.toFixed(3)),
+  }));
+};
+
+/**
+ * Longest run of "good" frames of a single track, bridging dropouts up to MAX_GAP_SECONDS; ties
+ * go to the higher mean detection quality
+ * @returns {Object|null} { start, end, duration, startFrame, endFrame,
+ *   frameCount, faceRatio, averageConfidence }, frames given by their decode
+ *   index and end exclusive
+ */
+const findBestSegment = (frames, frameAnalysis) => {
+  const frameDuration = getFrameDuration(frameAnalysis);
+  let best = null;
+  let first = null;
+  let last = null;
+
+  const close = () => {
+    const entries = frameAnalysis.slice(first, last + 1);
+    const good = entries.filter((entry) => getFrameStatus(entry) === "good");
+    const start = frameAnalysis[first].timestamp;
+    const end = frameAnalysis[last].timestamp + frameDuration;
+    const candidate = {
+      start: Number(start.toFixed(3)),
+      end: Number(end.toFixed(3)),
+      duration: end - start,
+      startFrame: frames[first].index,
+      endFrame: frames[last].index + 1,
+      frameCount: entries.length,
+      faceRatio: good.length / entries.length,
+      averageConfidence:
+        good.reduce((sum, entry) => sum + entry.confidence, 0) / good.length,
+    };
+
+    if (
+      !best ||
+      candidate.duration > best.duration ||
+      (candidate.duration === best.duration &&
+        candidate.averageConfidence > best.averageConfidence)
+    ) {
+      best = candidate;
+    }
+  };
+
+  frameAnalysis.forEach((entry, i) => {
+    if (getFrameStatus(entry) !== "good") return;
+
+    const gap =
+      last === null
+        ? 0
+        : entry.timestamp - frameAnalysis[last].timestamp - frameDuration;
+    if (first !== null && gap > FACE_VALIDATION_CONFIG.MAX_GAP_SECONDS) {
+      close();
+      first = null;
+    }
+    if (first === null) first = i;
+    last = i;
+  });
+
+  if (first !== null) close();
+  return best;
+};
@@ -0,0 +1,251 @@
+// services/frameAcquisition.js
+import { extractFramesFromVideo, getDisplaySize } from "./videoService.js";
+
+// Configuration constants
+export const ACQUISITION_CONFIG = {
+  // Padding around the union of detected face boxes for the measurement crop,
+  // as a share of the largest face size; leaves room for the background
+  // reference beside and above the face
+  REGION_PADDING: { side: 0.6, top: 0.5, bottom: 0.2 },
+};
+
+/**
+ * Decode the whole frame with the detection profile for face validation.
+ * Face detection fills in each frame's `face` in place, so boxes stay aligned
+ * with the frames they were found in.
+ * @param {string} videoPath - Path of the video file
+ * @param {Object} options
+ * @param {Object} options.videoInfo - Result of getVideoInfo, when the video
+ *   was already probed
+ * @param {Function} options.onProgress - Receives frame decoding progress
+ * @param {AbortSignal} options.signal - Aborts decoding
+ * @returns {Object} { frames: [{ index, timestamp, pixels, shape, face }],
+ *   videoInfo, fps, frameSize, truncated, dispose }
+ */
+export const acquireFrames = async (
+  videoPath,
+  { videoInfo: probed, onProgress, signal } = {}
+) => {
+  const { frames, videoInfo, fps, frameSize, truncated } =
+    await extractFramesFromVideo(videoPath, {
+      profile: "detection",
+      videoInfo: probed,
+      onProgress,
+      signal,
+    });
+
+  const shared = frames.map((frame) => ({ ...frame, face: null }));
+
+  return {
+    frames: shared,
+    videoInfo,
+    fps,
+    frameSize,
+    truncated,
+    dispose: () => shared.forEach(releasePixels),
+  };
+};
+
+/**
+ * Decode the video again with the measurement profile, once for every face
+ * to measure: cropped around their faces in the detection frames and limited
+ * to the span of their segments. `forTrack` gives one face's part of the
+ * decode, shaped like a decode of its own.
+ * @param {string} videoPath - Path of the video file
+ * @param {Object} detection - Result of acquireFrames after face detection
+ * @param {Object} options
+ * @param {Array} options.tracks - [{ trackId, segment }] faces to measure,
+ *   each over its { startFrame, endFrame } segment as chosen by face
+ *   validation; the primary face over the whole recording when omitted
+ * @param {Function} options.onProgress - Receives frame decoding progress
+ * @param {AbortSignal} options.signal - Aborts decoding
+ * @returns {Object} { frames: [{ index, timestamp, pixels, shape }],
+ *   videoInfo, fps, frameSize, region, color, forTrack, dispose }
+ */
+export const acquireMeasurementFrames = async (
+  videoPath,
+  detection,
+  { tracks = [{ trackId: null, segment: null }], onProgress, signal } = {}
+) => {
+  const display = getDisplaySize(detection.videoInfo);
+  const toDisplay = [
+    display.width / detection.frameSize.width,
+    display.height / detection.frameSize.height,
+  ];
+  const segments = tracks.map((track) => track.segment);
+  const range = segments.every(Boolean)
+    ? {
+        startFrame: Math.min(...segments.map((s) => s.startFrame)),
+        endFrame: Math.max(...segments.map((s) => s.endFrame)),
+      }
+    : undefined;
+
+  const { frames, videoInfo, fps, frameSize, region, color } =
+    await extractFramesFromVideo(videoPath, {
+      profile: "measurement",
+      region: getMeasurementRegion(
+        tracks.flatMap((track) => trackFaces(detection, track)),
+        toDisplay
+      ),
+      range,
+      videoInfo: detection.videoInfo,
+      onProgress,
+      signal,
+    });
+
+  const toCrop = [
+    frameSize.width / region.width,
+    frameSize.height / region.height,
+  ];
+
+  // A display-pixel region as whole crop pixels, clipped to the crop
+  const toCropArea = (area) => {
+    if (!area) return null;
+    const x = Math.max(0, Math.floor((area.x - region.x) * toCrop[0]));
+    const y = Math.max(0, Math.floor((area.y - region.y) * toCrop[1]));
+    const right = Math.ceil((area.x + area.width - region.x) * toCrop[0]);
+    const bottom = Math.ceil((area.y + area.height - region.y) * toCrop[1]);
+    return {
+      x,
+      y,
+      width: Math.max(1, Math.min(frameSize.width, right) - x),
+      height: Math.max(1, Math.min(frameSize.height, bottom) - y),
+    };
+  };
+
+  // One face's frames within its segment, each with its face in the crop's
+  // pixels. With several faces, frames are cut down to that face's own
+  // padded region so its background reference and pixel checks do not reach
+  // the other faces.
+  const forTrack = (track) => {
+    const tracked = trackFaces(detection, track);
+    const own =
+      tracks.length > 1
+        ? toCropArea(getMeasurementRegion(tracked, toDisplay))
+        : null;
+    const area = own || { x: 0, y: 0, ...frameSize };
+    const mapPoint = ([x, y]) => [
+      (x * toDisplay[0] - region.x) * toCrop[0] - area.x,
+      (y * toDisplay[1] - region.y) * toCrop[1] - area.y,
+    ];
+    const faces = new Map(tracked.map((frame) => [frame.index, frame.face]));
+
+    return {
+      frames: frames
+        .filter((frame) => faces.has(frame.index))
+        .map((frame) => {
+          const face = faces.get(frame.index);
+          return {
+            ...(own ? cropFrame(frame, own) : frame),
+            face: face
+              ? {
+                  ...face,
+                  box: [
+                    ...mapPoint(face.box.slice(0, 2)),
+                    ...mapPoint(face.box.slice(2, 4)),
+                  ],
+                  landmarks: Array.isArray(face.landmarks)
+                    ? face.landmarks.map(mapPoint)
+                    : face.landmarks,
+                }
+              : null,
+          };
+        }),
+      videoInfo,
+      fps,
+      frameSize: { width: area.width, height: area.height },
+      region: {
+        x: region.x + area.x / toCrop[0],
+        y: region.y + area.y / toCrop[1],
+        width: area.width / toCrop[0],
+        height: area.height / toCrop[1],
+      },
+      color,
+    };
+  };
+
+  return {
+    frames,
+    videoInfo,
+    fps,
+    frameSize,
+    region,
+    color,
+    forTrack,
+    dispose: () => frames.forEach(releasePixels),
+  };
+};
+
+/**
+ * A track's face in each detection frame of its segment; the primary face
+ * without a track id, and every frame without a segment
+ */
+function trackFaces(detection, { trackId, segment }) {
+  return detection.frames
+    .filter(
+      (frame) =>
+        !segment ||
+        (frame.index >= segment.startFrame && frame.index < segment.endFrame)
+    )
+    .map((frame) => ({
+      index: frame.index,
+      face: trackId
+        ? (frame.faces && frame.faces[trackId]) || null
+        : frame.face,
+    }));
+}
+
+/**
+ * Copy of a frame cut down to `area`, in the frame's pixels
+ */
+function cropFrame(frame, area) {
+  const rowBytes = frame.shape[1] * 3;
+  const pixels = new Uint8Array(area.width * area.height * 3);
+  for (let row = 0; row < area.height; row++) {
+    const start = (area.y + row) * rowBytes + area.x * 3;
+    pixels.set(
+      frame.pixels.subarray(start, start + area.width * 3),
+      row * area.width * 3
+    );
+  }
+  return { ...frame, pixels, shape: [area.height, area.width, 3] };
+}
+
+/**
+ * Drop a frame's pixel buffer; face boxes and timestamps stay usable
+ */
+function releasePixels(frame) {
+  frame.pixels = null;
+}
+
+/**
+ * Union of the detected face boxes in display pixels, padded by
+ * REGION_PADDING. Null (the whole frame) when no face was detected.
+ */
+function getMeasurementRegion(frames, [scaleX, scaleY]) {
+  const boxes = frames
+    .filter((frame) => frame.face && frame.face.box)
+    .map(({ face: { box } }) => [
+      box[0] * scaleX,
+      box[1] * scaleY,
+      box[2] * scaleX,
+      box[3] * scaleY,
+    ]);
+  if (!boxes.length) return null;
+
+  const faceSize = Math.max(
+    ...boxes.map(([x1, y1, x2, y2]) => Math.max(x2 - x1, y2 - y1))
+  );
+  const { side, top, bottom } = ACQUISITION_CONFIG.REGION_PADDING;
+  const x1 = Math.min(...boxes.map((box) => box[0])) - side * faceSize;
+  const y1 = Math.min(...boxes.map((box) => box[1])) - top * faceSize;
+  const x2 = Math.max(...boxes.map((box) => box[2])) + side * faceSize;
+  const y2 = Math.max(...boxes.map((box) => box[3])) + bottom * faceSize;
+
+  return {
+    x: Math.max(0, Math.floor(x1)),
+    y: Math.max(0, Math.floor(y1)),
+    width: Math.ceil(x2 - Math.max(0, x1)),
+    height: Math.ceil(y2 - Math.max(0, y1)),
+  };
+}
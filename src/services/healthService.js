@@ -0,0 +1,135 @@
+// services/healthService.js
+import fs from "fs";
+import { join } from "path";
+import { execFile } from "child_process";
+import * as tf from "@tensorflow/tfjs-node";
+import { getModelStatus } from "./modelRegistry.js";
+import { getStorage } from "../storage/index.js";
+import { UPLOAD_DIR } from "../config/multer.js";
+
+export const HEALTH_CONFIG = {
+  CHECK_TIMEOUT_MS: 3000,
+  // Binary versions rarely change, so they are not re-probed on every request
+  BINARY_CACHE_MS: 60 * 1000,
+};
+
+const binaryCache = new Map(); // path -> { checkedAt, result }
+
+/**
+ * Run every readiness check. The instance is ready only when all of them
+ * pass, since a video cannot be analysed without any one of them.
+ * @returns {Object} { ready, checks: { storage, ffmpeg, ffprobe, models,
+ *   uploads, tensorflow } }
+ */
+export const checkReadiness = async () => {
+  const [storage, ffmpeg, ffprobe, uploads, tensorflow] = await Promise.all([
+    getStorage().health(),
+    checkBinary(process.env.FFMPEG_PATH || "ffmpeg"),
+    checkBinary(process.env.FFPROBE_PATH || "ffprobe"),
+    checkUploads(),
+    checkTensorflow(),
+  ]);
+  const checks = {
+    storage,
+    ffmpeg,
+    ffprobe,
+    models: checkModels(),
+    uploads,
+    tensorflow,
+  };
+
+  return {
+    ready: Object.values(checks).every((check) => check.ok),
+    checks,
+  };
+};
+
+/**
+ * Version line of an ffmpeg-style binary, e.g. "ffmpeg version 6.1.1"
+ */
+const checkBinary = async (binaryPath) => {
+  const cached = binaryCache.get(binaryPath);
+  if (cached && Date.now() - cached.checkedAt < HEALTH_CONFIG.BINARY_CACHE_MS) {
+    return cached.result;
+  }
+
+  const result = await new Promise((resolve) => {
+    execFile(
+      binaryPath,
+      ["-version"],
+      { timeout: HEALTH_CONFIG.CHECK_TIMEOUT_MS },
+      (error, stdout) => {
+        if (error) {
+          resolve({ ok: false, path: binaryPath, error: error.message });
+          return;
+        }
+        const match = stdout.match(/^\S+ version (\S+)/);
+        resolve(
+          match
+            ? { ok: true, path: binaryPath, version: match[1] }
+            : {
+                ok: false,
+                path: binaryPath,
+                error: "Unrecognised -version output",
+              }
+        );
+      }
+    );
+  });
+
+  // Failures are re-probed, so an installed binary shows up straight away
+  if (result.ok) binaryCache.set(binaryPath, { checkedAt: Date.now(), result });
+  return result;
+};
+
+const checkModels = () => {
+  const models = getModelStatus();
+  return {
+    ok: Object.values(models).every((model) => model.status === "loaded"),
+    models,
+  };
+};
+
+/**
+ * Write and remove a probe file, which also catches full disks and
+ * read-only mounts that an access() check would miss
+ */
+const checkUploads = async () => {
+  const probe = join(UPLOAD_DIR, `.health-${process.pid}-${Date.now()}`);
+  try {
+    await withTimeout(fs.promises.writeFile(probe, ""), "Upload probe write");
+    await fs.promises.unlink(probe);
+    return { ok: true, path: UPLOAD_DIR };
+  } catch (error) {
+    return { ok: false, path: UPLOAD_DIR, error: error.message };
+  }
+};
+
+const checkTensorflow = async () => {
+  // Initialises the backend if no tensor has been created yet
+  await withTimeout(tf.ready(), "TensorFlow backend initialisation").catch(
+    () => null
+  );
+  const backend = tf.getBackend();
+  const { numTensors, numBytes } = tf.memory();
+  const { rss, heapUsed } = process.memoryUsage();
+  return {
+    ok: Boolean(backend),
+    backend,
+    version: tf.version.tfjs,
+    memory: { numTensors, numBytes, rss, heapUsed },
+  };
+};
+
+const withTimeout = (promise, label) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`${label} timed out`)),
+        HEALTH_CONFIG.CHECK_TIMEOUT_MS
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
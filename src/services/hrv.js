@@ -0,0 +1,302 @@
+// services/hrv.js
+import {
+  bandpassFilter,
+  upsample,
+  resampleToUniform,
+  detrend,
+  welchSegments,
+  bandPower,
+  round,
+} from "./dsp/index.js";
+import {
+  combineQuality,
+  templateComponent,
+  rejectionComponent,
+  clippingComponent,
+} from "./signalQuality.js";
+
+export const HRV_CONFIG = {
+  // Pulse segments are spline-upsampled to at least this rate before peak picking
+  UPSAMPLE_RATE: 120,
+  PULSE_BAND: [0.6, 4.0],
+  // Beats closer than this (180 bpm) are merged
+  MIN_BEAT_INTERVAL: 0.33,
+  // Physiological NN interval bounds in ms
+  MIN_NN_MS: 300,
+  MAX_NN_MS: 2000,
+  // Intervals further than this share from the local median are ectopic
+  ECTOPIC_TOLERANCE: 0.2,
+  LOCAL_MEDIAN_BEATS: 5,
+  // Fewer accepted intervals than this are reported with zero quality
+  MIN_QUALITY_BEATS: 15,
+  // NN series rate and minimum span for the frequency domain
+  NN_SERIES_RATE: 4,
+  MIN_SPECTRAL_SECONDS: 30,
+  LF_BAND: [0.04, 0.15],
+  HF_BAND: [0.15, 0.4],
+};
+
+/**
+ * Pulse peaks per segment. Each segment is band-passed, spline-upsampled and
+ * the peaks refined by parabolic interpolation, so beat times are not tied to
+ * the frame grid.
+ * @param {Array} pulseSignal - Uniformly sampled pulse signal
+ * @param {number} samplingRate - Sampling rate in Hz
+ * @param {Array} segments - [start, end) sample ranges to use
+ * @returns {Array} { index (fractional grid position), amplitude, interval
+ *   (s since the previous beat of the same segment, or null), segment }
+ */
+export function detectBeats(pulseSignal, samplingRate, segments) {
+  const factor = Math.max(
+    1,
+    Math.ceil(HRV_CONFIG.UPSAMPLE_RATE / samplingRate)
+  );
+  const minDistance = Math.round(
+    HRV_CONFIG.MIN_BEAT_INTERVAL * samplingRate * factor
+  );
+  const beats = [];
+
+  segments.forEach(([start, end], segment) => {
+    if (end - start < 4) return;
+    const filtered = upsample(
+      bandpassFilter(pulseSignal.slice(start, end), {
+        lowFreq: HRV_CONFIG.PULSE_BAND[0],
+        highFreq: HRV_CONFIG.PULSE_BAND[1],
+        samplingRate,
+        order: 2,
+      }),
+      factor
+    );
+
+    const peaks = [];
+    for (let i = 1; i < filtered.length - 1; i++) {
+      if (filtered[i] <= filtered[i - 1] || filtered[i] < filtered[i + 1]) {
+        continue;
+      }
+      // Of two peaks closer than a beat, keep the higher one
+      const previous = peaks[peaks.length - 1];
+      if (previous !== undefined && i - previous < minDistance) {
+        if (filtered[i] <= filtered[previous]) continue;
+        peaks.pop();
+      }
+      peaks.push(i);
+    }
+
+    peaks.forEach((i, n) => {
+      const trough = Math.min(...filtered.slice(n > 0 ? peaks[n - 1] : 0, i));
+      const [a, b, c] = [filtered[i - 1], filtered[i], filtered[i + 1]];
+      const denominator = a - 2 * b + c;
+      const offset = denominator !== 0 ? (0.5 * (a - c)) / denominator : 0;
+      const index = start + (i + offset) / factor;
+      const previous = n > 0 ? beats[beats.length - 1] : null;
+
+      beats.push({
+        index,
+        amplitude: b - trough,
+        interval: previous ? (index - previous.index) / samplingRate : null,
+        segment,
+      });
+    });
+  });
+
+  return beats;
+}
+
+/**
+ * Time- and frequency-domain HRV from the rPPG pulse
+ * @param {Object} pulse - Output of extractPulseSignal
+ * @param {number} samplingRate - Sampling rate in Hz
+ * @param {Array} segments - [start, end) sample ranges free of motion
+ * @param {Object} options
+ * @param {Array} options.beats - Beats already detected on these segments
+ * @param {number} options.templateCorrelation - Beat shape consistency
+ * @param {number} options.clippingRatio - Share of clipped skin pixels
+ * @returns {Object} { value (RMSSD), unit, confidence, quality, methodology,
+ *   timeDomain, frequencyDomain, beats }
+ */
+export function analyzeHRV(
+  pulse,
+  samplingRate,
+  segments,
+  {
+    beats = detectBeats(pulse.signal, samplingRate, segments),
+    templateCorrelation = null,
+    clippingRatio = null,
+  } = {}
+) {
+  const intervals = rejectEctopic(
+    beats
+      .filter((beat) => beat.interval !== null)
+      .map((beat) => ({
+        time: beat.index / samplingRate,
+        nn: beat.interval * 1000,
+        segment: beat.segment,
+      }))
+  );
+  const accepted = intervals.filter((interval) => interval.accepted);
+  const rejectionRate = intervals.length
+    ? (intervals.length - accepted.length) / intervals.length
+    : 1;
+  // Too few beats cannot support any HRV figure, whatever their shape
+  const quality =
+    accepted.length >= HRV_CONFIG.MIN_QUALITY_BEATS
+      ? combineQuality({
+          template: templateComponent(templateCorrelation),
+          rejection: rejectionComponent(rejectionRate),
+          clipping: clippingComponent(clippingRatio),
+        })
+      : {
+          score: 0,
+          level: "low",
+          reasons: [`Only ${accepted.length} usable beat intervals`],
+          components: {},
+        };
+  const timeDomain = calculateTimeDomain(intervals);
+  const upsampledRate = Math.round(
+    Math.max(1, Math.ceil(HRV_CONFIG.UPSAMPLE_RATE / samplingRate)) *
+      samplingRate
+  );
+
+  return {
+    value: timeDomain ? timeDomain.rmssd : null,
+    unit: "ms",
+    confidence: quality.level,
+    quality,
+    methodology: `rPPG (${pulse.label}) beat-to-beat intervals, peaks spline-interpolated to ${upsampledRate} Hz`,
+    timeDomain,
+    frequencyDomain: calculateFrequencyDomain(accepted),
+    beats: {
+      detected: beats.length,
+      intervals: intervals.length,
+      accepted: accepted.length,
+      rejected: intervals.length - accepted.length,
+      rejectionRate: Number(rejectionRate.toFixed(3)),
+    },
+  };
+}
+
+/**
+ * Mark intervals outside physiological bounds, or too far from the median of
+ * their neighbours in the same segment, as ectopic/artifact
+ */
+function rejectEctopic(intervals) {
+  const half = Math.floor(HRV_CONFIG.LOCAL_MEDIAN_BEATS / 2);
+
+  return intervals.map((interval, i) => {
+    if (
+      interval.nn < HRV_CONFIG.MIN_NN_MS ||
+      interval.nn > HRV_CONFIG.MAX_NN_MS
+    ) {
+      return { ...interval, accepted: false };
+    }
+
+    const neighbours = intervals
+      .slice(Math.max(0, i - half), i + half + 1)
+      .filter((other) => other.segment === interval.segment)
+      .map((other) => other.nn)
+      .sort((a, b) => a - b);
+    const median = neighbours[Math.floor(neighbours.length / 2)];
+
+    return {
+      ...interval,
+      accepted:
+        Math.abs(interval.nn - median) <= HRV_CONFIG.ECTOPIC_TOLERANCE * median,
+    };
+  });
+}
+
+/**
+ * Mean NN, SDNN, RMSSD and pNN50 in ms / %. Successive differences are only
+ * taken between neighbouring accepted intervals of the same segment.
+ */
+function calculateTimeDomain(intervals) {
+  const accepted = intervals.filter((interval) => interval.accepted);
+  if (accepted.length < 3) return null;
+
+  const differences = [];
+  for (let i = 1; i < intervals.length; i++) {
+    const [previous, current] = [intervals[i - 1], intervals[i]];
+    if (
+      previous.accepted &&
+      current.accepted &&
+      previous.segment === current.segment
+    ) {
+      differences.push(current.nn - previous.nn);
+    }
+  }
+
+  const values = accepted.map((interval) => interval.nn);
+  const meanNN = values.reduce((a, b) => a + b, 0) / values.length;
+  const sdnn = Math.sqrt(
+    values.reduce((sum, nn) => sum + (nn - meanNN) ** 2, 0) /
+      Math.max(values.length - 1, 1)
+  );
+  const rmssd = differences.length
+    ? Math.sqrt(
+        differences.reduce((sum, d) => sum + d * d, 0) / differences.length
+      )
+    : null;
+  const pnn50 = differences.length
+    ? (differences.filter((d) => Math.abs(d) > 50).length /
+        differences.length) *
+      100
+    : null;
+
+  return {
+    meanNN: round(meanNN, 2),
+    sdnn: round(sdnn, 2),
+    rmssd: rmssd === null ? null : round(rmssd, 2),
+    pnn50: pnn50 === null ? null : round(pnn50, 2),
+  };
+}
+
+/**
+ * LF and HF power (ms²) of the evenly resampled NN series, per segment
+ * long enough to resolve the LF band
+ */
+function calculateFrequencyDomain(accepted) {
+  const bySegment = new Map();
+  accepted.forEach((interval) => {
+    if (!bySegment.has(interval.segment)) bySegment.set(interval.segment, []);
+    bySegment.get(interval.segment).push(interval);
+  });
+
+  const series = [...bySegment.values()]
+    .filter(
+      (points) =>
+        points.length >= 4 &&
+        points[points.length - 1].time - points[0].time >=
+          HRV_CONFIG.MIN_SPECTRAL_SECONDS
+    )
+    .map((points) =>
+      detrend(
+        resampleToUniform(
+          points.map((point) => point.nn),
+          points.map((point) => point.time),
+          HRV_CONFIG.NN_SERIES_RATE
+        ).values
+      )
+    );
+
+  const spectrum = welchSegments(series, HRV_CONFIG.NN_SERIES_RATE);
+  if (!spectrum) return null;
+
+  // Power spectral density to band power
+  const binWidth = spectrum.frequencies[1] - spectrum.frequencies[0];
+  const lf = bandPower(spectrum, ...HRV_CONFIG.LF_BAND) * binWidth;
+  const hf = bandPower(spectrum, ...HRV_CONFIG.HF_BAND) * binWidth;
+
+  return {
+    lf: round(lf, 2),
+    hf: round(hf, 2),
+    lfHfRatio: hf > 0 ? round(lf / hf, 2) : null,
+    lfNu: lf + hf > 0 ? round((100 * lf) / (lf + hf), 2) : null,
+    hfNu: lf + hf > 0 ? round((100 * hf) / (lf + hf), 2) : null,
+    unit: "ms²",
+    analysedSeconds: round(
+      series.reduce((sum, values) => sum + values.length, 0) /
+        HRV_CONFIG.NN_SERIES_RATE,
+      2
+    ),
+  };
+}
@@ -0,0 +1,178 @@
+// services/illumination.js
+import { nlmsFilter, welch, correlation, round } from "./dsp/index.js";
+
+export const ILLUMINATION_CONFIG = {
+  NLMS_ORDER: 4,
+  NLMS_STEP_SIZE: 0.05,
+  // Mains frequencies; lamps flicker at twice these
+  MAINS_FREQUENCIES: [50, 60],
+  FLICKER_TOLERANCE_HZ: 0.15,
+  // Power near the alias over the median background power
+  FLICKER_PEAK_RATIO: 10,
+  // Aliases this close to DC look like slow drift and are not flagged
+  MIN_ALIAS_HZ: 0.2,
+  // Pulse band, for telling whether an alias can be mistaken for a pulse
+  PULSE_BAND: [0.6, 4.0],
+};
+
+/**
+ * Remove global illumination changes from the skin trace. Each colour channel
+ * is taken relative to its mean and the matching background channel is used
+ * as the NLMS reference, so only what the background cannot explain is kept.
+ * @param {Array} rgbSignal - Uniformly sampled skin [r, g, b] trace
+ * @param {Array|null} backgroundSignal - Background [r, g, b] on the same grid
+ * @returns {Object} { signal, applied, varianceReduction, referenceCorrelation }
+ */
+export function compensateIllumination(rgbSignal, backgroundSignal) {
+  if (
+    !backgroundSignal ||
+    backgroundSignal.length !== rgbSignal.length ||
+    rgbSignal.length < ILLUMINATION_CONFIG.NLMS_ORDER * 2
+  ) {
+    return {
+      signal: rgbSignal,
+      applied: false,
+      varianceReduction: null,
+      referenceCorrelation: null,
+    };
+  }
+
+  const corrected = rgbSignal.map((rgb) => [...rgb]);
+  const reductions = [];
+  const correlations = [];
+
+  [0, 1, 2].forEach((c) => {
+    const skin = relativeChange(rgbSignal.map((rgb) => rgb[c]));
+    const reference = relativeChange(backgroundSignal.map((rgb) => rgb[c]));
+    if (!skin || !reference) return;
+
+    const { output } = nlmsFilter(skin.values, reference.values, {
+      order: ILLUMINATION_CONFIG.NLMS_ORDER,
+      stepSize: ILLUMINATION_CONFIG.NLMS_STEP_SIZE,
+    });
+    output.forEach((value, i) => {
+      corrected[i][c] = skin.mean * (1 + value);
+    });
+
+    reductions.push(1 - variance(output) / variance(skin.values));
+    correlations.push(correlation(skin.values, reference.values));
+  });
+
+  if (!reductions.length) {
+    return {
+      signal: rgbSignal,
+      applied: false,
+      varianceReduction: null,
+      referenceCorrelation: null,
+    };
+  }
+
+  return {
+    signal: corrected,
+    applied: true,
+    varianceReduction: round(average(reductions), 3),
+    referenceCorrelation: round(average(correlations), 3),
+  };
+}
+
+/**
+ * Look for lamp flicker (twice the mains frequency) aliased down into the
+ * sampled background trace. The camera samples the flicker at its own frame
+ * rate and frames are then resampled for analysis, so the alias is folded
+ * twice.
+ * @param {Array|null} backgroundSignal - Uniformly sampled background [r, g, b]
+ * @param {number} samplingRate - Analysis sampling rate in Hz
+ * @param {Object} options
+ * @param {number} options.sourceFps - Frame rate of the recording
+ * @returns {Object} { detected, mainsFrequency, aliasFrequency, inPulseBand, peakRatio }
+ */
+export function detectFlicker(
+  backgroundSignal,
+  samplingRate,
+  { sourceFps } = {}
+) {
+  const none = {
+    detected: false,
+    mainsFrequency: null,
+    aliasFrequency: null,
+    inPulseBand: false,
+    peakRatio: null,
+  };
+  if (!backgroundSignal || backgroundSignal.length < 16) return none;
+
+  const luminance = relativeChange(
+    backgroundSignal.map(([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b)
+  );
+  if (!luminance) return none;
+
+  const spectrum = welch(luminance.values, samplingRate);
+  const inRange = spectrum.frequencies
+    .map((f, k) =>
+      f >= ILLUMINATION_CONFIG.MIN_ALIAS_HZ ? spectrum.power[k] : null
+    )
+    .filter((power) => power !== null)
+    .sort((a, b) => a - b);
+  const median = inRange[Math.floor(inRange.length / 2)];
+  if (!(median > 0)) return none;
+
+  let strongest = none;
+  ILLUMINATION_CONFIG.MAINS_FREQUENCIES.forEach((mains) => {
+    const captured = aliasFrequency(2 * mains, sourceFps || samplingRate);
+    const alias = aliasFrequency(captured, samplingRate);
+    if (alias < ILLUMINATION_CONFIG.MIN_ALIAS_HZ) return;
+
+    const peak = Math.max(
+      0,
+      ...spectrum.frequencies.map((f, k) =>
+        Math.abs(f - alias) <= ILLUMINATION_CONFIG.FLICKER_TOLERANCE_HZ
+          ? spectrum.power[k]
+          : 0
+      )
+    );
+    const peakRatio = peak / median;
+    if (
+      peakRatio >= ILLUMINATION_CONFIG.FLICKER_PEAK_RATIO &&
+      peakRatio > (strongest.peakRatio || 0)
+    ) {
+      strongest = {
+        detected: true,
+        mainsFrequency: mains,
+        aliasFrequency: round(alias, 3),
+        inPulseBand:
+          alias >= ILLUMINATION_CONFIG.PULSE_BAND[0] &&
+          alias <= ILLUMINATION_CONFIG.PULSE_BAND[1],
+        peakRatio: round(peakRatio, 3),
+      };
+    }
+  });
+
+  return strongest;
+}
+
+/**
+ * Apparent frequency of a tone at `frequency` sampled at `samplingRate`
+ */
+function aliasFrequency(frequency, samplingRate) {
+  return Math.abs(
+    frequency - samplingRate * Math.round(frequency / samplingRate)
+  );
+}
+
+/**
+ * Values relative to their mean, or null for a flat or empty trace
+ */
+function relativeChange(values) {
+  const mean = average(values);
+  if (!(mean > 0)) return null;
+  const relative = values.map((value) => value / mean - 1);
+  return variance(relative) > 0 ? { mean, values: relative } : null;
+}
+
+function average(values) {
+  return values.reduce((a, b) => a + b, 0) / (values.length || 1);
+}
+
+function variance(values) {
+  const mean = average(values);
+  return average(values.map((value) => (value - mean) ** 2));
+}
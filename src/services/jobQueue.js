@@ -0,0 +1,259 @@
+// services/jobQueue.js
+import fs from "fs";
+import { getStorage, ACTIVE_JOB_STATUSES } from "../storage/index.js";
+import { runAnalysis } from "./analysisPipeline.js";
+import { generateReportId } from "./reportGenerator.js";
+import { emitAnalysisEvent } from "./analysisEvents.js";
+
+// Configuration constants
+export const QUEUE_CONFIG = {
+  CONCURRENCY: Math.max(1, parseInt(process.env.ANALYSIS_CONCURRENCY, 10) || 1),
+  RETRY_INTERRUPTED: process.env.ANALYSIS_RETRY_INTERRUPTED === "true",
+  MAX_ATTEMPTS: Math.max(1, parseInt(process.env.ANALYSIS_MAX_ATTEMPTS, 10) || 2),
+  // A running analysis is aborted, and the job failed, after this long
+  TIMEOUT_MS: Math.max(
+    1,
+    parseInt(process.env.ANALYSIS_TIMEOUT_MS, 10) || 10 * 60 * 1000
+  ),
+};
+
+const TIMESTAMP_FIELDS = {
+  queued: "queuedAt",
+  extracting: "startedAt",
+  completed: "completedAt",
+  failed: "failedAt",
+};
+
+// Abort reason of jobs stopped by a shutdown; they are left in their active
+// state so the next start recovers them like any interrupted job
+const SHUTDOWN = new Error("Server is shutting down");
+
+const pending = [];
+// { controller, finished } of each running job, by analysis id
+const running = new Map();
+let activeCount = 0;
+let stopping = false;
+
+/**
+ * Create a job for an uploaded video and put it on the queue
+ * @param {Object} file - Multer file object
+ * @param {Object} options - Analysis options (algorithm, subjectId, deviceId, faces)
+ * @param {Object} control
+ * @param {AbortSignal} control.signal - Cancels the job if it has not started
+ *   yet, e.g. when the client disconnects
+ * @returns {Object} The created job
+ */
+export const enqueueAnalysis = async (file, options = {}, { signal } = {}) => {
+  const now = new Date();
+  const job = await getStorage().jobs.create({
+    analysisId: generateReportId(),
+    status: "queued",
+    attempts: 0,
+    video: {
+      path: file.path,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+    },
+    options,
+    queuedAt: now,
+    history: [{ status: "queued", at: now }],
+  });
+
+  pending.push(job.analysisId);
+  if (signal) {
+    const cancel = () =>
+      cancelQueued(job, signal.reason).catch((error) =>
+        console.error(`Could not cancel job ${job.analysisId}:`, error)
+      );
+    if (signal.aborted) {
+      await cancel();
+      return getStorage().jobs.find(job.analysisId);
+    }
+    signal.addEventListener("abort", cancel, { once: true });
+  }
+  drainQueue();
+
+  return job;
+};
+
+/**
+ * Stop starting jobs and abort the running ones. Aborted and still queued
+ * jobs keep their status, so recoverInterruptedJobs picks them up on the next
+ * start.
+ */
+export const stopQueue = async () => {
+  stopping = true;
+  const jobs = [...running.values()];
+  jobs.forEach(({ controller }) => controller.abort(SHUTDOWN));
+  await Promise.all(jobs.map(({ finished }) => finished));
+};
+
+/**
+ * Record a status transition with its timestamp
+ */
+export const updateJobStatus = async (analysisId, status, fields = {}) => {
+  const now = new Date();
+  const { note, ...rest } = fields;
+  const update = { status, ...rest };
+
+  if (TIMESTAMP_FIELDS[status]) {
+    update[TIMESTAMP_FIELDS[status]] = now;
+  }
+
+  const job = await getStorage().jobs.update(analysisId, {
+    set: update,
+    push: { history: { status, at: now, note } },
+  });
+
+  emitAnalysisEvent(analysisId, "status", { status, note });
+
+  return job;
+};
+
+/**
+ * Deal with jobs left in an active state by a previous process. They are
+ * re-queued when retries are enabled and the upload still exists, otherwise
+ * they are marked failed.
+ */
+export const recoverInterruptedJobs = async () => {
+  const interrupted = await getStorage().jobs.findByStatus(ACTIVE_JOB_STATUSES);
+
+  for (const job of interrupted) {
+    const canRetry =
+      QUEUE_CONFIG.RETRY_INTERRUPTED &&
+      job.attempts < QUEUE_CONFIG.MAX_ATTEMPTS &&
+      fs.existsSync(job.video.path);
+
+    if (canRetry) {
+      await updateJobStatus(job.analysisId, "queued", {
+        note: "Re-queued after server restart",
+      });
+      pending.push(job.analysisId);
+    } else {
+      await updateJobStatus(job.analysisId, "failed", {
+        note: "Interrupted by server restart",
+        error: {
+          message: "Analysis was interrupted by a server restart",
+          details: { previousStatus: job.status, attempts: job.attempts },
+        },
+      });
+      await removeUpload(job);
+    }
+  }
+
+  if (interrupted.length > 0) {
+    console.log(`Recovered ${interrupted.length} interrupted analysis job(s)`);
+  }
+
+  drainQueue();
+};
+
+/**
+ * Start queued jobs while there are free worker slots
+ */
+const drainQueue = () => {
+  while (
+    !stopping &&
+    activeCount < QUEUE_CONFIG.CONCURRENCY &&
+    pending.length > 0
+  ) {
+    const analysisId = pending.shift();
+    const controller = new AbortController();
+    activeCount++;
+
+    const finished = runJob(analysisId, controller)
+      .catch((error) => console.error(`Job ${analysisId} crashed:`, error))
+      .finally(() => {
+        running.delete(analysisId);
+        activeCount--;
+        drainQueue();
+      });
+    running.set(analysisId, { controller, finished });
+  }
+};
+
+/**
+ * Fail a job that is still waiting in the queue; started jobs are left alone
+ */
+const cancelQueued = async (job, reason) => {
+  const index = pending.indexOf(job.analysisId);
+  if (index === -1) return;
+  pending.splice(index, 1);
+
+  const jobError = {
+    message: (reason && reason.message) || "Analysis was cancelled",
+  };
+  await updateJobStatus(job.analysisId, "failed", { error: jobError });
+  emitAnalysisEvent(job.analysisId, "error", { error: jobError });
+  await removeUpload(job);
+};
+
+/**
+ * Run a single job through the analysis pipeline, aborting it when it runs
+ * longer than TIMEOUT_MS or the queue is stopped
+ */
+const runJob = async (analysisId, controller) => {
+  const job = await getStorage().jobs.update(analysisId, {
+    inc: { attempts: 1 },
+  });
+  if (!job) return;
+
+  const timeout = setTimeout(
+    () =>
+      controller.abort(
+        new Error(
+          `Analysis timed out after ${QUEUE_CONFIG.TIMEOUT_MS / 1000} seconds`
+        )
+      ),
+    QUEUE_CONFIG.TIMEOUT_MS
+  );
+  let interrupted = false;
+
+  try {
+    const result = await runAnalysis(job, {
+      setStage: (status) => updateJobStatus(analysisId, status),
+      onProgress: (progress) =>
+        emitAnalysisEvent(analysisId, "progress", progress),
+      signal: controller.signal,
+    });
+
+    await updateJobStatus(analysisId, "completed", {
+      reportId: result.reportId,
+    });
+    emitAnalysisEvent(analysisId, "complete", {
+      report: result.report,
+      faces: result.faces,
+    });
+  } catch (error) {
+    if (controller.signal.reason === SHUTDOWN) {
+      interrupted = true;
+      console.log(`Analysis job ${analysisId} interrupted by shutdown`);
+      return;
+    }
+    console.error(`Analysis job ${analysisId} failed:`, error);
+    const jobError = {
+      message: error.message,
+      details: error.details,
+    };
+    await updateJobStatus(analysisId, "failed", { error: jobError });
+    emitAnalysisEvent(analysisId, "error", { error: jobError });
+  } finally {
+    clearTimeout(timeout);
+    // Completed and failed jobs are never run again
+    if (!interrupted) await removeUpload(job);
+  }
+};
+
+/**
+ * Delete a job's uploaded video; only queued and running jobs need it
+ */
+const removeUpload = async (job) => {
+  try {
+    await fs.promises.unlink(job.video.path);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Could not remove upload of ${job.analysisId}:`, error);
+    }
+  }
+};
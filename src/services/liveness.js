@@ -0,0 +1,490 @@
+// services/liveness.js
+import * as tf from "@tensorflow/tfjs-node";
+import {
+  bandpassFilter,
+  fft,
+  median,
+  correlation,
+  sampleEvenly,
+} from "./dsp/index.js";
+import { scoreComponent } from "./signalQuality.js";
+import { toFrameTensor } from "./videoService.js";
+
+// Each component maps a measurement from its "poor" (spoof-like) to its
+// "good" (live-like) value onto a 0-1 score, as in the signal-quality index
+export const LIVENESS_CONFIG = {
+  // Heart rates a living adult at rest can plausibly show
+  HEART_RATE_RANGE: [40, 180],
+  PULSE_SNR_DB: { POOR: -2, GOOD: 4 },
+  // Mean pairwise correlation of the pulse in the forehead and cheeks
+  REGION_COHERENCE: { POOR: 0.1, GOOD: 0.5 },
+  // Strongest spatial-frequency line over its local median; screens filmed
+  // by a camera show moiré as sharp lines
+  MOIRE_PEAK_RATIO: { POOR: 12, GOOD: 4 },
+  // Same for the row profile of frame differences; refresh beating shows up
+  // as horizontal bands rolling through the image
+  ROLLING_BAND_RATIO: { POOR: 12, GOOD: 4 },
+  // RMS of the face-centre jitter around its 1 s moving average, in face
+  // sizes; a printed photo on a stand barely moves
+  MICRO_MOTION: { POOR: 0.002, GOOD: 0.006 },
+  BLINKS_PER_MINUTE: { POOR: 0, GOOD: 4 },
+  // Pulse evidence counts double: it is the one thing a photo cannot fake
+  WEIGHTS: {
+    pulsePeak: 2,
+    regionCoherence: 2,
+    moire: 1,
+    refresh: 1,
+    microMotion: 1,
+    blinks: 1,
+  },
+  // A zero score on one of these is treated as a replay on its own
+  SCREEN_COMPONENTS: ["moire", "refresh"],
+  VERDICT: { LIVE: 0.6, SPOOF: 0.35 },
+  // Frames used for the image-based checks
+  SAMPLE_FRAMES: 20,
+  // Spatial band searched for moiré, in cycles per pixel
+  MOIRE_BAND: [0.1, 0.5],
+  // Bins on each side used for the local median of a spectrum
+  PEAK_NEIGHBOURHOOD: 8,
+  MIN_PATCH_SIZE: 16,
+  // Eye patch side as a share of the distance between the eyes
+  EYE_PATCH: 0.3,
+  BLINK: {
+    BASELINE_SECONDS: 1,
+    // Deviation from the baseline in robust standard deviations
+    THRESHOLD: 4,
+    MAX_SECONDS: 0.5,
+  },
+  PULSE_BAND: [0.7, 3.0],
+  MIN_SEGMENT_SECONDS: 2,
+};
+
+// BlazeFace landmark order
+const LANDMARK = { RIGHT_EYE: 0, LEFT_EYE: 1 };
+
+/**
+ * Decide whether the recording shows a live face rather than a photo or a
+ * screen replay
+ * @param {Array} frames - Measurement frames as { index, timestamp, pixels,
+ *   shape, face }; pixels are read through toFrameTensor
+ * @param {Object} signals
+ * @param {Object} signals.heartRate - Output of calculateHeartRate
+ * @param {Object} signals.regionSignals - Uniform [r, g, b] traces by ROI
+ * @param {Array} signals.segments - [start, end) motion-free sample ranges
+ * @param {number} signals.samplingRate - Sampling rate in Hz
+ * @returns {Object} { verdict, score, spoofLikely, reasons, components }
+ */
+export function assessLiveness(
+  frames,
+  { heartRate, regionSignals, segments, samplingRate }
+) {
+  // Up to SAMPLE_FRAMES frames with a face, evenly spaced
+  const sampled = sampleEvenly(
+    frames.filter((frame) => frame.face && frame.face.box),
+    LIVENESS_CONFIG.SAMPLE_FRAMES
+  );
+
+  const components = {
+    pulsePeak: pulsePeakComponent(heartRate),
+    regionCoherence: scoreComponent(
+      measureRegionCoherence(regionSignals, segments, samplingRate),
+      LIVENESS_CONFIG.REGION_COHERENCE,
+      (value) => `Pulse is not consistent across the face (coherence ${value})`
+    ),
+    moire: scoreComponent(
+      measureMoire(sampled),
+      LIVENESS_CONFIG.MOIRE_PEAK_RATIO,
+      (value) =>
+        `Moiré pattern typical of a filmed screen (peak ratio ${value})`
+    ),
+    refresh: scoreComponent(
+      measureRollingBands(frames),
+      LIVENESS_CONFIG.ROLLING_BAND_RATIO,
+      (value) =>
+        `Rolling bands typical of a screen refresh (peak ratio ${value})`
+    ),
+    microMotion: scoreComponent(
+      measureMicroMotion(frames),
+      LIVENESS_CONFIG.MICRO_MOTION,
+      (value) => `Face shows almost no natural micro-motion (${value})`
+    ),
+    blinks: scoreComponent(
+      measureBlinkRate(frames),
+      LIVENESS_CONFIG.BLINKS_PER_MINUTE,
+      (value) => `Few or no blinks detected (${value} per minute)`
+    ),
+  };
+
+  let weighted = 0;
+  let totalWeight = 0;
+  Object.entries(components).forEach(([name, { score }]) => {
+    if (score === null) return;
+    weighted += LIVENESS_CONFIG.WEIGHTS[name] * score;
+    totalWeight += LIVENESS_CONFIG.WEIGHTS[name];
+  });
+  const score = totalWeight > 0 ? weighted / totalWeight : 0;
+
+  const screenDetected = LIVENESS_CONFIG.SCREEN_COMPONENTS.some(
+    (name) => components[name].score === 0
+  );
+  let verdict = "uncertain";
+  if (screenDetected || score < LIVENESS_CONFIG.VERDICT.SPOOF) {
+    verdict = "spoof";
+  } else if (score >= LIVENESS_CONFIG.VERDICT.LIVE) {
+    verdict = "live";
+  }
+
+  const reasons = Object.values(components)
+    .filter((item) => item.reason)
+    .map((item) => item.reason);
+  if (!totalWeight) reasons.push("No liveness measurement was possible");
+
+  return {
+    verdict,
+    score: Number(score.toFixed(3)),
+    spoofLikely: verdict === "spoof",
+    reasons,
+    components,
+  };
+}
+
+/**
+ * Spectral SNR of the pulse peak, zeroed when the rate it implies is not
+ * physiological
+ */
+function pulsePeakComponent(heartRate) {
+  const snr = heartRate ? heartRate.snr : null;
+  const [low, high] = LIVENESS_CONFIG.HEART_RATE_RANGE;
+
+  if (heartRate && heartRate.value !== null) {
+    if (heartRate.value < low || heartRate.value > high) {
+      return {
+        value: snr,
+        score: 0,
+        reason: `Pulse peak at ${heartRate.value} bpm is outside the physiological range`,
+      };
+    }
+  }
+
+  if (snr === -Infinity) {
+    return { value: null, score: 0, reason: "No pulse found in the face" };
+  }
+
+  return scoreComponent(
+    heartRate && heartRate.value !== null ? snr : null,
+    LIVENESS_CONFIG.PULSE_SNR_DB,
+    (value) => `No clear pulse peak (spectral SNR ${value} dB)`
+  );
+}
+
+/**
+ * Mean pairwise correlation of the green-channel pulse of the face regions
+ * over the motion-free segments. Skin pulses in step everywhere; a printed
+ * or displayed face does not pulse at all.
+ * @returns {number|null} Null with fewer than two regions
+ */
+function measureRegionCoherence(regionSignals, segments, samplingRate) {
+  const minLength = Math.round(
+    LIVENESS_CONFIG.MIN_SEGMENT_SECONDS * samplingRate
+  );
+  const usable = segments.filter(([start, end]) => end - start >= minLength);
+  if (!usable.length) return null;
+
+  const pulses = Object.values(regionSignals || {})
+    .filter(Boolean)
+    .map((samples) => {
+      const green = samples.map((rgb) => rgb[1]);
+      const mean = green.reduce((a, b) => a + b, 0) / green.length;
+      if (!(mean > 0)) return null;
+      return usable.flatMap(([start, end]) =>
+        bandpassFilter(
+          green.slice(start, end).map((value) => value / mean - 1),
+          {
+            lowFreq: LIVENESS_CONFIG.PULSE_BAND[0],
+            highFreq: LIVENESS_CONFIG.PULSE_BAND[1],
+            samplingRate,
+            order: 2,
+          }
+        )
+      );
+    })
+    .filter(Boolean);
+  if (pulses.length < 2) return null;
+
+  const pairs = [];
+  for (let i = 0; i < pulses.length; i++) {
+    for (let j = i + 1; j < pulses.length; j++) {
+      pairs.push(correlation(pulses[i], pulses[j]));
+    }
+  }
+  return pairs.reduce((a, b) => a + b, 0) / pairs.length;
+}
+
+/**
+ * Sharpest line in the mean row and column spectra of the grey face
+ * @returns {number|null} Peak over local median, or null without faces
+ */
+function measureMoire(frames) {
+  const [lowBand, highBand] = LIVENESS_CONFIG.MOIRE_BAND;
+  const ratios = [];
+
+  frames.forEach((frame) => {
+    const grey = readFacePatch(frame);
+    if (!grey) return;
+
+    [grey, transpose(grey)].forEach((lines) => {
+      const spectrum = meanSpectrum(lines);
+      const ratio = peakRatio(spectrum, lowBand, highBand);
+      if (ratio !== null) ratios.push(ratio);
+    });
+  });
+
+  return ratios.length ? median(ratios) : null;
+}
+
+/**
+ * Sharpest line in the spectrum of the row-mean profile of consecutive frame
+ * differences on the face, typical over the sampled frame pairs
+ * @returns {number|null} Peak over local median, or null without faces
+ */
+function measureRollingBands(frames) {
+  const withFace = frames.filter((frame) => frame.face && frame.face.box);
+  const step = Math.max(
+    1,
+    Math.floor(withFace.length / LIVENESS_CONFIG.SAMPLE_FRAMES)
+  );
+  const ratios = [];
+
+  for (let i = 0; i + 1 < withFace.length; i += step) {
+    const box = withFace[i].face.box;
+    const current = readFacePatch(withFace[i], box);
+    const next = readFacePatch(withFace[i + 1], box);
+    if (!current || !next) continue;
+
+    const profile = current.map(
+      (row, y) =>
+        next[y].reduce((sum, value) => sum + value, 0) / row.length -
+        row.reduce((sum, value) => sum + value, 0) / row.length
+    );
+    // Bands at least 4 rows apart and at least two of them on the face
+    const ratio = peakRatio(meanSpectrum([profile]), 2 / profile.length, 0.25);
+    if (ratio !== null) ratios.push(ratio);
+  }
+
+  // Refresh bands are in every frame pair; a blink only in a few
+  return ratios.length ? median(ratios) : null;
+}
+
+/**
+ * RMS of the face-centre position around its moving average, in face sizes
+ * @returns {number|null}
+ */
+function measureMicroMotion(frames) {
+  const centres = frames
+    .filter((frame) => frame.face && frame.face.box)
+    .map(({ timestamp, face: { box } }) => {
+      const size = Math.sqrt((box[2] - box[0]) * (box[3] - box[1]));
+      return {
+        timestamp,
+        x: (box[0] + box[2]) / 2 / size,
+        y: (box[1] + box[3]) / 2 / size,
+      };
+    });
+  if (centres.length < 10) return null;
+
+  const halfWindow = LIVENESS_CONFIG.BLINK.BASELINE_SECONDS / 2;
+  let sumSquares = 0;
+  centres.forEach((centre) => {
+    const neighbours = centres.filter(
+      (other) => Math.abs(other.timestamp - centre.timestamp) <= halfWindow
+    );
+    const meanX =
+      neighbours.reduce((sum, other) => sum + other.x, 0) / neighbours.length;
+    const meanY =
+      neighbours.reduce((sum, other) => sum + other.y, 0) / neighbours.length;
+    sumSquares += (centre.x - meanX) ** 2 + (centre.y - meanY) ** 2;
+  });
+
+  return Math.sqrt(sumSquares / centres.length);
+}
+
+/**
+ * Blinks as short excursions of the eye-patch brightness, relative to the
+ * whole face, away from its moving median
+ * @returns {number|null} Blinks per minute, or null without eye landmarks
+ */
+function measureBlinkRate(frames) {
+  const series = frames
+    .filter(
+      (frame) =>
+        frame.face &&
+        Array.isArray(frame.face.landmarks) &&
+        frame.face.landmarks.length >= 2
+    )
+    .map((frame) => ({
+      timestamp: frame.timestamp,
+      value: measureEyeBrightness(frame),
+    }))
+    .filter((sample) => sample.value !== null);
+  if (series.length < 10) return null;
+
+  const { BASELINE_SECONDS, THRESHOLD, MAX_SECONDS } = LIVENESS_CONFIG.BLINK;
+  const residuals = series.map((sample) => {
+    const baseline = median(
+      series
+        .filter(
+          (other) =>
+            Math.abs(other.timestamp - sample.timestamp) <= BASELINE_SECONDS / 2
+        )
+        .map((other) => other.value)
+    );
+    return sample.value - baseline;
+  });
+  const spread =
+    1.4826 * median(residuals.map((residual) => Math.abs(residual)));
+  if (!(spread > 0)) return 0;
+
+  let blinks = 0;
+  let eventStart = null;
+  residuals.forEach((residual, i) => {
+    const outside = Math.abs(residual) > THRESHOLD * spread;
+    if (outside && eventStart === null) eventStart = series[i].timestamp;
+    if (!outside && eventStart !== null) {
+      if (series[i].timestamp - eventStart <= MAX_SECONDS) blinks++;
+      eventStart = null;
+    }
+  });
+
+  const duration = series[series.length - 1].timestamp - series[0].timestamp;
+  return duration > 0 ? (60 * blinks) / duration : null;
+}
+
+/**
+ * Mean grey level of both eye patches over that of the face box
+ */
+function measureEyeBrightness(frame) {
+  const { shape, face } = frame;
+  const [height, width] = shape;
+  const eyes = [
+    face.landmarks[LANDMARK.RIGHT_EYE],
+    face.landmarks[LANDMARK.LEFT_EYE],
+  ];
+  const side = Math.round(
+    LIVENESS_CONFIG.EYE_PATCH *
+      Math.hypot(eyes[1][0] - eyes[0][0], eyes[1][1] - eyes[0][1])
+  );
+  if (side < 2) return null;
+
+  const clampRegion = ([x1, y1, x2, y2]) => {
+    const left = Math.max(0, Math.round(x1));
+    const top = Math.max(0, Math.round(y1));
+    const right = Math.min(width, Math.round(x2));
+    const bottom = Math.min(height, Math.round(y2));
+    return right - left >= 2 && bottom - top >= 2
+      ? [top, left, bottom - top, right - left]
+      : null;
+  };
+  const regions = [
+    ...eyes.map(([x, y]) =>
+      clampRegion([x - side / 2, y - side / 2, x + side / 2, y + side / 2])
+    ),
+    clampRegion(face.box),
+  ];
+  if (regions.some((region) => region === null)) return null;
+
+  const [rightEye, leftEye, whole] = tf.tidy(() => {
+    const tensor = toFrameTensor(frame);
+    return regions.map(
+      ([top, left, h, w]) =>
+        tf.slice(tensor, [top, left, 0], [h, w, 3]).mean().dataSync()[0]
+    );
+  });
+  return whole > 0 ? (rightEye + leftEye) / 2 / whole : null;
+}
+
+/**
+ * Grey face pixels as rows of numbers, optionally inside a given box
+ */
+function readFacePatch(frame, box = frame.face && frame.face.box) {
+  if (!box) return null;
+  const [height, width] = frame.shape;
+  const left = Math.max(0, Math.round(box[0]));
+  const top = Math.max(0, Math.round(box[1]));
+  const right = Math.min(width, Math.round(box[2]));
+  const bottom = Math.min(height, Math.round(box[3]));
+  const size = LIVENESS_CONFIG.MIN_PATCH_SIZE;
+  if (right - left < size || bottom - top < size) return null;
+
+  const grey = tf.tidy(() =>
+    tf
+      .slice(
+        toFrameTensor(frame),
+        [top, left, 0],
+        [bottom - top, right - left, 3]
+      )
+      .mean(2)
+      .dataSync()
+  );
+  const rows = [];
+  for (let y = 0; y < bottom - top; y++) {
+    rows.push(
+      Array.from(grey.subarray(y * (right - left), (y + 1) * (right - left)))
+    );
+  }
+  return rows;
+}
+
+/**
+ * Mean power spectrum of equally long lines, each mean-removed and Hann
+ * windowed. Frequencies are in cycles per sample.
+ */
+function meanSpectrum(lines) {
+  const length = lines[0].length;
+  let n = 1;
+  while (n < length) n <<= 1;
+  const power = new Float64Array(n / 2 + 1);
+
+  lines.forEach((line) => {
+    const mean = line.reduce((a, b) => a + b, 0) / line.length;
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    line.forEach((value, i) => {
+      const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (length - 1));
+      re[i] = (value - mean) * window;
+    });
+    fft(re, im);
+    for (let k = 0; k <= n / 2; k++) power[k] += re[k] ** 2 + im[k] ** 2;
+  });
+
+  return {
+    frequencies: Array.from(power, (_, k) => k / n),
+    power: Array.from(power, (value) => value / lines.length),
+  };
+}
+
+/**
+ * Highest ratio of a bin's power to the median of its neighbourhood, within
+ * [minFreq, maxFreq]
+ */
+function peakRatio({ frequencies, power }, minFreq, maxFreq) {
+  const radius = LIVENESS_CONFIG.PEAK_NEIGHBOURHOOD;
+  let best = null;
+
+  frequencies.forEach((frequency, k) => {
+    if (frequency < minFreq || frequency > maxFreq) return;
+    const neighbours = power.slice(
+      Math.max(0, k - radius),
+      Math.min(power.length, k + radius + 1)
+    );
+    const local = median(neighbours);
+    if (!(local > 0)) return;
+    const ratio = power[k] / local;
+    if (best === null || ratio > best) best = ratio;
+  });
+
+  return best;
+}
+
+function transpose(rows) {
+  return rows[0].map((_, x) => rows.map((row) => row[x]));
+}
@@ -0,0 +1,126 @@
+// services/modelRegistry.js
+import fs from "fs";
+import * as tf from "@tensorflow/tfjs-node";
+import * as blazeface from "@tensorflow-models/blazeface";
+import * as faceDetection from "@tensorflow-models/face-detection";
+import { MODEL_CONFIG, MODEL_SOURCES, getModelPath } from "../config/models.js";
+
+// Each loader takes a local IO handler, or null for the package's remote default
+const LOADERS = {
+  blazeface: (handler) =>
+    blazeface.load(handler ? { modelUrl: handler } : undefined),
+  faceDetection: (handler) =>
+    faceDetection.createDetector(
+      faceDetection.SupportedModels.MediaPipeFaceDetector,
+      {
+        runtime: "tfjs",
+        modelType: "short",
+        maxFaces: 10,
+        ...(handler ? { detectorModelUrl: handler } : {}),
+      }
+    ),
+};
+
+const registry = new Map(); // name -> { status, promise, model, source, error, loadedAt }
+
+/**
+ * Load every model once. Failures are recorded and logged rather than
+ * thrown, so the server can start and report them.
+ * @returns {Object} Status per model (see getModelStatus)
+ */
+export const loadModels = async () => {
+  await Promise.all(
+    Object.keys(LOADERS).map((name) => loadModel(name).catch(() => null))
+  );
+
+  const status = getModelStatus();
+  Object.entries(status).forEach(([name, entry]) => {
+    if (entry.status === "loaded") {
+      console.log(`Model ${name} loaded from ${entry.source}`);
+    } else {
+      console.error(`Model ${name} failed to load: ${entry.error}`);
+    }
+  });
+  return status;
+};
+
+/**
+ * The shared instance of a model, loading it on first use. A model whose
+ * load failed is tried again, so vendoring the weights needs no restart.
+ * @param {string} name - "blazeface" or "faceDetection"
+ */
+export const getModel = async (name) => {
+  const entry = registry.get(name);
+  if (entry && entry.status === "loaded") return entry.model;
+  if (entry && entry.status === "loading") return entry.promise;
+  return loadModel(name);
+};
+
+/**
+ * Load state of every known model, for logging and health checks
+ * @returns {Object} name -> { status, source, loadedAt, error }
+ */
+export const getModelStatus = () =>
+  Object.fromEntries(
+    Object.keys(LOADERS).map((name) => {
+      const entry = registry.get(name);
+      return [
+        name,
+        {
+          status: entry ? entry.status : "not-loaded",
+          source: entry ? entry.source : null,
+          loadedAt: entry ? entry.loadedAt : null,
+          error: entry && entry.error ? entry.error.message : null,
+        },
+      ];
+    })
+  );
+
+const loadModel = (name) => {
+  if (!LOADERS[name]) {
+    return Promise.reject(new Error(`Unknown model "${name}"`));
+  }
+
+  const modelPath = getModelPath(name);
+  const local = fs.existsSync(modelPath);
+  const source = local ? modelPath : MODEL_SOURCES[name].url;
+  const entry = {
+    status: "loading",
+    source,
+    model: null,
+    error: null,
+    loadedAt: null,
+  };
+
+  entry.promise = (async () => {
+    if (!local && !MODEL_CONFIG.ALLOW_REMOTE) {
+      const error = new Error(
+        `${name} weights not found at ${modelPath}. Run "npm run vendor:models" or set MODEL_DIR to a directory containing them.`
+      );
+      error.details = { model: name, path: modelPath };
+      throw error;
+    }
+
+    try {
+      return await LOADERS[name](local ? tf.io.fileSystem(modelPath) : null);
+    } catch (cause) {
+      const error = new Error(
+        `Could not load ${name} from ${source}: ${cause.message}`
+      );
+      error.details = { model: name, source };
+      throw error;
+    }
+  })().then(
+    (model) => {
+      Object.assign(entry, { status: "loaded", model, loadedAt: new Date() });
+      return model;
+    },
+    (error) => {
+      Object.assign(entry, { status: "failed", error });
+      throw error;
+    }
+  );
+
+  registry.set(name, entry);
+  return entry.promise;
+};
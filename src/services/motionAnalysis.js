@@ -0,0 +1,198 @@
+// services/motionAnalysis.js
+import { round } from "./dsp/index.js";
+
+// Thresholds are relative to the face size so they hold at any resolution
+export const MOTION_CONFIG = {
+  // Face-box centre speed, in face widths per second
+  MAX_SPEED: 0.5,
+  // Relative change of the face-box size per second (moving to/from camera)
+  MAX_SCALE_RATE: 0.25,
+  // Margin added on both sides of an artifact, in seconds
+  PADDING_SECONDS: 0.2,
+  // Artifacts closer together than this are merged
+  MERGE_GAP_SECONDS: 0.5,
+  // Shortest motion-free stretch worth analysing for pulse and SpO2
+  MIN_SEGMENT_SECONDS: 3,
+};
+
+/**
+ * Track face-box displacement and scale change between frames and mark the
+ * time ranges where motion is too strong for rPPG
+ * @param {Array} frames - { timestamp, face: { box } | null }, face set by
+ *   face validation
+ * @returns {Object} { samples, artifacts }, artifacts as time ranges in seconds
+ */
+export function analyzeMotion(frames) {
+  const tracked = smoothBoxes(
+    frames
+      .filter((frame) => frame.face && frame.face.box)
+      .map((frame) => ({
+        timestamp: frame.timestamp,
+        ...describeBox(frame.face.box),
+      }))
+  );
+
+  const samples = [];
+  for (let i = 1; i < tracked.length; i++) {
+    const previous = tracked[i - 1];
+    const current = tracked[i];
+    const dt = current.timestamp - previous.timestamp;
+    if (!(dt > 0)) continue;
+
+    const faceSize = (previous.size + current.size) / 2;
+    const dx = (current.x - previous.x) / faceSize;
+    const dy = (current.y - previous.y) / faceSize;
+
+    samples.push({
+      timestamp: current.timestamp,
+      speed: Math.hypot(dx, dy) / dt,
+      verticalSpeed: dy / dt,
+      // Face-centre height relative to the first detection, in face widths
+      verticalPosition: (current.y - tracked[0].y) / current.size,
+      scaleRate: Math.abs(Math.log(current.size / previous.size)) / dt,
+      interval: [previous.timestamp, current.timestamp],
+    });
+  }
+
+  const artifacts = mergeArtifacts(
+    samples
+      .filter(
+        (sample) =>
+          sample.speed > MOTION_CONFIG.MAX_SPEED ||
+          sample.scaleRate > MOTION_CONFIG.MAX_SCALE_RATE
+      )
+      .map((sample) => ({
+        start: sample.interval[0] - MOTION_CONFIG.PADDING_SECONDS,
+        end: sample.interval[1] + MOTION_CONFIG.PADDING_SECONDS,
+        peakSpeed: sample.speed,
+        peakScaleRate: sample.scaleRate,
+      }))
+  );
+
+  const first = frames.length ? frames[0].timestamp : 0;
+  const last = frames.length ? frames[frames.length - 1].timestamp : 0;
+
+  return {
+    samples: samples.map(({ interval, ...sample }) => sample),
+    artifacts: artifacts
+      .map((artifact) => ({
+        ...artifact,
+        start: Math.max(first, artifact.start),
+        end: Math.min(last, artifact.end),
+      }))
+      .filter((artifact) => artifact.end > artifact.start)
+      .map(formatArtifact),
+  };
+}
+
+/**
+ * Contiguous motion-free ranges of a uniformly sampled signal
+ * @param {Array} artifacts - { start, end } in seconds
+ * @param {Object} grid - { length, samplingRate, startTime }
+ * @param {number} minSeconds - Shorter ranges are dropped
+ * @returns {Array} [start, end) sample index pairs
+ */
+export function getUsableSegments(
+  artifacts,
+  { length, samplingRate, startTime = 0 },
+  minSeconds = MOTION_CONFIG.MIN_SEGMENT_SECONDS
+) {
+  const minLength = Math.max(2, Math.round(minSeconds * samplingRate));
+  const segments = [];
+  let segmentStart = null;
+
+  for (let i = 0; i <= length; i++) {
+    const t = startTime + i / samplingRate;
+    const usable =
+      i < length &&
+      !artifacts.some((artifact) => t >= artifact.start && t <= artifact.end);
+
+    if (usable && segmentStart === null) segmentStart = i;
+    if (!usable && segmentStart !== null) {
+      if (i - segmentStart >= minLength) segments.push([segmentStart, i]);
+      segmentStart = null;
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Restrict segments to the sample range [start, end), re-based to start
+ */
+export function clipSegments(segments, start, end, minLength = 2) {
+  return segments
+    .map(([from, to]) => [
+      Math.max(from, start) - start,
+      Math.min(to, end) - start,
+    ])
+    .filter(([from, to]) => to - from >= minLength);
+}
+
+/**
+ * Centre and size (geometric mean of width and height) of an [x1, y1, x2, y2] box
+ */
+function describeBox([x1, y1, x2, y2]) {
+  return {
+    x: (x1 + x2) / 2,
+    y: (y1 + y2) / 2,
+    size: Math.sqrt(Math.abs((x2 - x1) * (y2 - y1))) || 1,
+  };
+}
+
+/**
+ * Three-point moving average, so detector jitter is not mistaken for motion
+ */
+function smoothBoxes(boxes) {
+  return boxes.map((box, i) => {
+    const neighbours = boxes.slice(Math.max(0, i - 1), i + 2);
+    const average = (key) =>
+      neighbours.reduce((sum, item) => sum + item[key], 0) / neighbours.length;
+    return {
+      timestamp: box.timestamp,
+      x: average("x"),
+      y: average("y"),
+      size: average("size"),
+    };
+  });
+}
+
+function mergeArtifacts(artifacts) {
+  const merged = [];
+  artifacts
+    .sort((a, b) => a.start - b.start)
+    .forEach((artifact) => {
+      const last = merged[merged.length - 1];
+      if (
+        last &&
+        artifact.start - last.end <= MOTION_CONFIG.MERGE_GAP_SECONDS
+      ) {
+        last.end = Math.max(last.end, artifact.end);
+        last.peakSpeed = Math.max(last.peakSpeed, artifact.peakSpeed);
+        last.peakScaleRate = Math.max(
+          last.peakScaleRate,
+          artifact.peakScaleRate
+        );
+      } else {
+        merged.push({ ...artifact });
+      }
+    });
+  return merged;
+}
+
+function formatArtifact(artifact) {
+  const reasons = [];
+  if (artifact.peakSpeed > MOTION_CONFIG.MAX_SPEED) reasons.push("translation");
+  if (artifact.peakScaleRate > MOTION_CONFIG.MAX_SCALE_RATE) {
+    reasons.push("scale");
+  }
+
+  return {
+    start: round(artifact.start, 2),
+    end: round(artifact.end, 2),
+    duration: round(artifact.end - artifact.start, 2),
+    reason: reasons.join("+"),
+    peakSpeed: round(artifact.peakSpeed, 2),
+    peakScaleRate: round(artifact.peakScaleRate, 2),
+  };
+}
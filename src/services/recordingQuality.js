@@ -0,0 +1,379 @@
+// services/recordingQuality.js
+import * as tf from "@tensorflow/tfjs-node";
+import {
+  calculateFrameBrightness,
+  toFrameTensor,
+  VIDEO_CONFIG,
+} from "./videoService.js";
+import { ROI_CONFIG } from "./roiExtractor.js";
+import { median, round, sampleEvenly } from "./dsp/index.js";
+
+// Configuration constants
+export const RECORDING_QUALITY_CONFIG = {
+  // One trend window at least; longer recordings are cut at MAX_FRAMES
+  MIN_DURATION_SECONDS: 10,
+  MAX_DURATION_SECONDS: VIDEO_CONFIG.MAX_FRAMES / VIDEO_CONFIG.BASE_FPS,
+  // Source rate needed to sample the pulse band (up to 4 Hz) without aliasing
+  MIN_SOURCE_FPS: 10,
+  // Shorter side of the recording in pixels
+  MIN_RESOLUTION: 360,
+  // Face box width in source pixels
+  MIN_FACE_PIXELS: 80,
+  // Mean face brightness, 0-1
+  MIN_BRIGHTNESS: 0.2,
+  MAX_BRIGHTNESS: 0.8,
+  // Share of face pixels clipped in any one colour channel
+  MAX_CHANNEL_CLIPPING: 0.05,
+  // Variance of the Laplacian of the grey face, in 8-bit units squared
+  MIN_SHARPNESS: 10,
+  // Mean gradient across 8x8 block edges over the mean gradient elsewhere
+  MAX_BLOCKINESS: 1.5,
+  BLOCK_SIZE: 8,
+  // Frames with a face that are measured, spread evenly over the recording
+  SAMPLE_FRAMES: 30,
+};
+
+const LAPLACIAN_KERNEL = [0, 1, 0, 1, -4, 1, 0, 1, 0];
+
+/**
+ * Checks that only need ffprobe metadata: duration, frame rate and resolution
+ * @param {Object} videoInfo - From getVideoInfo
+ * @returns {Object} { isValid, issues, metrics }
+ */
+export function checkSourceProperties(videoInfo) {
+  const config = RECORDING_QUALITY_CONFIG;
+  const { duration, fps, width, height } = videoInfo;
+  const issues = [];
+
+  if (Number.isFinite(duration) && duration < config.MIN_DURATION_SECONDS) {
+    issues.push({
+      issue: "Recording too short",
+      details: `Recording is ${duration.toFixed(1)}s long (minimum: ${
+        config.MIN_DURATION_SECONDS
+      }s)`,
+      fixes: [
+        `Record for at least ${config.MIN_DURATION_SECONDS} seconds`,
+        "Stay still until the recording has finished",
+      ],
+    });
+  }
+
+  if (Number.isFinite(duration) && duration > config.MAX_DURATION_SECONDS) {
+    issues.push({
+      issue: "Recording too long",
+      details: `Recording is ${duration.toFixed(1)}s long (maximum: ${
+        config.MAX_DURATION_SECONDS
+      }s)`,
+      fixes: [
+        `Record for at most ${config.MAX_DURATION_SECONDS} seconds`,
+        "Trim the video to the part where you sit still",
+      ],
+    });
+  }
+
+  if (fps && fps < config.MIN_SOURCE_FPS) {
+    issues.push({
+      issue: "Frame rate too low",
+      details: `Video was recorded at ${fps.toFixed(1)} fps (minimum: ${
+        config.MIN_SOURCE_FPS
+      } fps)`,
+      fixes: [
+        "Record at 30 fps if your camera allows it",
+        "Add light; many cameras lower the frame rate in the dark",
+      ],
+    });
+  }
+
+  const shortSide = Math.min(width, height);
+  if (shortSide && shortSide < config.MIN_RESOLUTION) {
+    issues.push({
+      issue: "Resolution too low",
+      details: `Video is ${width}x${height} (minimum: ${config.MIN_RESOLUTION}p)`,
+      fixes: [
+        "Record at 720p or higher",
+        "Use the device's main camera app rather than a low-quality mode",
+      ],
+    });
+  }
+
+  return {
+    isValid: issues.length === 0,
+    issues,
+    metrics: {
+      duration: Number.isFinite(duration) ? Number(duration.toFixed(2)) : null,
+      sourceFps: fps ? Number(fps.toFixed(2)) : null,
+      resolution: width && height ? { width, height } : null,
+      codec: videoInfo.codec || null,
+    },
+  };
+}
+
+/**
+ * Pixel checks on measurement-profile frames: face size, exposure, per-channel
+ * clipping, blur and compression blockiness. Run on unfiltered frames, since
+ * the sharpened detection frames would overstate sharpness and clipping.
+ * @param {Object} measurement - Result of acquireMeasurementFrames
+ * @returns {Object} { isValid, issues, metrics }
+ */
+export async function checkFrameQuality({ frames, frameSize, region }) {
+  const config = RECORDING_QUALITY_CONFIG;
+  // Output pixels per source pixel; 1 unless the crop was downscaled
+  const nativeScale = region.width / frameSize.width;
+  // Up to SAMPLE_FRAMES frames with a face, evenly spaced
+  const sampled = sampleEvenly(
+    frames.filter((frame) => frame.face && frame.face.box),
+    RECORDING_QUALITY_CONFIG.SAMPLE_FRAMES
+  );
+  const issues = [];
+
+  if (!sampled.length) {
+    return {
+      isValid: false,
+      issues: [
+        {
+          issue: "No face to measure",
+          details: "No frame with a detected face could be measured",
+          fixes: ["Ensure your face is clearly visible and centered"],
+        },
+      ],
+      metrics: {},
+    };
+  }
+
+  const measurements = [];
+  for (const frame of sampled) {
+    measurements.push(await measureFrame(frame, { region, nativeScale }));
+  }
+
+  const faceWidth = median(measurements.map((m) => m.faceWidth));
+  const brightness = median(measurements.map((m) => m.brightness));
+  const clipping = [0, 1, 2].map((c) =>
+    mean(measurements.map((m) => m.clipping[c]))
+  );
+  const sharpness = median(measurements.map((m) => m.sharpness));
+  const blockinessValues = measurements
+    .map((m) => m.blockiness)
+    .filter((value) => value !== null);
+  const blockiness = blockinessValues.length ? median(blockinessValues) : null;
+
+  if (faceWidth < config.MIN_FACE_PIXELS) {
+    issues.push({
+      issue: "Face too small",
+      details: `Face is about ${Math.round(faceWidth)} pixels wide (minimum: ${
+        config.MIN_FACE_PIXELS
+      })`,
+      fixes: [
+        "Move closer to the camera",
+        "Record at a higher resolution",
+        "Avoid digital zoom; move the camera instead",
+      ],
+    });
+  }
+
+  if (brightness < config.MIN_BRIGHTNESS) {
+    issues.push({
+      issue: "Face underexposed",
+      details: `Face brightness is ${Math.round(
+        brightness * 100
+      )}% (minimum: ${Math.round(config.MIN_BRIGHTNESS * 100)}%)`,
+      fixes: [
+        "Add soft, even light in front of you",
+        "Avoid sitting with a window or lamp behind you",
+      ],
+    });
+  }
+
+  if (brightness > config.MAX_BRIGHTNESS) {
+    issues.push({
+      issue: "Face overexposed",
+      details: `Face brightness is ${Math.round(
+        brightness * 100
+      )}% (maximum: ${Math.round(config.MAX_BRIGHTNESS * 100)}%)`,
+      fixes: [
+        "Move away from direct sunlight or strong lamps",
+        "Use diffuse light instead of a single bright source",
+        "Lock the exposure on your face if your camera allows it",
+      ],
+    });
+  }
+
+  const worstChannel = clipping.indexOf(Math.max(...clipping));
+  if (clipping[worstChannel] > config.MAX_CHANNEL_CLIPPING) {
+    issues.push({
+      issue: "Colour channel clipping on the face",
+      details: `${Math.round(
+        clipping[worstChannel] * 100
+      )}% of face pixels are clipped in the ${
+        ["red", "green", "blue"][worstChannel]
+      } channel (maximum: ${Math.round(config.MAX_CHANNEL_CLIPPING * 100)}%)`,
+      fixes: [
+        "Reduce the light falling directly on your face",
+        "Avoid coloured lighting",
+        "Turn off beauty or HDR filters in the camera app",
+      ],
+    });
+  }
+
+  if (sharpness < config.MIN_SHARPNESS) {
+    issues.push({
+      issue: "Video is blurry",
+      details: `Face sharpness is ${sharpness.toFixed(1)} (minimum: ${
+        config.MIN_SHARPNESS
+      })`,
+      fixes: [
+        "Clean the camera lens",
+        "Make sure the camera focuses on your face",
+        "Keep the camera and your head still",
+      ],
+    });
+  }
+
+  if (blockiness !== null && blockiness > config.MAX_BLOCKINESS) {
+    issues.push({
+      issue: "Heavy compression artefacts",
+      details: `Block-edge ratio is ${blockiness.toFixed(2)} (maximum: ${
+        config.MAX_BLOCKINESS
+      })`,
+      fixes: [
+        "Upload the original recording instead of one sent through a messaging app",
+        "Record at a higher quality setting",
+      ],
+    });
+  }
+
+  return {
+    isValid: issues.length === 0,
+    issues,
+    metrics: {
+      framesMeasured: sampled.length,
+      faceWidthPixels: Math.round(faceWidth),
+      brightness: round(brightness, 3),
+      channelClipping: {
+        red: round(clipping[0], 3),
+        green: round(clipping[1], 3),
+        blue: round(clipping[2], 3),
+      },
+      sharpness: round(sharpness, 3),
+      blockiness: blockiness === null ? null : round(blockiness, 3),
+    },
+  };
+}
+
+/**
+ * Face brightness, per-channel clipping and sharpness of one frame, plus the
+ * blockiness of the whole crop
+ */
+async function measureFrame(frame, { region, nativeScale }) {
+  const { shape, face } = frame;
+  const [height, width] = shape;
+  const [x1, y1, x2, y2] = face.box;
+  const left = Math.max(0, Math.round(x1));
+  const top = Math.max(0, Math.round(y1));
+  const right = Math.min(width, Math.round(x2));
+  const bottom = Math.min(height, Math.round(y2));
+  const faceTensor = tf.tidy(() =>
+    tf.slice(
+      toFrameTensor(frame),
+      [top, left, 0],
+      [Math.max(1, bottom - top), Math.max(1, right - left), 3]
+    )
+  );
+
+  try {
+    const brightness = await calculateFrameBrightness(faceTensor);
+    const { clipping, sharpness } = tf.tidy(() => {
+      const pixels = faceTensor;
+      const clipped = tf
+        .logicalOr(
+          pixels.greaterEqual(ROI_CONFIG.CLIP_HIGH),
+          pixels.lessEqual(ROI_CONFIG.CLIP_LOW)
+        )
+        .toFloat()
+        .mean([0, 1]);
+      return {
+        clipping: Array.from(clipped.dataSync()),
+        sharpness: laplacianVariance(pixels.mean(2)),
+      };
+    });
+
+    return {
+      faceWidth: (x2 - x1) * nativeScale,
+      brightness,
+      clipping,
+      sharpness,
+      // The coding grid is only visible at native resolution
+      blockiness: nativeScale === 1 ? measureBlockiness(frame, region) : null,
+    };
+  } finally {
+    faceTensor.dispose();
+  }
+}
+
+/**
+ * Variance of the 3x3 Laplacian of a [height, width] grey image
+ */
+function laplacianVariance(grey) {
+  const [height, width] = grey.shape;
+  if (height < 3 || width < 3) return 0;
+  const kernel = tf.tensor4d(LAPLACIAN_KERNEL, [3, 3, 1, 1]);
+  const response = tf.conv2d(
+    grey.reshape([1, height, width, 1]),
+    kernel,
+    1,
+    "valid"
+  );
+  return tf.moments(response).variance.dataSync()[0];
+}
+
+/**
+ * Mean horizontal and vertical grey-level step across the coding block edges
+ * of the source over the mean step elsewhere. Clean video is close to 1.
+ * @param {Object} region - Crop offset, to line the grid up with the source
+ * @returns {number|null} Null when the crop is too small to hold blocks
+ */
+function measureBlockiness(frame, region) {
+  const block = RECORDING_QUALITY_CONFIG.BLOCK_SIZE;
+  const [height, width] = frame.shape;
+  if (width < 2 * block || height < 2 * block) return null;
+
+  const grey = tf.tidy(() => toFrameTensor(frame).mean(2).dataSync());
+  let edgeSum = 0;
+  let edgeCount = 0;
+  let innerSum = 0;
+  let innerCount = 0;
+
+  const addStep = (step, isEdge) => {
+    if (isEdge) {
+      edgeSum += step;
+      edgeCount++;
+    } else {
+      innerSum += step;
+      innerCount++;
+    }
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width - 1; x++) {
+      const i = y * width + x;
+      // Step between x and x + 1 crosses an edge when x + 1 starts a block
+      addStep(
+        Math.abs(grey[i + 1] - grey[i]),
+        (x + 1 + region.x) % block === 0
+      );
+      if (y < height - 1) {
+        addStep(
+          Math.abs(grey[i + width] - grey[i]),
+          (y + 1 + region.y) % block === 0
+        );
+      }
+    }
+  }
+
+  if (!edgeCount || !innerCount) return null;
+  // Steps below one grey level are noise; flat blocks would divide by zero
+  return edgeSum / edgeCount / Math.max(1, innerSum / innerCount);
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+}
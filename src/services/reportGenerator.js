@@ -1,20 +1,32 @@
 // services/reportGenerator.js
 import { format } from "date-fns";
+import { getQualityLevel } from "./signalQuality.js";
 
 /**
  * Generate comprehensive vital signs report
  */
 async function generateVitalReport(vitals, recordingDetails) {
   const timestamp = new Date();
+  const metadata = {
+    reportId: recordingDetails.reportId || generateReportId(),
+    generatedAt: format(timestamp, "yyyy-MM-dd HH:mm:ss"),
+    recordingDuration: recordingDetails.duration,
+    truncated: Boolean(recordingDetails.truncated),
+    analyzedSegment: recordingDetails.analyzedSegment,
+    samplingRate: vitals.sampling ? vitals.sampling.rate : undefined,
+    rppgAlgorithm: vitals.rppg ? vitals.rppg.algorithm : undefined,
+    recordingQuality: recordingDetails.recordingQuality,
+    processingQuality: vitals.signalQuality,
+    subjectId: recordingDetails.subjectId,
+    deviceId: recordingDetails.deviceId,
+    face: recordingDetails.face,
+  };
+
+  if (vitals.withheld) return generateWithheldReport(vitals, metadata);
 
   return {
-    metadata: {
-      reportId: generateReportId(),
-      generatedAt: format(timestamp, "yyyy-MM-dd HH:mm:ss"),
-      recordingDuration: recordingDetails.duration,
-      recordingQuality: recordingDetails.videoQuality,
-      processingQuality: vitals.signalQuality,
-    },
+    metadata,
+    liveness: formatLivenessData(vitals.liveness),
 
     vitals: {
       heartRate: formatHeartRateData(vitals.heartRate),
@@ -26,6 +38,9 @@ async function generateVitalReport(vitals, recordingDetails) {
       spO2: formatSpO2Data(vitals.spO2),
     },
 
+    trends: formatTrendData(vitals.trends),
+    motionArtifacts: formatMotionData(vitals.motion),
+
     analysis: {
       summary: generateHealthSummary(vitals),
       concerns: identifyHealthConcerns(vitals),
@@ -35,7 +50,45 @@ async function generateVitalReport(vitals, recordingDetails) {
     reliability: {
       overallConfidence: calculateOverallConfidence(vitals),
       measurementQuality: assessMeasurementQuality(vitals),
-      limitations: identifyLimitations(vitals),
+      limitations: identifyLimitations(vitals, recordingDetails),
+    },
+  };
+}
+
+/**
+ * Report for a recording that looks like a photo or screen replay: the
+ * liveness verdict and recording checks only, no readings
+ */
+function generateWithheldReport(vitals, metadata) {
+  return {
+    metadata,
+    liveness: formatLivenessData(vitals.liveness),
+    vitals: null,
+    trends: null,
+    motionArtifacts: formatMotionData(vitals.motion),
+
+    analysis: {
+      summary: {
+        concerns: [
+          "Vital signs were withheld because the recording does not appear to show a live face",
+        ],
+        positives: [],
+        overallStatus: "Withheld",
+      },
+      concerns: [],
+      recommendations: [],
+    },
+
+    reliability: {
+      overallConfidence: {
+        score: 0,
+        level: "low",
+        reasons: vitals.liveness.reasons,
+      },
+      measurementQuality: assessMeasurementQuality(vitals),
+      limitations: [
+        "Record a live face directly; photos, printouts and videos played on a screen are rejected",
+      ],
     },
   };
 }
@@ -57,6 +110,7 @@ function formatHeartRateData(heartRate) {
     value: heartRate.value,
     unit: "bpm",
     confidence: heartRate.confidence,
+    quality: formatQuality(heartRate.quality),
     interpretation: interpretHeartRate(heartRate.value),
     status: getHeartRateStatus(heartRate.value),
     range: {
@@ -64,14 +118,39 @@ function formatHeartRateData(heartRate) {
       high: 100,
       measured: heartRate.value,
     },
+    spectral: {
+      dominantFrequency: heartRate.dominantFrequency,
+      snr: heartRate.snr,
+      harmonicCorrected: heartRate.harmonicCorrected,
+      explanation: explainHeartRateSelection(heartRate),
+    },
   };
 }
 
+function explainHeartRateSelection(heartRate) {
+  if (heartRate.dominantFrequency == null) {
+    return "No spectral peak found in the heart rate search range";
+  }
+
+  const parts = [
+    `Pulse-band peak at ${heartRate.dominantFrequency} Hz (${heartRate.value} bpm)`,
+  ];
+  if (heartRate.harmonicCorrected) {
+    parts.push("halved because the raw peak was the 2nd harmonic");
+  }
+  if (heartRate.snr != null) {
+    parts.push(`spectral SNR ${heartRate.snr} dB`);
+  }
+  return parts.join(", ");
+}
+
 function formatHRVData(hrv) {
   return {
     value: hrv.value,
     unit: "ms",
+    metric: "RMSSD",
     confidence: hrv.confidence,
+    quality: formatQuality(hrv.quality),
     interpretation: interpretHRV(hrv.value),
     status: getHRVStatus(hrv.value),
     range: {
@@ -79,6 +158,14 @@ function formatHRVData(hrv) {
       high: 200,
       measured: hrv.value,
     },
+    timeDomain: hrv.timeDomain || null,
+    frequencyDomain: hrv.frequencyDomain
+      ? {
+          ...hrv.frequencyDomain,
+          balance: interpretAutonomicBalance(hrv.frequencyDomain.lfHfRatio),
+        }
+      : null,
+    beats: hrv.beats || null,
   };
 }
 
@@ -87,6 +174,7 @@ function formatRespiratoryData(respRate) {
     value: respRate.value,
     unit: "breaths/min",
     confidence: respRate.confidence,
+    quality: formatQuality(respRate.quality),
     interpretation: interpretRespiratoryRate(respRate.value),
     status: getRespiratoryStatus(respRate.value),
     range: {
@@ -94,6 +182,8 @@ function formatRespiratoryData(respRate) {
       high: 20,
       measured: respRate.value,
     },
+    sources: respRate.sources,
+    agreeingSources: respRate.agreeingSources,
   };
 }
 
@@ -119,6 +209,7 @@ function formatBloodPressureData(bp) {
         measured: bp.diastolic,
       },
     },
+    calibration: formatCalibration(bp.calibration),
   };
 }
 
@@ -200,10 +291,11 @@ function formatSpO2Data(spO2) {
         measured: spO2.perfusionIndex,
       },
     },
+    calibration: formatCalibration(spO2.calibration),
     quality: {
       value: spO2.quality.score,
       confidence: spO2.quality.confidence,
-      reliability: spO2.quality.reliability,
+      reasons: spO2.quality.reasons,
       range: {
         low: 0,
         high: 1,
@@ -213,22 +305,125 @@ function formatSpO2Data(spO2) {
   };
 }
 
+/**
+ * Whether subject/device or default coefficients produced a value
+ */
+function formatCalibration(calibration) {
+  if (!calibration) return { calibrated: false, source: "default" };
+  return {
+    calibrated: calibration.calibrated,
+    source: calibration.calibrated ? "subject" : "default",
+    coefficients: calibration.coefficients,
+    referenceCount: calibration.referenceCount,
+    updatedAt: calibration.updatedAt,
+  };
+}
+
+/**
+ * Score and reasons of a signal-quality index, without its raw components
+ */
+function formatQuality(quality) {
+  if (!quality) return null;
+  return {
+    score: quality.score,
+    level: quality.level,
+    reasons: quality.reasons,
+  };
+}
+
+/**
+ * Per-window series with a summary over the windows that produced a value
+ */
+function formatTrendData(trends) {
+  if (!trends) return null;
+
+  const formatSeries = (series, unit) => {
+    const values = series
+      .map((point) => point.value)
+      .filter((value) => Number.isFinite(value));
+    const mean = values.length
+      ? values.reduce((a, b) => a + b, 0) / values.length
+      : null;
+
+    return {
+      unit,
+      series,
+      summary: {
+        min: values.length ? Math.min(...values) : null,
+        max: values.length ? Math.max(...values) : null,
+        mean: mean === null ? null : Number(mean.toFixed(1)),
+        change: values.length
+          ? Number((values[values.length - 1] - values[0]).toFixed(1))
+          : null,
+        validWindows: values.length,
+        lowQualityWindows: series.filter(
+          (point) => point.quality.confidence === "low"
+        ).length,
+      },
+    };
+  };
+
+  return {
+    windowSeconds: trends.windowSeconds,
+    stepSeconds: trends.stepSeconds,
+    windowCount: trends.windowCount,
+    heartRate: formatSeries(trends.heartRate, "bpm"),
+    respiratoryRate: formatSeries(trends.respiratoryRate, "breaths/min"),
+    spO2: formatSeries(trends.spO2, "%"),
+  };
+}
+
+/**
+ * Liveness verdict with the value and score of each check
+ */
+function formatLivenessData(liveness) {
+  if (!liveness) return null;
+
+  return {
+    verdict: liveness.verdict,
+    score: liveness.score,
+    reasons: liveness.reasons,
+    components: Object.fromEntries(
+      Object.entries(liveness.components).map(([name, { value, score }]) => [
+        name,
+        { value, score },
+      ])
+    ),
+  };
+}
+
+/**
+ * Time ranges left out of pulse and SpO2 because of head motion
+ */
+function formatMotionData(motion) {
+  if (!motion) return null;
+
+  return {
+    ranges: motion.artifacts,
+    discardedPercentage: motion.discardedPercentage,
+    usableSegments: motion.usableSegments,
+  };
+}
+
 /**
  * Status determination functions
  */
 function getHeartRateStatus(hr) {
+  if (hr === null) return "unknown";
   if (hr < 60) return "low";
   if (hr > 100) return "high";
   return "normal";
 }
 
 function getHRVStatus(hrv) {
+  if (hrv === null) return "unknown";
   if (hrv < 20) return "low";
   if (hrv > 200) return "high";
   return "normal";
 }
 
 function getRespiratoryStatus(rate) {
+  if (rate === null) return "unknown";
   if (rate < 12) return "low";
   if (rate > 20) return "high";
   return "normal";
@@ -241,6 +436,7 @@ function getBloodPressureStatus(bp) {
 }
 
 function getStressStatus(level) {
+  if (level === null) return "unknown";
   if (level > 70) return "high";
   if (level > 40) return "moderate";
   return "low";
@@ -250,18 +446,21 @@ function getStressStatus(level) {
  * Interpretation functions
  */
 function interpretHeartRate(hr) {
+  if (hr === null) return "Measurement failed";
   if (hr < 60) return "Below normal range (bradycardia)";
   if (hr > 100) return "Above normal range (tachycardia)";
   return "Within normal range";
 }
 
 function interpretHRV(hrv) {
+  if (hrv === null) return "Measurement failed";
   if (hrv < 20) return "Lower than optimal variability";
   if (hrv > 200) return "Higher than typical variability";
   return "Normal variability";
 }
 
 function interpretRespiratoryRate(rate) {
+  if (rate === null) return "Measurement failed";
   if (rate < 12) return "Below normal range";
   if (rate > 20) return "Above normal range";
   return "Normal breathing rate";
@@ -273,7 +472,15 @@ function interpretBloodPressure(bp) {
   return "Normal blood pressure range";
 }
 
+function interpretAutonomicBalance(lfHfRatio) {
+  if (lfHfRatio === null) return "unknown";
+  if (lfHfRatio > 2) return "Sympathetic predominance";
+  if (lfHfRatio < 0.5) return "Parasympathetic predominance";
+  return "Balanced";
+}
+
 function interpretStressLevel(level) {
+  if (level === null) return "Measurement failed";
   if (level > 70) return "High stress detected";
   if (level > 40) return "Moderate stress level";
   return "Low stress level";
@@ -296,13 +503,17 @@ function generateHealthSummary(vitals) {
   const concerns = [];
   const positives = [];
 
-  if (vitals.heartRate.value < 60 || vitals.heartRate.value > 100) {
+  if (vitals.heartRate.value === null) {
+    concerns.push("Heart rate could not be measured");
+  } else if (vitals.heartRate.value < 60 || vitals.heartRate.value > 100) {
     concerns.push("Heart rate outside normal range");
   } else {
     positives.push("Heart rate within normal range");
   }
 
-  if (vitals.hrv.value < 20) {
+  if (vitals.hrv.value === null) {
+    concerns.push("Heart rate variability could not be measured");
+  } else if (vitals.hrv.value < 20) {
     concerns.push("Lower than optimal heart rate variability");
   } else {
     positives.push("Good heart rate variability");
@@ -424,6 +635,7 @@ function generateMoodSuggestions(mood) {
  * Assessment and analysis functions
  */
 function calculateOverallConfidence(vitals) {
+  // Used for measurements without a numeric quality index
   const confidenceScores = {
     high: 1,
     moderate: 0.6,
@@ -441,21 +653,34 @@ function calculateOverallConfidence(vitals) {
 
   const avgConfidence =
     measurements
-      .map((m) => confidenceScores[m.confidence] || 0.5)
+      .map((m) =>
+        m.quality && Number.isFinite(m.quality.score)
+          ? m.quality.score
+          : confidenceScores[m.confidence] || 0.5
+      )
       .reduce((a, b) => a + b, 0) / measurements.length;
 
+  const reasons = [
+    ...new Set(
+      [vitals.signalQuality, ...measurements.map((m) => m.quality)].flatMap(
+        (quality) => (quality && quality.reasons) || []
+      )
+    ),
+  ];
+
   return {
-    score: avgConfidence,
-    level:
-      avgConfidence > 0.8 ? "high" : avgConfidence > 0.5 ? "moderate" : "low",
+    score: Number(avgConfidence.toFixed(3)),
+    level: getQualityLevel(avgConfidence),
+    reasons,
     factors: assessConfidenceFactors(vitals),
   };
 }
 
 function assessMeasurementQuality(vitals) {
   return {
-    signalQuality: vitals.signalQuality.quality,
-    confidence: vitals.signalQuality.confidence,
+    score: vitals.signalQuality.score,
+    level: vitals.signalQuality.level,
+    reasons: vitals.signalQuality.reasons,
     factors: {
       lighting: assessLightingQuality(vitals.signalQuality),
       movement: assessMovementStability(vitals.signalQuality),
@@ -464,28 +689,42 @@ function assessMeasurementQuality(vitals) {
   };
 }
 
+/**
+ * Map the components of the signal-quality index onto descriptive factors
+ */
 function assessConfidenceFactors(vitals) {
+  const { components = {} } = vitals.signalQuality;
+  const describe = (component, good, poor) =>
+    !component || component.score === null
+      ? "unknown"
+      : component.score >= 0.5
+      ? good
+      : poor;
+
   return {
-    signalStrength: vitals.signalQuality.signalToNoise > 1.5 ? "good" : "poor",
-    measurementStability:
-      vitals.signalQuality.variability < 0.3 ? "stable" : "unstable",
-    dataCompleteness:
-      vitals.signalQuality.quality === "good" ? "complete" : "partial",
+    signalStrength: describe(components.snr, "good", "poor"),
+    measurementStability: describe(components.template, "stable", "unstable"),
+    dataCompleteness: describe(components.usable, "complete", "partial"),
   };
 }
 
 function assessLightingQuality(signalQuality) {
-  const snr = signalQuality.signalToNoise;
-  if (snr > 2) return "good";
-  if (snr > 1.5) return "adequate";
-  return "poor";
+  const { clipping } = signalQuality.components || {};
+  const flicker =
+    signalQuality.illumination && signalQuality.illumination.flicker;
+  if (flicker && flicker.detected && flicker.inPulseBand) return "poor";
+  if (!clipping || clipping.score === null) return "unknown";
+  return { high: "good", moderate: "adequate", low: "poor" }[
+    getQualityLevel(clipping.score)
+  ];
 }
 
 function assessMovementStability(signalQuality) {
-  const snr = signalQuality.signalToNoise;
-  if (snr > 2.5) return "stable";
-  if (snr > 1.5) return "moderate";
-  return "unstable";
+  const { usable } = signalQuality.components || {};
+  if (!usable || usable.score === null) return "unknown";
+  return { high: "stable", moderate: "moderate", low: "unstable" }[
+    getQualityLevel(usable.score)
+  ];
 }
 
 function assessRecordingDuration(vitals) {
@@ -531,17 +770,73 @@ function identifyHealthConcerns(vitals) {
   return concerns;
 }
 
-function identifyLimitations(vitals) {
+function identifyLimitations(vitals, recordingDetails = {}) {
   const limitations = [];
 
+  if (recordingDetails.truncated) {
+    const duration = Number(recordingDetails.duration).toFixed(1);
+    limitations.push(
+      `Only the start of the ${duration}s recording was searched for a face segment (frame limit reached)`
+    );
+  }
+
   if (vitals.bloodPressure.confidence === "low") {
     limitations.push(
       "Blood pressure measurements are experimental and should not be used for medical purposes"
     );
   }
 
-  if (vitals.signalQuality.quality === "poor") {
-    limitations.push("Signal quality issues may affect measurement accuracy");
+  const uncalibrated = [
+    ["Blood pressure", "cuff", vitals.bloodPressure],
+    ["Oxygen saturation", "pulse-oximeter", vitals.spO2],
+  ].filter(
+    ([, , measurement]) =>
+      measurement.value !== null &&
+      !(measurement.calibration && measurement.calibration.calibrated)
+  );
+  uncalibrated.forEach(([name, device]) => {
+    limitations.push(
+      `${name} uses default coefficients; submit ${device} readings for this subject to calibrate it`
+    );
+  });
+
+  if (vitals.liveness && vitals.liveness.verdict === "uncertain") {
+    limitations.push(
+      `Could not confirm that the recording shows a live face${
+        vitals.liveness.reasons.length
+          ? `: ${vitals.liveness.reasons.join("; ")}`
+          : ""
+      }`
+    );
+  }
+
+  if (vitals.signalQuality.level === "low") {
+    limitations.push(
+      `Signal quality issues may affect measurement accuracy${
+        vitals.signalQuality.reasons.length
+          ? `: ${vitals.signalQuality.reasons.join("; ")}`
+          : ""
+      }`
+    );
+  }
+
+  const flicker =
+    vitals.signalQuality.illumination &&
+    vitals.signalQuality.illumination.flicker;
+  if (flicker && flicker.detected) {
+    limitations.push(
+      `${flicker.mainsFrequency} Hz lighting flicker appears at ${
+        flicker.aliasFrequency
+      } Hz in the recording${
+        flicker.inPulseBand ? ", inside the heart rate range" : ""
+      }; daylight or flicker-free lighting gives more reliable results`
+    );
+  }
+
+  if (vitals.motion && vitals.motion.discardedPercentage > 30) {
+    limitations.push(
+      `${vitals.motion.discardedPercentage}% of the recording was discarded because of head movement`
+    );
   }
 
   if (vitals.spO2.confidence === "low") {
@@ -577,6 +872,7 @@ function interpretSpO2(value) {
 // Export all necessary functions
 export {
   generateVitalReport,
+  generateReportId,
   generateRecommendations,
   calculateOverallConfidence,
   identifyHealthConcerns,
@@ -0,0 +1,226 @@
+// services/respiration.js
+import {
+  bandpassFilter,
+  resampleToUniform,
+  welchSegments,
+  findSpectralPeak,
+  bandPower,
+} from "./dsp/index.js";
+import { detectBeats } from "./hrv.js";
+import {
+  combineQuality,
+  agreementComponent,
+  concentrationComponent,
+} from "./signalQuality.js";
+
+export const RESPIRATION_CONFIG = {
+  MIN_BPM: 6,
+  MAX_BPM: 30,
+  // Rate the respiratory series are resampled to before spectral analysis
+  SERIES_RATE: 4,
+  // Shorter stretches hold too few breaths to analyse
+  MIN_SEGMENT_SECONDS: 6,
+  // Estimates this close (breaths/min) count as agreeing
+  AGREEMENT_BPM: 2,
+  // Half-width of the band counted as the respiratory peak
+  PEAK_HALF_WIDTH_HZ: 0.05,
+};
+
+const SOURCE_LABELS = {
+  riiv: "pulse baseline (RIIV)",
+  riav: "pulse amplitude (RIAV)",
+  rifv: "pulse rate (RIFV)",
+  motion: "vertical face motion",
+};
+
+/**
+ * Respiratory rate from the breathing modulation of the rPPG signal (baseline,
+ * beat amplitude and beat interval) and from vertical face motion. Each source
+ * gets a spectral estimate and a quality (share of respiratory-band power in
+ * its peak); the largest group of agreeing sources is averaged by quality.
+ * @param {Object} input
+ * @param {Array} input.rgbSignal - Uniformly sampled skin [r, g, b] trace
+ * @param {Array} input.pulseSignal - Pulse signal on the same grid
+ * @param {number} input.samplingRate - Grid rate in Hz
+ * @param {number} input.startTime - Time of the first grid sample in seconds
+ * @param {Array} input.segments - [start, end) grid ranges free of motion
+ * @param {Array} input.motionSamples - { timestamp, verticalPosition }
+ * @param {Array} input.beats - Beats already detected on these segments
+ * @param {string} input.algorithmLabel - rPPG algorithm behind pulseSignal
+ * @returns {Object} Respiratory rate with per-source estimates
+ */
+export function estimateRespiratoryRate({
+  rgbSignal,
+  pulseSignal,
+  samplingRate,
+  startTime = 0,
+  segments,
+  motionSamples = [],
+  beats = detectBeats(pulseSignal, samplingRate, segments),
+  algorithmLabel = null,
+}) {
+  const gridTime = (i) => startTime + i / samplingRate;
+  const ranges = segments.map(([start, end]) => [
+    gridTime(start),
+    gridTime(end - 1),
+  ]);
+  const beatTimes = beats.map((beat) => gridTime(beat.index));
+
+  const sources = {
+    riiv: analyzeSource(
+      {
+        times: rgbSignal.map((_, i) => gridTime(i)),
+        values: rgbSignal.map((rgb) => rgb[1]),
+      },
+      ranges
+    ),
+    riav: analyzeSource(
+      { times: beatTimes, values: beats.map((beat) => beat.amplitude) },
+      ranges
+    ),
+    rifv: analyzeSource(
+      { times: beatTimes, values: beats.map((beat) => beat.interval) },
+      ranges
+    ),
+    motion: analyzeSource(
+      {
+        times: motionSamples.map((sample) => sample.timestamp),
+        values: motionSamples.map((sample) => sample.verticalPosition),
+      },
+      ranges
+    ),
+  };
+
+  return fuseEstimates(sources, algorithmLabel);
+}
+
+/**
+ * Respiratory-band spectral peak of an irregularly timed series, using only
+ * the points inside the given time ranges
+ * @returns {Object|null} { value, quality }
+ */
+function analyzeSource({ times, values }, ranges) {
+  const minFreq = RESPIRATION_CONFIG.MIN_BPM / 60;
+  const maxFreq = RESPIRATION_CONFIG.MAX_BPM / 60;
+
+  const series = ranges
+    .map(([from, to]) =>
+      times
+        .map((time, i) => ({ time, value: values[i] }))
+        .filter(
+          (point) =>
+            point.time >= from &&
+            point.time <= to &&
+            Number.isFinite(point.value)
+        )
+    )
+    .filter(
+      (points) =>
+        points.length >= 4 &&
+        points[points.length - 1].time - points[0].time >=
+          RESPIRATION_CONFIG.MIN_SEGMENT_SECONDS
+    )
+    .map((points) => {
+      const uniform = resampleToUniform(
+        points.map((point) => point.value),
+        points.map((point) => point.time),
+        RESPIRATION_CONFIG.SERIES_RATE
+      ).values;
+      return bandpassFilter(uniform, {
+        lowFreq: minFreq * 0.8,
+        highFreq: maxFreq * 1.2,
+        samplingRate: RESPIRATION_CONFIG.SERIES_RATE,
+        order: 2,
+      });
+    });
+
+  const spectrum = welchSegments(series, RESPIRATION_CONFIG.SERIES_RATE);
+  const peak = spectrum && findSpectralPeak(spectrum, minFreq, maxFreq);
+  const total = spectrum ? bandPower(spectrum, minFreq, maxFreq) : 0;
+  if (!peak || !(total > 0)) return null;
+
+  const halfWidth = RESPIRATION_CONFIG.PEAK_HALF_WIDTH_HZ;
+  return {
+    value: Number((peak.frequency * 60).toFixed(1)),
+    quality: Number(
+      (
+        bandPower(
+          spectrum,
+          peak.frequency - halfWidth,
+          peak.frequency + halfWidth
+        ) / total
+      ).toFixed(3)
+    ),
+  };
+}
+
+/**
+ * Quality-weighted mean of the largest-weight group of agreeing estimates
+ */
+function fuseEstimates(sources, algorithmLabel) {
+  const available = Object.entries(sources).filter(([, source]) => source);
+  const methodology =
+    `Fusion of ${Object.values(SOURCE_LABELS).join(", ")}` +
+    (algorithmLabel ? `; pulse from rPPG (${algorithmLabel})` : "");
+
+  let best = null;
+  available.forEach(([, anchor]) => {
+    const group = available.filter(
+      ([, source]) =>
+        Math.abs(source.value - anchor.value) <=
+        RESPIRATION_CONFIG.AGREEMENT_BPM
+    );
+    const weight = group.reduce((sum, [, source]) => sum + source.quality, 0);
+    if (!best || weight > best.weight) best = { group, weight };
+  });
+
+  const agreeingSources = best ? best.group.map(([name]) => name) : [];
+  const quality = combineQuality({
+    agreement: agreementComponent(
+      agreeingSources.length / Object.keys(SOURCE_LABELS).length
+    ),
+    concentration: concentrationComponent(
+      best && best.group.length ? best.weight / best.group.length : null
+    ),
+  });
+  const report = Object.fromEntries(
+    Object.keys(SOURCE_LABELS).map((name) => [
+      name,
+      sources[name]
+        ? {
+            ...sources[name],
+            label: SOURCE_LABELS[name],
+            agrees: agreeingSources.includes(name),
+          }
+        : null,
+    ])
+  );
+
+  if (!best || !(best.weight > 0)) {
+    return {
+      value: null,
+      unit: "breaths/min",
+      confidence: "low",
+      quality: { ...quality, score: 0, level: "low" },
+      methodology,
+      sources: report,
+      agreeingSources,
+    };
+  }
+
+  const value =
+    best.group.reduce(
+      (sum, [, source]) => sum + source.value * source.quality,
+      0
+    ) / best.weight;
+
+  return {
+    value: Math.round(value),
+    unit: "breaths/min",
+    confidence: quality.level,
+    quality,
+    methodology,
+    sources: report,
+    agreeingSources,
+  };
+}
@@ -0,0 +1,341 @@
+// services/roiExtractor.js
+import * as tf from "@tensorflow/tfjs-node";
+import { toFrameTensor } from "./videoService.js";
+
+// Configuration constants
+export const ROI_CONFIG = {
+  REGIONS: ["forehead", "leftCheek", "rightCheek"],
+  MIN_REGION_SIZE: 4, // pixels per side
+  // YCbCr skin thresholds (Chai & Ngan)
+  SKIN_CB: [77, 127],
+  SKIN_CR: [133, 173],
+  // Below this share of skin pixels the mask is ignored for the region
+  MIN_SKIN_RATIO: 0.2,
+  // Pixels with a channel at or above CLIP_HIGH, or all channels at or below
+  // CLIP_LOW, carry no pulse information
+  CLIP_HIGH: 250,
+  CLIP_LOW: 5,
+  // Gap between the face box and the background reference, as a share of
+  // the face width
+  BACKGROUND_MARGIN: 0.15,
+  // Frame corners used as background when no face has been seen yet
+  BACKGROUND_CORNER: 0.2,
+};
+
+// BlazeFace landmark order
+const LANDMARK = {
+  RIGHT_EYE: 0,
+  LEFT_EYE: 1,
+  NOSE: 2,
+  MOUTH: 3,
+};
+
+/**
+ * Derive forehead and cheek rectangles from a face box and BlazeFace landmarks.
+ * "left"/"right" are image-left and image-right.
+ * @param {Array} box - [x1, y1, x2, y2] in frame pixels
+ * @param {Array} landmarks - BlazeFace landmarks as [x, y] pairs (optional)
+ * @returns {Object} Regions as { x, y, width, height }, or null when too small
+ */
+export function getFaceRegions(box, landmarks, [frameWidth, frameHeight]) {
+  const [x1, y1, x2, y2] = box;
+  const w = x2 - x1;
+  const h = y2 - y1;
+
+  let rects;
+  if (Array.isArray(landmarks) && landmarks.length >= 4) {
+    const eyes = [landmarks[LANDMARK.RIGHT_EYE], landmarks[LANDMARK.LEFT_EYE]];
+    const [leftEye, rightEye] = eyes[0][0] < eyes[1][0] ? eyes : eyes.reverse();
+    const eyeY = (leftEye[1] + rightEye[1]) / 2;
+    const eyeDistance = rightEye[0] - leftEye[0];
+    const nose = landmarks[LANDMARK.NOSE];
+    const mouth = landmarks[LANDMARK.MOUTH];
+    const cheekTop = eyeY + 0.15 * h;
+    const cheekBottom = Math.max(cheekTop + 0.08 * h, (nose[1] + mouth[1]) / 2);
+
+    rects = {
+      forehead: [
+        leftEye[0],
+        Math.max(y1, eyeY - 0.55 * eyeDistance),
+        rightEye[0],
+        eyeY - 0.2 * eyeDistance,
+      ],
+      leftCheek: [
+        x1 + 0.1 * w,
+        cheekTop,
+        nose[0] - 0.25 * eyeDistance,
+        cheekBottom,
+      ],
+      rightCheek: [
+        nose[0] + 0.25 * eyeDistance,
+        cheekTop,
+        x2 - 0.1 * w,
+        cheekBottom,
+      ],
+    };
+  } else {
+    // Fixed proportions of the face box when landmarks are unavailable
+    rects = {
+      forehead: [x1 + 0.3 * w, y1 + 0.02 * h, x2 - 0.3 * w, y1 + 0.18 * h],
+      leftCheek: [x1 + 0.12 * w, y1 + 0.5 * h, x1 + 0.38 * w, y1 + 0.72 * h],
+      rightCheek: [x2 - 0.38 * w, y1 + 0.5 * h, x2 - 0.12 * w, y1 + 0.72 * h],
+    };
+  }
+
+  const regions = {};
+  for (const [name, [rx1, ry1, rx2, ry2]] of Object.entries(rects)) {
+    const left = Math.max(0, Math.round(rx1));
+    const top = Math.max(0, Math.round(ry1));
+    const right = Math.min(frameWidth, Math.round(rx2));
+    const bottom = Math.min(frameHeight, Math.round(ry2));
+
+    regions[name] =
+      right - left >= ROI_CONFIG.MIN_REGION_SIZE &&
+      bottom - top >= ROI_CONFIG.MIN_REGION_SIZE
+        ? { x: left, y: top, width: right - left, height: bottom - top }
+        : null;
+  }
+
+  return regions;
+}
+
+/**
+ * Non-face rectangles used as an illumination reference: beside and above the
+ * face, kept clear of it by BACKGROUND_MARGIN. Without a face box the top
+ * corners of the frame are used.
+ * @param {Array|null} box - [x1, y1, x2, y2] in frame pixels
+ * @returns {Array} Regions as { x, y, width, height }
+ */
+export function getBackgroundRegions(box, [frameWidth, frameHeight]) {
+  let rects;
+  if (box) {
+    const [x1, y1, x2, y2] = box;
+    const margin = ROI_CONFIG.BACKGROUND_MARGIN * (x2 - x1);
+    rects = [
+      [0, y1, x1 - margin, y2],
+      [x2 + margin, y1, frameWidth, y2],
+      [x1, 0, x2, y1 - margin],
+    ];
+  } else {
+    const cornerWidth = ROI_CONFIG.BACKGROUND_CORNER * frameWidth;
+    const cornerHeight = ROI_CONFIG.BACKGROUND_CORNER * frameHeight;
+    rects = [
+      [0, 0, cornerWidth, cornerHeight],
+      [frameWidth - cornerWidth, 0, frameWidth, cornerHeight],
+    ];
+  }
+
+  return rects
+    .map(([rx1, ry1, rx2, ry2]) => {
+      const left = Math.max(0, Math.round(rx1));
+      const top = Math.max(0, Math.round(ry1));
+      const right = Math.min(frameWidth, Math.round(rx2));
+      const bottom = Math.min(frameHeight, Math.round(ry2));
+      return { x: left, y: top, width: right - left, height: bottom - top };
+    })
+    .filter(
+      (region) =>
+        region.width >= ROI_CONFIG.MIN_REGION_SIZE &&
+        region.height >= ROI_CONFIG.MIN_REGION_SIZE
+    );
+}
+
+/**
+ * Mean RGB of a region, optionally restricted to skin-coloured pixels
+ * @returns {Object} { rgb: [r, g, b], pixels, skinRatio, clippedRatio }
+ */
+export function measureRegion(tensor, region, { skinMask = true } = {}) {
+  return tf.tidy(() => {
+    const crop = tf
+      .slice(tensor, [region.y, region.x, 0], [region.height, region.width, 3])
+      .toFloat();
+    const totalPixels = region.width * region.height;
+    const clipped = tf
+      .logicalOr(
+        crop.max(2).greaterEqual(ROI_CONFIG.CLIP_HIGH),
+        crop.max(2).lessEqual(ROI_CONFIG.CLIP_LOW)
+      )
+      .toFloat();
+    const clippedRatio = clipped.mean().dataSync()[0];
+
+    if (!skinMask) {
+      return {
+        rgb: Array.from(crop.mean([0, 1]).dataSync()),
+        pixels: totalPixels,
+        skinRatio: null,
+        clippedRatio,
+      };
+    }
+
+    const [r, g, b] = tf.split(crop, 3, 2);
+    const cb = r.mul(-0.168736).add(g.mul(-0.331264)).add(b.mul(0.5)).add(128);
+    const cr = r.mul(0.5).add(g.mul(-0.418688)).add(b.mul(-0.081312)).add(128);
+    const mask = tf
+      .logicalAnd(
+        tf.logicalAnd(
+          cb.greaterEqual(ROI_CONFIG.SKIN_CB[0]),
+          cb.lessEqual(ROI_CONFIG.SKIN_CB[1])
+        ),
+        tf.logicalAnd(
+          cr.greaterEqual(ROI_CONFIG.SKIN_CR[0]),
+          cr.lessEqual(ROI_CONFIG.SKIN_CR[1])
+        )
+      )
+      .toFloat();
+
+    const skinPixels = mask.sum().dataSync()[0];
+    const skinRatio = skinPixels / totalPixels;
+
+    if (skinRatio < ROI_CONFIG.MIN_SKIN_RATIO) {
+      return {
+        rgb: Array.from(crop.mean([0, 1]).dataSync()),
+        pixels: totalPixels,
+        skinRatio,
+        clippedRatio,
+      };
+    }
+
+    // Saturated skin often fails the chroma test, so clipping is measured
+    // over the whole region rather than the mask
+    return {
+      rgb: Array.from(crop.mul(mask).sum([0, 1]).div(skinPixels).dataSync()),
+      pixels: skinPixels,
+      skinRatio,
+      clippedRatio,
+    };
+  });
+}
+
+/**
+ * Per-ROI and fused skin RGB traces for a sequence of frames. Frames without a
+ * detected face reuse the most recent face box; before the first detection
+ * the whole frame is used.
+ * @param {Array} frames - { pixels, shape, face: { box, landmarks } | null }
+ * @param {Object} options
+ * @param {boolean} options.skinMask - Restrict regions to skin-coloured pixels
+ * @returns {Object} { rgb, regions: { forehead, leftCheek, rightCheek },
+ *   background: { samples, coverage }, coverage, clippedRatio }
+ */
+export function extractRegionTraces(frames, { skinMask = true } = {}) {
+  const combined = [];
+  const background = [];
+  const traces = Object.fromEntries(ROI_CONFIG.REGIONS.map((n) => [n, []]));
+  const skinRatios = Object.fromEntries(ROI_CONFIG.REGIONS.map((n) => [n, []]));
+  let lastFace = null;
+  let detectedFrames = 0;
+  let heldFrames = 0;
+  let clippedPixels = 0;
+  let measuredPixels = 0;
+
+  frames.forEach((frame) =>
+    // One float tensor per frame, shared by all of its regions
+    tf.tidy(() => {
+      const { face } = frame;
+      const tensor = toFrameTensor(frame);
+      if (face && face.box) {
+        lastFace = face;
+        detectedFrames++;
+      } else if (lastFace) {
+        heldFrames++;
+      }
+
+      const [height, width] = tensor.shape;
+      const regions = lastFace
+        ? getFaceRegions(lastFace.box, lastFace.landmarks, [width, height])
+        : {};
+
+      let weightedSum = [0, 0, 0];
+      let totalPixels = 0;
+
+      ROI_CONFIG.REGIONS.forEach((name) => {
+        if (!regions[name]) {
+          traces[name].push(null);
+          return;
+        }
+        const { rgb, pixels, skinRatio, clippedRatio } = measureRegion(
+          tensor,
+          regions[name],
+          { skinMask }
+        );
+        const area = regions[name].width * regions[name].height;
+        clippedPixels += clippedRatio * area;
+        measuredPixels += area;
+        traces[name].push(rgb);
+        if (skinRatio !== null) skinRatios[name].push(skinRatio);
+        weightedSum = weightedSum.map((sum, c) => sum + rgb[c] * pixels);
+        totalPixels += pixels;
+      });
+
+      if (totalPixels > 0) {
+        combined.push(weightedSum.map((sum) => sum / totalPixels));
+      } else {
+        // No usable face region: fall back to the whole frame
+        combined.push(Array.from(tensor.mean([0, 1]).dataSync()));
+      }
+
+      background.push(
+        measureBackground(
+          tensor,
+          getBackgroundRegions(lastFace ? lastFace.box : null, [width, height])
+        )
+      );
+    })
+  );
+
+  const regions = {};
+  ROI_CONFIG.REGIONS.forEach((name) => {
+    regions[name] = {
+      samples: fillGaps(traces[name]),
+      coverage: traces[name].filter(Boolean).length / (frames.length || 1),
+      skinRatio: skinRatios[name].length
+        ? skinRatios[name].reduce((a, b) => a + b, 0) / skinRatios[name].length
+        : null,
+    };
+  });
+
+  return {
+    rgb: combined,
+    regions,
+    background: {
+      samples: fillGaps(background),
+      coverage: background.filter(Boolean).length / (frames.length || 1),
+    },
+    coverage: {
+      detected: detectedFrames / (frames.length || 1),
+      held: heldFrames / (frames.length || 1),
+    },
+    clippedRatio: measuredPixels > 0 ? clippedPixels / measuredPixels : null,
+  };
+}
+
+/**
+ * Pixel-weighted mean RGB over the background regions, or null if none fit
+ */
+function measureBackground(tensor, regions) {
+  if (!regions.length) return null;
+
+  let weightedSum = [0, 0, 0];
+  let totalPixels = 0;
+  regions.forEach((region) => {
+    const { rgb, pixels } = measureRegion(tensor, region, { skinMask: false });
+    weightedSum = weightedSum.map((sum, c) => sum + rgb[c] * pixels);
+    totalPixels += pixels;
+  });
+
+  return weightedSum.map((sum) => sum / totalPixels);
+}
+
+/**
+ * Replace missing samples with the nearest earlier (or, at the start, later)
+ * value. Returns null when no sample is available at all.
+ */
+function fillGaps(samples) {
+  const firstValid = samples.find(Boolean);
+  if (!firstValid) return null;
+
+  let previous = firstValid;
+  return samples.map((sample) => {
+    if (sample) previous = sample;
+    return previous;
+  });
+}
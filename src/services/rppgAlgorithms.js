@@ -0,0 +1,326 @@
+// services/rppgAlgorithms.js
+import { bandpassFilter, welch, bandPower } from "./dsp/index.js";
+
+// Supported pulse extraction methods
+export const RPPG_ALGORITHMS = {
+  green: "GREEN",
+  chrom: "CHROM",
+  pos: "POS",
+  ica: "ICA",
+};
+
+export const DEFAULT_RPPG_ALGORITHM = "green";
+
+const ALGORITHM_CONFIG = {
+  WINDOW_SECONDS: 1.6, // Overlap-add window used by CHROM and POS
+  PULSE_BAND: [0.6, 4.0],
+  ICA_MAX_ITERATIONS: 200,
+  ICA_TOLERANCE: 1e-6,
+};
+
+/**
+ * Convert an RGB trace into a single pulse signal
+ * @param {Array} rgbSignal - Uniformly sampled [r, g, b] means
+ * @param {number} samplingRate - Sampling rate in Hz
+ * @param {string} algorithm - One of the keys of RPPG_ALGORITHMS
+ * @returns {Object} { signal, algorithm, label }
+ */
+export function extractPulseSignal(
+  rgbSignal,
+  samplingRate,
+  algorithm = DEFAULT_RPPG_ALGORITHM
+) {
+  if (!RPPG_ALGORITHMS[algorithm]) {
+    throw new Error(`Unsupported rPPG algorithm "${algorithm}"`);
+  }
+
+  const channels = [0, 1, 2].map((c) => rgbSignal.map((rgb) => rgb[c]));
+  let signal;
+
+  if (rgbSignal.length < 4) {
+    signal = channels[1];
+  } else if (algorithm === "chrom") {
+    signal = chrom(channels, samplingRate);
+  } else if (algorithm === "pos") {
+    signal = pos(channels, samplingRate);
+  } else if (algorithm === "ica") {
+    signal = ica(channels, samplingRate);
+  } else {
+    signal = channels[1];
+  }
+
+  return { signal, algorithm, label: RPPG_ALGORITHMS[algorithm] };
+}
+
+/**
+ * CHROM (de Haan & Jeanne, 2013): project normalised colour onto two
+ * chrominance axes and combine them so specular/motion components cancel
+ */
+function chrom(channels, samplingRate) {
+  return overlapAdd(channels, samplingRate, ([r, g, b]) => {
+    const x = r.map((_, i) => 3 * r[i] - 2 * g[i]);
+    const y = r.map((_, i) => 1.5 * r[i] + g[i] - 1.5 * b[i]);
+    const [xf, yf] = [x, y].map((s) =>
+      s.length >= 8 ? bandpass(s, samplingRate) : s
+    );
+    const alpha = std(xf) / (std(yf) || 1);
+    return xf.map((_, i) => xf[i] - alpha * yf[i]);
+  });
+}
+
+/**
+ * POS (Wang et al., 2017): project normalised colour onto the plane
+ * orthogonal to the skin tone
+ */
+function pos(channels, samplingRate) {
+  return overlapAdd(channels, samplingRate, ([r, g, b]) => {
+    const s1 = g.map((_, i) => g[i] - b[i]);
+    const s2 = g.map((_, i) => -2 * r[i] + g[i] + b[i]);
+    const alpha = std(s1) / (std(s2) || 1);
+    return s1.map((_, i) => s1[i] + alpha * s2[i]);
+  });
+}
+
+/**
+ * ICA (Poh et al., 2010): FastICA on the normalised channels, keeping the
+ * source with the most power in the pulse band
+ */
+function ica(channels, samplingRate) {
+  const normalized = channels.map(standardize);
+  const sources = fastICA(normalized);
+  const [low, high] = ALGORITHM_CONFIG.PULSE_BAND;
+
+  let best = sources[0];
+  let bestRatio = -Infinity;
+  sources.forEach((source) => {
+    const spectrum = welch(source, samplingRate);
+    const total = bandPower(spectrum, 0, samplingRate / 2) || 1;
+    const ratio =
+      bandPower(spectrum, low, Math.min(high, samplingRate / 2)) / total;
+    if (ratio > bestRatio) {
+      bestRatio = ratio;
+      best = source;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Run a projection on half-overlapping windows of temporally normalised
+ * channels and overlap-add the results
+ */
+function overlapAdd(channels, samplingRate, project) {
+  const length = channels[0].length;
+  const windowLength = Math.min(
+    length,
+    Math.max(4, Math.round(ALGORITHM_CONFIG.WINDOW_SECONDS * samplingRate))
+  );
+  const step = Math.max(1, Math.floor(windowLength / 2));
+  const output = new Array(length).fill(0);
+
+  // Window starts, with a final window flush against the end of the signal
+  const starts = [];
+  for (let start = 0; start + windowLength <= length; start += step) {
+    starts.push(start);
+  }
+  if (starts[starts.length - 1] + windowLength < length) {
+    starts.push(length - windowLength);
+  }
+
+  starts.forEach((start) => {
+    const windowed = channels.map((channel) => {
+      const segment = channel.slice(start, start + windowLength);
+      const mean = segment.reduce((a, b) => a + b, 0) / windowLength || 1;
+      return segment.map((value) => value / mean);
+    });
+
+    const h = project(windowed);
+    const mean = h.reduce((a, b) => a + b, 0) / h.length;
+    for (let i = 0; i < windowLength; i++) {
+      output[start + i] += h[i] - mean;
+    }
+  });
+
+  return output;
+}
+
+/**
+ * Symmetric FastICA with a tanh non-linearity
+ * @param {Array} signals - Zero-mean, unit-variance channels
+ * @returns {Array} Estimated independent sources
+ */
+function fastICA(signals) {
+  const n = signals.length;
+  const length = signals[0].length;
+  const { whitened } = whiten(signals);
+
+  // Deterministic start so repeated analyses of one upload agree
+  let W = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => (i === j ? 1 : 0.1 * (i + j + 1)))
+  );
+  W = symmetricDecorrelation(W);
+
+  for (
+    let iteration = 0;
+    iteration < ALGORITHM_CONFIG.ICA_MAX_ITERATIONS;
+    iteration++
+  ) {
+    const next = W.map((w) => {
+      const projections = whitened[0].map((_, t) =>
+        w.reduce((sum, wk, k) => sum + wk * whitened[k][t], 0)
+      );
+      const g = projections.map(Math.tanh);
+      const gPrimeMean =
+        g.reduce((sum, value) => sum + (1 - value * value), 0) / length;
+      return w.map(
+        (wk, k) =>
+          whitened[k].reduce((sum, x, t) => sum + x * g[t], 0) / length -
+          gPrimeMean * wk
+      );
+    });
+
+    const decorrelated = symmetricDecorrelation(next);
+    const change = Math.max(
+      ...decorrelated.map((w, i) =>
+        Math.abs(Math.abs(w.reduce((s, wk, k) => s + wk * W[i][k], 0)) - 1)
+      )
+    );
+    W = decorrelated;
+    if (change < ALGORITHM_CONFIG.ICA_TOLERANCE) break;
+  }
+
+  return W.map((w) =>
+    whitened[0].map((_, t) =>
+      w.reduce((sum, wk, k) => sum + wk * whitened[k][t], 0)
+    )
+  );
+}
+
+/**
+ * PCA whitening via the eigen-decomposition of the channel covariance
+ */
+function whiten(signals) {
+  const n = signals.length;
+  const length = signals[0].length;
+  const covariance = Array.from({ length: n }, (_, i) =>
+    Array.from(
+      { length: n },
+      (_, j) =>
+        signals[i].reduce((sum, x, t) => sum + x * signals[j][t], 0) / length
+    )
+  );
+
+  const { values, vectors } = jacobiEigen(covariance);
+  const whitened = values.map((value, k) => {
+    const scale = 1 / Math.sqrt(Math.max(value, 1e-12));
+    return signals[0].map(
+      (_, t) =>
+        scale * vectors.reduce((sum, row, i) => sum + row[k] * signals[i][t], 0)
+    );
+  });
+
+  return { whitened };
+}
+
+/**
+ * W <- (W W^T)^(-1/2) W
+ */
+function symmetricDecorrelation(W) {
+  const n = W.length;
+  const product = W.map((wi) =>
+    W.map((wj) => wi.reduce((sum, value, k) => sum + value * wj[k], 0))
+  );
+  const { values, vectors } = jacobiEigen(product);
+  const inverseRoot = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) =>
+      values.reduce(
+        (sum, value, k) =>
+          sum +
+          (vectors[i][k] * vectors[j][k]) / Math.sqrt(Math.max(value, 1e-12)),
+        0
+      )
+    )
+  );
+
+  return inverseRoot.map((row) =>
+    W[0].map((_, j) => row.reduce((sum, value, k) => sum + value * W[k][j], 0))
+  );
+}
+
+/**
+ * Eigen-decomposition of a small symmetric matrix (cyclic Jacobi rotations)
+ * @returns {Object} { values, vectors } with eigenvectors as columns
+ */
+function jacobiEigen(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row) => row.slice());
+  const v = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+  );
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal < 1e-20) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t =
+          Math.sign(theta || 1) /
+          (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return { values: a.map((row, i) => row[i]), vectors: v };
+}
+
+function bandpass(signal, samplingRate) {
+  const [low, high] = ALGORITHM_CONFIG.PULSE_BAND;
+  return bandpassFilter(signal, {
+    lowFreq: low,
+    highFreq: high,
+    samplingRate,
+    order: 2,
+  });
+}
+
+function standardize(signal) {
+  const mean = signal.reduce((a, b) => a + b, 0) / signal.length;
+  const deviation = std(signal) || 1;
+  return signal.map((value) => (value - mean) / deviation);
+}
+
+function std(signal) {
+  const mean = signal.reduce((a, b) => a + b, 0) / (signal.length || 1);
+  return Math.sqrt(
+    signal.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+      (signal.length || 1)
+  );
+}
@@ -0,0 +1,236 @@
+// services/signalQuality.js
+import {
+  bandpassFilter,
+  welchSegments,
+  findSpectralPeak,
+  spectralSNR,
+  correlation,
+} from "./dsp/index.js";
+
+// Each component maps a measurement linearly from its "poor" to its "good"
+// value onto a 0-1 score
+export const SIGNAL_QUALITY_CONFIG = {
+  SNR_DB: { POOR: -3, GOOD: 6 },
+  TEMPLATE_CORRELATION: { POOR: 0.5, GOOD: 0.9 },
+  // Share of clipped/saturated skin pixels
+  CLIPPED_RATIO: { POOR: 0.1, GOOD: 0 },
+  // Share of beat intervals rejected as ectopic or artifact
+  REJECTION_RATE: { POOR: 0.3, GOOD: 0.05 },
+  // Share of the recording left after motion rejection
+  USABLE_RATIO: { POOR: 0.3, GOOD: 0.9 },
+  // Share of respiratory sources agreeing with the fused rate
+  SOURCE_AGREEMENT: { POOR: 0.25, GOOD: 0.75 },
+  // Share of band power in a respiratory peak
+  PEAK_CONCENTRATION: { POOR: 0.2, GOOD: 0.6 },
+  // Components scoring below this add their reason to the list
+  REASON_THRESHOLD: 0.5,
+  LEVELS: { HIGH: 0.7, MODERATE: 0.4 },
+  PULSE_BAND: [0.6, 4.0],
+};
+
+/**
+ * Spectral SNR (dB) around the strongest pulse-band peak, averaged over the
+ * given segments
+ * @returns {Object|null} { snr, frequency }
+ */
+export function measureSpectralSNR(
+  signal,
+  samplingRate,
+  segments = [[0, signal.length]],
+  [minFreq, maxFreq] = SIGNAL_QUALITY_CONFIG.PULSE_BAND
+) {
+  const upper = Math.min(maxFreq, samplingRate / 2);
+  const spectrum = welchSegments(
+    segments
+      .filter(([start, end]) => end - start >= 4)
+      .map(([start, end]) =>
+        bandpassFilter(signal.slice(start, end), {
+          lowFreq: minFreq,
+          highFreq: upper,
+          samplingRate,
+          order: 2,
+        })
+      ),
+    samplingRate
+  );
+  const peak = spectrum && findSpectralPeak(spectrum, minFreq, upper);
+  if (!peak) return null;
+
+  return {
+    snr: spectralSNR(spectrum, peak.frequency, { minFreq, maxFreq: upper }),
+    frequency: peak.frequency,
+  };
+}
+
+/**
+ * Beat shape consistency: every beat window is correlated with the mean
+ * beat (template) of the signal
+ * @param {Array} pulseSignal - Uniformly sampled pulse signal
+ * @param {number} samplingRate - Sampling rate in Hz
+ * @param {Array} segments - [start, end) sample ranges the beats came from
+ * @param {Array} beats - Output of detectBeats
+ * @returns {number|null} Mean correlation with the template (-1..1)
+ */
+export function measureTemplateConsistency(
+  pulseSignal,
+  samplingRate,
+  segments,
+  beats
+) {
+  const intervals = beats
+    .map((beat) => beat.interval)
+    .filter((interval) => interval !== null)
+    .sort((a, b) => a - b);
+  if (intervals.length < 3) return null;
+
+  const medianInterval = intervals[Math.floor(intervals.length / 2)];
+  const half = Math.max(2, Math.round(0.5 * medianInterval * samplingRate));
+  const filtered = segments.map(([start, end]) =>
+    end - start >= 4
+      ? bandpassFilter(pulseSignal.slice(start, end), {
+          lowFreq: SIGNAL_QUALITY_CONFIG.PULSE_BAND[0],
+          highFreq: SIGNAL_QUALITY_CONFIG.PULSE_BAND[1],
+          samplingRate,
+          order: 2,
+        })
+      : null
+  );
+
+  const windows = beats
+    .map((beat) => {
+      const [start] = segments[beat.segment];
+      const signal = filtered[beat.segment];
+      const centre = Math.round(beat.index) - start;
+      if (!signal || centre - half < 0 || centre + half >= signal.length) {
+        return null;
+      }
+      return signal.slice(centre - half, centre + half + 1);
+    })
+    .filter(Boolean);
+  if (windows.length < 3) return null;
+
+  const template = windows[0].map(
+    (_, i) =>
+      windows.reduce((sum, window) => sum + window[i], 0) / windows.length
+  );
+  const correlations = windows.map((window) => correlation(window, template));
+  return correlations.reduce((a, b) => a + b, 0) / correlations.length;
+}
+
+/**
+ * Component scorers. Each returns { value, score, reason } with score in 0-1
+ * (null when the measurement is unavailable) and a reason for low scores.
+ */
+export function snrComponent(snr) {
+  return scoreComponent(
+    snr,
+    SIGNAL_QUALITY_CONFIG.SNR_DB,
+    (value) => `Pulse peak is weak against noise (spectral SNR ${value} dB)`
+  );
+}
+
+export function templateComponent(correlationValue) {
+  return scoreComponent(
+    correlationValue,
+    SIGNAL_QUALITY_CONFIG.TEMPLATE_CORRELATION,
+    (value) => `Beat shapes are inconsistent (template correlation ${value})`
+  );
+}
+
+export function clippingComponent(clippedRatio) {
+  return scoreComponent(
+    clippedRatio,
+    SIGNAL_QUALITY_CONFIG.CLIPPED_RATIO,
+    (value) =>
+      `${Math.round(value * 100)}% of skin pixels are clipped or saturated`
+  );
+}
+
+export function rejectionComponent(rejectionRate) {
+  return scoreComponent(
+    rejectionRate,
+    SIGNAL_QUALITY_CONFIG.REJECTION_RATE,
+    (value) =>
+      `${Math.round(value * 100)}% of beat intervals were rejected as irregular`
+  );
+}
+
+export function usableComponent(usableRatio) {
+  return scoreComponent(
+    usableRatio,
+    SIGNAL_QUALITY_CONFIG.USABLE_RATIO,
+    (value) =>
+      `Only ${Math.round(value * 100)}% of the recording was free of motion`
+  );
+}
+
+export function agreementComponent(agreementRatio) {
+  return scoreComponent(
+    agreementRatio,
+    SIGNAL_QUALITY_CONFIG.SOURCE_AGREEMENT,
+    (value) => `Only ${Math.round(value * 100)}% of the sources agree`
+  );
+}
+
+export function concentrationComponent(concentration) {
+  return scoreComponent(
+    concentration,
+    SIGNAL_QUALITY_CONFIG.PEAK_CONCENTRATION,
+    (value) => `No clear spectral peak (${Math.round(value * 100)}% of power)`
+  );
+}
+
+/**
+ * Combine components into one 0-1 score (mean of the available scores),
+ * a confidence level and the reasons behind low-scoring components
+ * @param {Object} components - Output of the component scorers, by name
+ * @returns {Object} { score, level, reasons, components }
+ */
+export function combineQuality(components) {
+  const scores = Object.values(components)
+    .map((item) => item.score)
+    .filter((score) => score !== null);
+  const score = scores.length
+    ? scores.reduce((a, b) => a + b, 0) / scores.length
+    : 0;
+
+  const reasons = Object.values(components)
+    .filter((item) => item.reason)
+    .map((item) => item.reason);
+  if (!scores.length) reasons.push("No quality measurement was possible");
+
+  return {
+    score: Number(score.toFixed(3)),
+    level: getQualityLevel(score),
+    reasons,
+    components,
+  };
+}
+
+/**
+ * Map a 0-1 quality score onto the high/moderate/low confidence scale
+ */
+export function getQualityLevel(score) {
+  if (score >= SIGNAL_QUALITY_CONFIG.LEVELS.HIGH) return "high";
+  if (score >= SIGNAL_QUALITY_CONFIG.LEVELS.MODERATE) return "moderate";
+  return "low";
+}
+
+/**
+ * Map a measurement linearly from its POOR to its GOOD value onto a 0-1
+ * score; `describe` builds the reason shown when the score is low
+ */
+export function scoreComponent(value, { POOR, GOOD }, describe) {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return { value: value ?? null, score: null, reason: null };
+  }
+
+  const score = Math.min(1, Math.max(0, (value - POOR) / (GOOD - POOR)));
+  const rounded = Number(value.toFixed(3));
+  return {
+    value: rounded,
+    score: Number(score.toFixed(3)),
+    reason:
+      score < SIGNAL_QUALITY_CONFIG.REASON_THRESHOLD ? describe(rounded) : null,
+  };
+}
@@ -1,35 +1,63 @@
 // services/spO2Processor.js
 
 import * as tf from "@tensorflow/tfjs-node";
+import { bandpassFilter } from "./dsp/index.js";
+import {
+  combineQuality,
+  measureSpectralSNR,
+  snrComponent,
+  clippingComponent,
+} from "./signalQuality.js";
+
+// Default calibration curve SpO2 = a - b * R, used until a subject or device
+// has been calibrated against a pulse oximeter
+const SPO2_CALIBRATION = { a: 110, b: 25 };
 
 /**
  * Calculate SpO2 using advanced signal processing
- * @param {Array} rppgSignal - RGB signals from video frames
+ * @param {Array} rppgSignal - RGB signals from video frames, uniformly sampled
+ * @param {Object} options
+ * @param {number} options.samplingRate - Sampling rate of the signal in Hz
+ * @param {Array} options.segments - [start, end) sample ranges to use; the
+ *   rest (e.g. motion artifacts) is left out. Defaults to the whole signal.
+ * @param {number} options.clippingRatio - Share of clipped skin pixels
+ * @param {Object} options.calibration - Fitted { coefficients: { a, b },
+ *   referenceCount, updatedAt } for this subject/device, or null for defaults
+ * @param {string} options.algorithmLabel - Selected pulse algorithm; SpO2
+ *   always uses the red and blue channels, so it is only recorded
  * @returns {Object} SpO2 measurement with confidence and details
  */
-async function calculateSpO2(rppgSignal) {
+async function calculateSpO2(
+  rppgSignal,
+  {
+    samplingRate,
+    segments = [[0, rppgSignal.length]],
+    clippingRatio = null,
+    calibration = null,
+    algorithmLabel = null,
+  }
+) {
+  if (!segments.length) {
+    return {
+      value: null,
+      unit: "%",
+      confidence: "low",
+      methodology: "No motion-free segment long enough to analyse",
+    };
+  }
+
   try {
-    // 1. Signal Preprocessing
-    const { redSignal, infraredSignal } = preprocessSignals(rppgSignal);
+    // 1. Signal Preprocessing on the usable samples only
+    const { signal, ranges } = joinSegments(rppgSignal, segments);
+    const { redSignal, infraredSignal } = preprocessSignals(signal);
 
     // 2. Apply bandpass filter to isolate physiological frequencies (0.5 - 4 Hz)
-    const filteredRed = butterworth(redSignal, {
-      lowFreq: 0.5,
-      highFreq: 4.0,
-      samplingRate: 30,
-      order: 4,
-    });
-
-    const filteredIR = butterworth(infraredSignal, {
-      lowFreq: 0.5,
-      highFreq: 4.0,
-      samplingRate: 30,
-      order: 4,
-    });
+    const filteredRed = filterSegments(redSignal, ranges, samplingRate);
+    const filteredIR = filterSegments(infraredSignal, ranges, samplingRate);
 
     // 3. Advanced AC/DC Component Calculation
-    const redComponents = calculateACDCComponents(filteredRed);
-    const irComponents = calculateACDCComponents(filteredIR);
+    const redComponents = calculateACDCComponents(filteredRed, samplingRate);
+    const irComponents = calculateACDCComponents(filteredIR, samplingRate);
 
     // 4. Calculate ratio of ratios (R) using both amplitude and area methods
     const ratioAmplitude = calculateRatioAmplitude(redComponents, irComponents);
@@ -39,10 +67,17 @@ async function calculateSpO2(rppgSignal) {
     const R = ratioAmplitude * 0.6 + ratioArea * 0.4;
 
     // 6. Apply calibration curve
-    const spO2 = calculateCalibatedSpO2(R);
+    const coefficients = calibration
+      ? calibration.coefficients
+      : SPO2_CALIBRATION;
+    const spO2 = calculateCalibatedSpO2(R, coefficients);
 
     // 7. Quality Assessment
-    const quality = assessSignalQuality(redSignal, infraredSignal, R);
+    const quality = assessSignalQuality(redSignal, infraredSignal, R, {
+      samplingRate,
+      ranges,
+      clippingRatio,
+    });
 
     // 8. Perfusion Index calculation
     const perfusionIndex = calculatePerfusionIndex(redComponents);
@@ -51,15 +86,24 @@ async function calculateSpO2(rppgSignal) {
       value: Math.round(spO2 * 10) / 10, // Round to 1 decimal place
       unit: "%",
       confidence: quality.confidence,
-      methodology: "Advanced rPPG with dual ratio calculation",
+      methodology: algorithmLabel
+        ? `Advanced rPPG with dual ratio calculation (red and blue channels, regardless of the selected ${algorithmLabel})`
+        : "Advanced rPPG with dual ratio calculation (red and blue channels)",
       perfusionIndex: perfusionIndex,
       quality: quality,
+      // Inputs of the calibration curve, kept so references can be fitted
+      features: { rValue: Number.isFinite(R) ? R : null },
+      calibration: {
+        calibrated: Boolean(calibration),
+        coefficients,
+        referenceCount: calibration ? calibration.referenceCount : 0,
+        updatedAt: calibration ? calibration.updatedAt : null,
+      },
       details: {
         rValue: R.toFixed(3),
         redPerfusion: redComponents.perfusion.toFixed(3),
         irPerfusion: irComponents.perfusion.toFixed(3),
         signalQuality: quality.score.toFixed(2),
-        reliability: quality.reliability,
       },
     };
   } catch (error) {
@@ -74,6 +118,33 @@ async function calculateSpO2(rppgSignal) {
   }
 }
 
+/**
+ * Concatenate the selected ranges and return their positions in the result
+ */
+function joinSegments(rppgSignal, segments) {
+  const signal = [];
+  const ranges = segments.map(([start, end]) => {
+    const from = signal.length;
+    signal.push(...rppgSignal.slice(start, end));
+    return [from, signal.length];
+  });
+  return { signal, ranges };
+}
+
+/**
+ * Bandpass each range on its own, so no filter runs across a removed gap
+ */
+function filterSegments(signal, ranges, samplingRate) {
+  return ranges.flatMap(([start, end]) =>
+    bandpassFilter(signal.slice(start, end), {
+      lowFreq: 0.5,
+      highFreq: 4.0,
+      samplingRate,
+      order: 4,
+    })
+  );
+}
+
 /**
  * Preprocess RGB signals to extract red and approximate infrared channels
  */
@@ -97,34 +168,12 @@ function preprocessSignals(rppgSignal) {
   };
 }
 
-/**
- * Implement Butterworth bandpass filter
- */
-function butterworth(signal, options) {
-  const { lowFreq, highFreq, samplingRate, order } = options;
-
-  // Convert frequencies to normalized frequency
-  const nyquist = samplingRate / 2;
-  const lowW = lowFreq / nyquist;
-  const highW = highFreq / nyquist;
-
-  // Create filter coefficients
-  const { numerator, denominator } = createButterworthCoefficients(
-    order,
-    lowW,
-    highW
-  );
-
-  // Apply filter
-  return filterSignal(signal, numerator, denominator);
-}
-
 /**
  * Calculate AC and DC components using advanced methods
  */
-function calculateACDCComponents(signal) {
-  // Calculate DC using moving average
-  const windowSize = 30; // 1 second at 30 fps
+function calculateACDCComponents(signal, samplingRate) {
+  // Calculate DC using a 1 second moving average
+  const windowSize = Math.max(1, Math.round(samplingRate));
   const dc = movingAverage(signal, windowSize);
 
   // Extract AC by removing DC
@@ -169,11 +218,8 @@ function calculateRatioArea(redSignal, irSignal) {
 /**
  * Apply empirical calibration curve
  */
-function calculateCalibatedSpO2(R) {
-  // Advanced calibration curve based on empirical data
+function calculateCalibatedSpO2(R, { a, b } = SPO2_CALIBRATION) {
   // SpO2 = a - b * R (where a and b are calibration coefficients)
-  const a = 110;
-  const b = 25;
   let spO2 = a - b * R;
 
   // Apply physiological limits
@@ -218,24 +264,33 @@ Math.std = (arr) => {
 };
 
 /**
- * Assess signal quality using multiple metrics
+ * Signal quality index of the red and IR traces: spectral SNR of the pulse in
+ * each, clipping of the skin pixels and whether R is physiological
+ * @returns {Object} { score, level, confidence, reasons, components }
  */
-function assessSignalQuality(redSignal, irSignal, R) {
-  const metrics = {
-    snr: calculateSNR(redSignal) * 0.3 + calculateSNR(irSignal) * 0.7,
-    stability: calculateSignalStability(redSignal, irSignal),
-    physiological: isPhysiologicallyValid(R),
-  };
-
-  const score =
-    metrics.snr * 0.4 + metrics.stability * 0.4 + metrics.physiological * 0.2;
+function assessSignalQuality(
+  redSignal,
+  irSignal,
+  R,
+  { samplingRate, ranges = [[0, redSignal.length]], clippingRatio = null }
+) {
+  const red = measureSpectralSNR(redSignal, samplingRate, ranges);
+  const ir = measureSpectralSNR(irSignal, samplingRate, ranges);
+  const snr = red && ir ? red.snr * 0.3 + ir.snr * 0.7 : null;
+
+  const quality = combineQuality({
+    snr: snrComponent(snr),
+    clipping: clippingComponent(clippingRatio),
+    physiological: {
+      value: Number.isFinite(R) ? Number(R.toFixed(3)) : null,
+      score: isPhysiologicallyValid(R),
+      reason: isPhysiologicallyValid(R)
+        ? null
+        : "Ratio of ratios is outside the physiological range (0.5-2.0)",
+    },
+  });
 
-  return {
-    score,
-    confidence: determineConfidenceLevel(score),
-    reliability: calculateReliability(metrics),
-    metrics,
-  };
+  return { ...quality, confidence: quality.level };
 }
 
 /**
@@ -247,22 +302,6 @@ function normalizeSignal(signal) {
   return signal.map((value) => (value - mean) / std);
 }
 
-function createButterworthCoefficients(order, lowW, highW) {
-  // Implementation of Butterworth filter coefficient calculation
-  // This would be a complex implementation based on digital filter design
-  // For brevity, returning placeholder values
-  return {
-    numerator: [1],
-    denominator: [1],
-  };
-}
-
-function filterSignal(signal, numerator, denominator) {
-  // Implement digital filter using difference equation
-  // For now, returning simple moving average as placeholder
-  return movingAverage(signal, 5);
-}
-
 function movingAverage(signal, windowSize) {
   const result = [];
   for (let i = 0; i < signal.length; i++) {
@@ -277,32 +316,15 @@ function movingAverage(signal, windowSize) {
   return result;
 }
 
-function calculateSNR(signal) {
-  const mean = Math.mean(signal);
-  const noise = Math.std(signal);
-  return mean / noise;
-}
-
-function calculateSignalStability(redSignal, irSignal) {
-  const redStability = 1 / Math.std(redSignal);
-  const irStability = 1 / Math.std(irSignal);
-  return (redStability + irStability) / 2;
-}
-
 function isPhysiologicallyValid(R) {
   // R values typically range from 0.5 to 2.0 for normal SpO2 ranges
   return R >= 0.5 && R <= 2.0 ? 1 : 0;
 }
 
-function determineConfidenceLevel(score) {
-  if (score > 0.8) return "high";
-  if (score > 0.6) return "moderate";
-  return "low";
-}
-
-function calculateReliability(metrics) {
-  return Object.values(metrics).reduce((a, b) => a + b, 0) / 3;
-}
-
 // Export necessary functions
-export { calculateSpO2, assessSignalQuality, calculatePerfusionIndex };
+export {
+  calculateSpO2,
+  assessSignalQuality,
+  calculatePerfusionIndex,
+  SPO2_CALIBRATION,
+};
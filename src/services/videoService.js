@@ -1,15 +1,21 @@
 // videoService.js
 import ffmpeg from "fluent-ffmpeg";
-import fs from "fs/promises";
-import path from "path";
 import * as tf from "@tensorflow/tfjs-node";
 
 // Configuration constants
 export const VIDEO_CONFIG = {
   MIN_FRAMES: 20,
-  MAX_FRAMES: 40,
+  // Memory bound: 900 frames at 320px is roughly 200MB of RGB24 bytes
+  MAX_FRAMES: 900,
   BASE_FPS: 5,
+  // Preferred analysis rate; well above the Nyquist rate of the pulse band
+  ANALYSIS_FPS: 15,
   QUALITY_SCALE: 2,
+  // Longest side of decoded frames in pixels
+  MAX_FRAME_SIZE: 320,
+  // Pixel budget of a measurement crop; larger crops are area-averaged down
+  // to it, which keeps the region means while bounding memory
+  MAX_MEASUREMENT_PIXELS: 120000,
   MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB
   SUPPORTED_FORMATS: [
     "video/mp4",
@@ -20,179 +26,451 @@ export const VIDEO_CONFIG = {
 };
 
 /**
- * Extract frames from video with adaptive frame rate
+ * Decoding profiles. "detection" frames are downscaled and sharpened, which
+ * helps BlazeFace but alters pixel values. "measurement" frames are what the
+ * vital-sign processors read: no enhancement filters, the face region at
+ * native resolution, and a fixed YUV-to-RGB conversion so skin colour means
+ * the same thing in every frame.
  */
-export const extractFramesFromVideo = async (videoPath) => {
-  const framesDir = path.join("uploads", `frames-${Date.now()}`);
-  await fs.mkdir(framesDir, { recursive: true });
+export const EXTRACTION_PROFILES = {
+  detection: {
+    filters: ["unsharp=3:3:1.5:3:3:0.0"],
+  },
+  measurement: {
+    filters: [],
+    // Area averaging with exact rounding and full chroma interpolation; the
+    // default bicubic scaler rings at edges
+    scaleFlags: "area+accurate_rnd+full_chroma_int",
+    // Exponent applied to normalised RGB values; 1 keeps the camera's
+    // transfer curve, about 2.2 approximates linear light for sRGB sources
+    gamma: 1,
+  },
+};
+
+// ffprobe color_space values and the matching swscale matrix names
+const COLOR_MATRICES = {
+  bt709: "bt709",
+  smpte170m: "bt601",
+  bt470bg: "bt601",
+  fcc: "fcc",
+  smpte240m: "smpte240m",
+  bt2020nc: "bt2020",
+  bt2020c: "bt2020",
+};
+
+/**
+ * Extract frames from video with adaptive frame rate. ffmpeg writes raw RGB24
+ * frames to stdout; they are split by the known frame size as they arrive and
+ * only the sampled frames are kept, as bytes (see toFrameTensor).
+ * Both profiles use the same frame rate and sampling, so a frame's index
+ * refers to the same source frame in either.
+ * @param {string} videoPath - Path of the video file
+ * @param {Object} options
+ * @param {string} options.profile - Key of EXTRACTION_PROFILES
+ * @param {Object} options.region - Measurement crop { x, y, width, height }
+ *   in display pixels; the whole frame when omitted
+ * @param {Object} options.range - { startFrame, endFrame } decode indices to
+ *   keep, end exclusive; all frames when omitted
+ * @param {Object} options.videoInfo - Result of getVideoInfo; the video is
+ *   probed when omitted
+ * @param {Function} options.onProgress - Receives frame decoding progress
+ * @param {AbortSignal} options.signal - Kills ffmpeg and rejects when aborted
+ * @returns {Object} { frames: [{ index, timestamp, pixels, shape }], videoInfo, fps,
+ *   frameSize, region, color, truncated }, where truncated means frames past
+ *   MAX_FRAMES were dropped
+ */
+export const extractFramesFromVideo = async (
+  videoPath,
+  { profile = "detection", region, range, videoInfo, onProgress, signal } = {}
+) => {
+  const settings = EXTRACTION_PROFILES[profile];
+  if (!settings) throw new Error(`Unknown extraction profile "${profile}"`);
+
+  if (!videoInfo) videoInfo = await getVideoInfo(videoPath);
+  const optimalFps = calculateOptimalFps(videoInfo.duration, videoInfo.fps);
+  const measuring = profile === "measurement";
+  const crop = measuring ? getCropRegion(region, videoInfo) : null;
+  const color = measuring ? getColorConversion(videoInfo) : null;
+  const { width, height } = measuring
+    ? getMeasurementSize(crop)
+    : getOutputSize(videoInfo);
+  const frameBytes = width * height * 3;
+  const shouldKeep = createFrameSampler(range);
 
-  const duration = await getVideoDuration(videoPath);
-  const optimalFps = calculateOptimalFps(duration);
+  const presentationTimes = [];
+  const frames = [];
+  const pending = Buffer.alloc(frameBytes);
+  let pendingBytes = 0;
+  let frameIndex = 0;
 
   return new Promise((resolve, reject) => {
-    ffmpeg(videoPath)
-      .fps(optimalFps)
+    let settled = false;
+    // fluent-ffmpeg reports "end" when the process exits, which can be before
+    // the piped stdout has delivered its last frames; both have to be done
+    let exited = false;
+    let drained = false;
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      if (signal) signal.removeEventListener("abort", onAbort);
+      reject(error);
+    };
+
+    const onAbort = () => {
+      command.kill("SIGKILL");
+      fail(signal.reason || new Error("Frame extraction aborted"));
+    };
+
+    const handleFrame = (data) => {
+      if (shouldKeep(frameIndex)) {
+        frames.push({
+          index: frameIndex,
+          pixels: new Uint8Array(data),
+          shape: [height, width, 3],
+        });
+      }
+      frameIndex++;
+    };
+
+    const finish = () => {
+      if (settled || !exited || !drained) return;
+      if (pendingBytes > 0) {
+        return fail(
+          new Error(
+            `ffmpeg output ended ${pendingBytes} bytes into frame ${frameIndex} (frame size ${frameBytes} bytes)`
+          )
+        );
+      }
+      settled = true;
+      if (signal) signal.removeEventListener("abort", onAbort);
+
+      const timedFrames = frames.map((frame) => ({
+        ...frame,
+        timestamp: Number.isFinite(presentationTimes[frame.index])
+          ? presentationTimes[frame.index]
+          : videoInfo.startTime + frame.index / optimalFps,
+      }));
+
+      if (onProgress) {
+        onProgress({
+          stage: "extracting",
+          profile,
+          framesDecoded: frameIndex,
+          framesSampled: timedFrames.length,
+          done: true,
+        });
+      }
+
+      resolve({
+        frames: timedFrames,
+        videoInfo,
+        fps: optimalFps,
+        frameSize: { width, height },
+        region: crop,
+        color,
+        truncated: frameIndex > timedFrames.length,
+      });
+    };
+
+    const command = ffmpeg(videoPath)
       .videoFilters([
-        `scale=iw/${VIDEO_CONFIG.QUALITY_SCALE}:-1`,
-        "normalize",
-        "unsharp=3:3:1.5:3:3:0.0",
+        `fps=${optimalFps}`,
+        // No per-frame "normalize" in either profile: stretching every frame
+        // on its own mixes lighting changes into the skin colour in a way the
+        // background reference cannot model
+        ...(measuring
+          ? getMeasurementFilters(settings, crop, color, { width, height })
+          : [`scale=${width}:${height}`, ...settings.filters]),
+        "showinfo", // Logs the presentation timestamp of every output frame
       ])
       .outputOptions([
-        "-q:v",
-        "3",
+        "-vsync",
+        "0", // One output frame per filtered frame, no duplication
+        // Nothing after the range is needed; earlier frames still have to be
+        // decoded so indices match the detection pass
+        ...(range ? ["-frames:v", String(range.endFrame)] : []),
         "-pix_fmt",
-        "rgb24", // Ensure RGB output
+        "rgb24",
         "-f",
-        "image2", // Force image output format
+        "rawvideo",
       ])
-      .on("end", async () => {
-        try {
-          const files = await fs.readdir(framesDir);
-          const framePaths = files
-            .filter((file) => file.endsWith(".png")) // Changed to PNG
-            .sort((a, b) => {
-              const numA = parseInt(a.match(/\d+/)[0]);
-              const numB = parseInt(b.match(/\d+/)[0]);
-              return numA - numB;
-            })
-            .map((file) => path.join(framesDir, file));
-
-          // Load frames as buffers
-          const frameBuffers = await Promise.all(
-            sampleFrames(framePaths).map(async (framePath) => {
-              const buffer = await fs.readFile(framePath);
-              return buffer;
-            })
-          );
-
-          // Clean up original frames after loading them into memory
-          for (const framePath of framePaths) {
-            await fs.unlink(framePath).catch(console.error);
-          }
-          await fs.rmdir(framesDir).catch(console.error);
+      .on("stderr", (line) => {
+        const match = line.match(
+          /Parsed_showinfo.*\bn:\s*(\d+).*\bpts_time:\s*([-\d.]+)/
+        );
+        if (match) {
+          presentationTimes[parseInt(match[1], 10)] = parseFloat(match[2]);
+        }
+      })
+      .on("progress", (progress) => {
+        if (onProgress) {
+          onProgress({
+            stage: "extracting",
+            profile,
+            framesDecoded: progress.frames,
+          });
+        }
+      })
+      .on("error", (err) => fail(err))
+      .on("end", () => {
+        exited = true;
+        finish();
+      });
 
-          resolve(frameBuffers);
-        } catch (error) {
-          reject(error);
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    command
+      .pipe()
+      .on("data", (chunk) => {
+        if (settled) return;
+        let offset = 0;
+        while (offset < chunk.length) {
+          const copied = chunk.copy(pending, pendingBytes, offset);
+          pendingBytes += copied;
+          offset += copied;
+          if (pendingBytes === frameBytes) {
+            handleFrame(pending);
+            pendingBytes = 0;
+          }
         }
       })
-      .on("error", (err) => reject(err))
-      .save(`${framesDir}/frame-%d.png`); // Changed to PNG format
+      .on("end", () => {
+        drained = true;
+        finish();
+      });
   });
 };
 
 /**
- * Calculate frame brightness
+ * Float tensor of a decoded frame. Frames are held as RGB24 bytes, a quarter
+ * of the memory of int32 tensors, and only converted where they are read;
+ * call this inside tf.tidy or dispose the result.
+ */
+export const toFrameTensor = ({ pixels, shape }) =>
+  tf.tensor3d(pixels, shape, "float32");
+
+/**
+ * Calculate frame brightness as the mean grey level, 0-1
  */
 export const calculateFrameBrightness = async (tensor) => {
-  const grayscale = tf.mean(tensor, 2);
-  const brightness = await tf.mean(grayscale).data();
-  return brightness[0] / 255;
+  const brightness = tf.tidy(() => tf.mean(tf.mean(tensor.toFloat(), 2)));
+  const [value] = await brightness.data();
+  brightness.dispose();
+  return value / 255;
 };
 
 /**
- * Calculate optimal FPS based on video duration
+ * Calculate optimal FPS: ANALYSIS_FPS unless the recording is too long to fit
+ * MAX_FRAMES, never below BASE_FPS and never above the source rate
  */
-const calculateOptimalFps = (duration) => {
-  const targetFrames = VIDEO_CONFIG.MAX_FRAMES;
-  const calculatedFps = targetFrames / duration;
-  return Math.max(VIDEO_CONFIG.BASE_FPS, Math.min(calculatedFps, 10));
+const calculateOptimalFps = (duration, sourceFps) => {
+  const budgetFps =
+    duration > 0 ? VIDEO_CONFIG.MAX_FRAMES / duration : Infinity;
+  const fps = Math.max(
+    VIDEO_CONFIG.BASE_FPS,
+    Math.min(VIDEO_CONFIG.ANALYSIS_FPS, budgetFps)
+  );
+  return sourceFps ? Math.min(fps, sourceFps) : fps;
 };
 
 /**
- * Get video duration using ffmpeg
+ * Parse ffprobe frame rates such as "30000/1001"
  */
-export const getVideoDuration = async (videoPath) => {
+const parseFrameRate = (rate) => {
+  if (!rate) return null;
+  const [numerator, denominator = 1] = String(rate).split("/").map(Number);
+  const fps = numerator / denominator;
+  return Number.isFinite(fps) && fps > 0 ? fps : null;
+};
+
+/**
+ * Display rotation in degrees from stream tags or side data
+ */
+const getRotation = (stream) => {
+  const tagged = parseInt(stream.tags && stream.tags.rotate, 10);
+  if (Number.isFinite(tagged)) return tagged;
+
+  const sideData = (stream.side_data_list || []).find(
+    (data) => data.rotation !== undefined
+  );
+  return sideData ? parseInt(sideData.rotation, 10) || 0 : 0;
+};
+
+/**
+ * Get video stream information using ffprobe
+ */
+export const getVideoInfo = async (videoPath) => {
   return new Promise((resolve, reject) => {
     ffmpeg.ffprobe(videoPath, (err, metadata) => {
-      if (err) reject(err);
-      resolve(metadata.format.duration);
+      if (err) return reject(err);
+
+      const stream =
+        metadata.streams.find((s) => s.codec_type === "video") || {};
+      const streamDuration = parseFloat(stream.duration);
+      const formatDuration = parseFloat(metadata.format.duration);
+
+      resolve({
+        duration: Number.isFinite(streamDuration)
+          ? streamDuration
+          : formatDuration,
+        fps:
+          parseFrameRate(stream.avg_frame_rate) ||
+          parseFrameRate(stream.r_frame_rate),
+        width: stream.width,
+        height: stream.height,
+        frameCount: parseInt(stream.nb_frames, 10) || null,
+        startTime: parseFloat(stream.start_time) || 0,
+        codec: stream.codec_name,
+        pixelFormat: stream.pix_fmt,
+        colorSpace: stream.color_space || null,
+        colorRange: stream.color_range || null,
+        rotation: getRotation(stream),
+      });
     });
   });
 };
 
 /**
- * Sample frames if we have too many
+ * Get video duration using ffmpeg
  */
-const sampleFrames = (frames) => {
-  if (frames.length <= VIDEO_CONFIG.MAX_FRAMES) return frames;
-
-  const step = Math.ceil(frames.length / VIDEO_CONFIG.MAX_FRAMES);
-  const sampledFrames = [];
+export const getVideoDuration = async (videoPath) => {
+  const { duration } = await getVideoInfo(videoPath);
+  return duration;
+};
 
-  sampledFrames.push(frames[0]);
-  for (let i = step; i < frames.length - step; i += step) {
-    sampledFrames.push(frames[i]);
-  }
-  sampledFrames.push(frames[frames.length - 1]);
+/**
+ * Decide on the fly which decoded frames to keep, so at most MAX_FRAMES are
+ * held in memory. Frames are never decimated below the decoding rate, which
+ * would alias the pulse; recordings longer than MAX_FRAMES / BASE_FPS seconds
+ * are analysed from the start up to the cap instead. With a range, only
+ * frames inside it are kept.
+ */
+const createFrameSampler = (range) => {
+  let kept = 0;
 
-  return sampledFrames;
+  return (index) => {
+    if (range && (index < range.startFrame || index >= range.endFrame)) {
+      return false;
+    }
+    if (kept >= VIDEO_CONFIG.MAX_FRAMES) return false;
+    kept++;
+    return true;
+  };
 };
 
 /**
- * Cleanup frames with error handling
+ * Frame size as displayed; ffmpeg applies the rotation before the filters
  */
-export const cleanupFrames = async (framePaths) => {
-  // Since we're now handling cleanup in extractFramesFromVideo,
-  // this function can be simplified
-  try {
-    if (Array.isArray(framePaths)) {
-      framePaths.forEach((frame) => {
-        // If frame is a buffer, we don't need to do anything
-        // If it's a file path (legacy case), delete it
-        if (typeof frame === "string") {
-          fs.unlink(frame).catch(console.error);
-        }
-      });
-    }
-  } catch (error) {
-    console.warn("Frame cleanup warning:", error);
-  }
+export const getDisplaySize = ({ width, height, rotation }) =>
+  Math.abs(rotation) % 180 === 90
+    ? { width: height, height: width }
+    : { width, height };
+
+const even = (value) => Math.max(2, 2 * Math.round(value / 2));
+
+/**
+ * Output frame size after downscaling, accounting for rotated phone videos.
+ * The longest side is capped at MAX_FRAME_SIZE to bound memory; dimensions
+ * are kept even for the scaler.
+ */
+const getOutputSize = (videoInfo) => {
+  const { width: displayWidth, height: displayHeight } =
+    getDisplaySize(videoInfo);
+  const scale = Math.max(
+    VIDEO_CONFIG.QUALITY_SCALE,
+    Math.max(displayWidth, displayHeight) / VIDEO_CONFIG.MAX_FRAME_SIZE
+  );
+
+  return {
+    width: even(displayWidth / scale),
+    height: even(displayHeight / scale),
+  };
 };
 
 /**
- * Validate video file basics (size, type)
+ * Clamp a measurement crop to the displayed frame, on even coordinates so it
+ * lines up with subsampled chroma
  */
-export const validateVideoFile = (file) => {
-  const validationResult = {
-    isValid: true,
-    errors: [],
+const getCropRegion = (region, videoInfo) => {
+  const display = getDisplaySize(videoInfo);
+  const {
+    x = 0,
+    y = 0,
+    width = display.width,
+    height = display.height,
+  } = region || {};
+  const left = Math.max(0, 2 * Math.floor(x / 2));
+  const top = Math.max(0, 2 * Math.floor(y / 2));
+
+  return {
+    x: left,
+    y: top,
+    width: Math.max(
+      2,
+      2 * Math.floor(Math.min(width, display.width - left) / 2)
+    ),
+    height: Math.max(
+      2,
+      2 * Math.floor(Math.min(height, display.height - top) / 2)
+    ),
   };
+};
 
-  if (!file) {
-    validationResult.isValid = false;
-    validationResult.errors.push({
-      issue: "Missing file",
-      fix: "Please ensure you've selected a video file before uploading.",
-    });
-    return validationResult;
-  }
+/**
+ * Measurement frames keep the crop's native resolution unless it exceeds
+ * MAX_MEASUREMENT_PIXELS
+ */
+const getMeasurementSize = (crop) => {
+  const scale = Math.max(
+    1,
+    Math.sqrt((crop.width * crop.height) / VIDEO_CONFIG.MAX_MEASUREMENT_PIXELS)
+  );
+  if (scale === 1) return { width: crop.width, height: crop.height };
+  return { width: even(crop.width / scale), height: even(crop.height / scale) };
+};
 
-  if (file.size > VIDEO_CONFIG.MAX_FILE_SIZE) {
-    validationResult.isValid = false;
-    validationResult.errors.push({
-      issue: "File size too large",
-      details: `File size (${(file.size / (1024 * 1024)).toFixed(
-        2
-      )}MB) exceeds 50MB limit`,
-      fixes: [
-        "Compress your video",
-        "Record a shorter duration",
-        "Lower the video resolution while maintaining face visibility",
-      ],
-    });
-  }
+/**
+ * YUV-to-RGB matrix and range for the measurement decode. Untagged streams
+ * follow the usual convention: BT.709 from 720p up, BT.601 below, limited
+ * range unless marked full.
+ */
+const getColorConversion = ({ colorSpace, colorRange, width, height }) => ({
+  matrix:
+    COLOR_MATRICES[colorSpace] ||
+    (Math.min(width, height) >= 720 ? "bt709" : "bt601"),
+  range: colorRange === "pc" ? "full" : "limited",
+  tagged: Boolean(COLOR_MATRICES[colorSpace]),
+});
 
-  if (!VIDEO_CONFIG.SUPPORTED_FORMATS.includes(file.mimetype)) {
-    validationResult.isValid = false;
-    validationResult.errors.push({
-      issue: "Invalid file type",
-      details: `File type "${file.mimetype}" is not supported`,
-      fixes: [
-        `Supported formats: ${VIDEO_CONFIG.SUPPORTED_FORMATS.join(", ")}`,
-      ],
-    });
+/**
+ * Crop, scale and convert to RGB in one scale filter so ffmpeg does not insert
+ * its own conversion with default settings
+ */
+const getMeasurementFilters = (settings, crop, color, { width, height }) => {
+  const filters = [
+    `crop=${crop.width}:${crop.height}:${crop.x}:${crop.y}`,
+    [
+      `scale=w=${width}:h=${height}`,
+      `flags=${settings.scaleFlags}`,
+      `in_color_matrix=${color.matrix}`,
+      `in_range=${color.range}`,
+      "out_range=full",
+    ].join(":"),
+    "format=rgb24",
+    ...settings.filters,
+  ];
+
+  if (settings.gamma !== 1) {
+    // gammaval(g) raises normalised values to 1/g
+    const exponent = 1 / settings.gamma;
+    filters.push(
+      `lutrgb=r=gammaval(${exponent}):g=gammaval(${exponent}):b=gammaval(${exponent})`
+    );
   }
 
-  return validationResult;
+  return filters;
 };
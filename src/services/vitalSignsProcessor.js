@@ -1,18 +1,264 @@
 // services/vitalSignsProcessor.js
-import * as tf from "@tensorflow/tfjs-node";
 import { calculateSpO2 } from "./spO2Processor.js";
+import { extractRegionTraces } from "./roiExtractor.js";
+import { compensateIllumination, detectFlicker } from "./illumination.js";
+import { estimateRespiratoryRate } from "./respiration.js";
+import { assessLiveness } from "./liveness.js";
+import { analyzeHRV, detectBeats } from "./hrv.js";
+import {
+  combineQuality,
+  measureTemplateConsistency,
+  snrComponent,
+  templateComponent,
+  clippingComponent,
+  usableComponent,
+} from "./signalQuality.js";
+import {
+  analyzeMotion,
+  getUsableSegments,
+  clipSegments,
+  MOTION_CONFIG,
+} from "./motionAnalysis.js";
+import {
+  extractPulseSignal,
+  RPPG_ALGORITHMS,
+  DEFAULT_RPPG_ALGORITHM,
+} from "./rppgAlgorithms.js";
+import {
+  bandpassFilter,
+  welchSegments,
+  findSpectralPeak,
+  spectralSNR,
+  resampleToUniform,
+} from "./dsp/index.js";
+
+// Pulse band used for filtering (36-240 bpm)
+const PULSE_BAND = { LOW: 0.6, HIGH: 4.0 };
+// Used only when frame timestamps cannot give a rate (fewer than two frames)
+const FALLBACK_SAMPLING_RATE = 5;
+
+// Heart rate search range and spectral peak selection
+const HEART_RATE_CONFIG = {
+  MIN_BPM: 40,
+  MAX_BPM: 180,
+  // A sub-harmonic peak this strong means the dominant peak is the 2nd harmonic
+  HARMONIC_POWER_RATIO: 0.5,
+  HARMONIC_TOLERANCE_HZ: 0.1,
+};
+
+// Default blood pressure model: each pressure is intercept + slope * feature,
+// with the spread (systolic) and mean (diastolic) of the pulse peak amplitudes
+// as features. Used until a subject or device has been calibrated.
+const BLOOD_PRESSURE_CALIBRATION = {
+  systolic: { intercept: 110, slope: 30 },
+  diastolic: { intercept: 70, slope: 20 },
+};
+
+// Sliding-window trend analysis
+const WINDOW_CONFIG = {
+  SIZE_SECONDS: 10,
+  STEP_SECONDS: 2,
+};
+
+/**
+ * Compute all vital signs from the decoded frames. These should come from the
+ * unfiltered "measurement" extraction profile; enhanced detection frames
+ * distort the colour changes the pulse is read from.
+ * @param {Array} frames - Decoded frames as { index, timestamp, pixels, shape,
+ *   face } (see toFrameTensor), where timestamp is in seconds and face is the
+ *   BlazeFace { box, landmarks } or null
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called after each metric is computed
+ * @param {boolean} options.skinMask - Restrict face regions to skin pixels
+ * @param {string} options.algorithm - rPPG method: green, chrom, pos or ica
+ * @param {number} options.windowSeconds - Length of each trend window
+ * @param {number} options.stepSeconds - Offset between consecutive windows
+ * @param {number} options.sourceFps - Frame rate of the recording, used to
+ *   predict where mains flicker aliases to
+ * @param {Object} options.calibration - Fitted { bloodPressure, spO2 }
+ *   calibrations of the subject/device; missing entries use the defaults
+ * @returns {Object} The vital signs, or only { withheld, liveness,
+ *   signalQuality, motion, sampling } when the recording is likely a spoof
+ */
+async function processVitalSigns(
+  frames,
+  {
+    onProgress,
+    skinMask = true,
+    algorithm = DEFAULT_RPPG_ALGORITHM,
+    windowSeconds = WINDOW_CONFIG.SIZE_SECONDS,
+    stepSeconds = WINDOW_CONFIG.STEP_SECONDS,
+    sourceFps,
+    calibration = {},
+  } = {}
+) {
+  const reportStep = (metric, result) => {
+    if (onProgress) {
+      onProgress({
+        stage: "processing",
+        metric,
+        status: "done",
+        value: result && result.value !== undefined ? result.value : undefined,
+      });
+    }
+  };
+
+  const timestamps = frames.map((frame) => frame.timestamp);
+
+  const roiTraces = await extractRPPGSignal(frames, { skinMask });
+
+  // Frames may be unevenly spaced, so put the traces on a uniform time grid
+  const { samplingRate, duration } = estimateSampling(timestamps);
+  const backgroundSignal = roiTraces.background.samples
+    ? toUniformSignal(roiTraces.background.samples, timestamps, samplingRate)
+    : null;
 
-async function processVitalSigns(frameTensors) {
-  const rppgSignal = await extractRPPGSignal(frameTensors);
-  const signalQuality = calculateSignalQuality(rppgSignal);
+  // Remove lighting changes shared with the background from the skin trace
+  const illumination = compensateIllumination(
+    toUniformSignal(roiTraces.rgb, timestamps, samplingRate),
+    backgroundSignal
+  );
+  const rppgSignal = illumination.signal;
+
+  // Pulse and SpO2 only use the stretches without strong head motion
+  const motion = analyzeMotion(frames);
+  const startTime = Number.isFinite(timestamps[0]) ? timestamps[0] : 0;
+  const segments = getUsableSegments(motion.artifacts, {
+    length: rppgSignal.length,
+    samplingRate,
+    startTime,
+  });
+  reportStep("motion");
+
+  const pulse = extractPulseSignal(rppgSignal, samplingRate, algorithm);
+  // Beats are shared by the quality index, HRV and respiration
+  const beats = detectBeats(pulse.signal, samplingRate, segments);
+  const qualityInputs = {
+    templateCorrelation: measureTemplateConsistency(
+      pulse.signal,
+      samplingRate,
+      segments,
+      beats
+    ),
+    clippingRatio: roiTraces.clippedRatio,
+  };
 
-  const heartRate = await calculateHeartRate(rppgSignal);
-  const hrv = await calculateHRV(rppgSignal);
-  const respiratoryRate = await calculateRespiratoryRate(frameTensors);
-  const bloodPressure = await estimateBloodPressure(rppgSignal);
+  const heartRate = await calculateHeartRate(
+    pulse,
+    samplingRate,
+    segments,
+    qualityInputs
+  );
+  reportStep("heartRate", heartRate);
+
+  const usableRatio =
+    segments.reduce((sum, [start, end]) => sum + end - start, 0) /
+    Math.max(rppgSignal.length, 1);
+  const signalQuality = {
+    ...combineQuality({
+      ...heartRate.quality.components,
+      usable: usableComponent(usableRatio),
+    }),
+    illumination: {
+      compensated: illumination.applied,
+      varianceReduction: illumination.varianceReduction,
+      referenceCorrelation: illumination.referenceCorrelation,
+      referenceCoverage: roiTraces.background.coverage,
+      flicker: detectFlicker(backgroundSignal, samplingRate, { sourceFps }),
+    },
+  };
+  reportStep("signalQuality");
+
+  const regionSignals = Object.fromEntries(
+    Object.entries(roiTraces.regions).map(([name, region]) => [
+      name,
+      region.samples
+        ? toUniformSignal(region.samples, timestamps, samplingRate)
+        : null,
+    ])
+  );
+  const liveness = assessLiveness(frames, {
+    heartRate,
+    regionSignals,
+    segments,
+    samplingRate,
+  });
+  reportStep("liveness");
+
+  const motionSummary = {
+    artifacts: motion.artifacts,
+    // Includes motion-free stretches too short to analyse
+    discardedPercentage: Number((100 - 100 * usableRatio).toFixed(1)),
+    usableSegments: segments.map(([start, end]) => ({
+      start: Number((startTime + start / samplingRate).toFixed(2)),
+      end: Number((startTime + end / samplingRate).toFixed(2)),
+    })),
+  };
+  const sampling = {
+    rate: samplingRate,
+    duration,
+    frameCount: frames.length,
+  };
+
+  // Readings from a photo or a replayed video would describe someone else,
+  // or no one, so none are returned
+  if (liveness.spoofLikely) {
+    return {
+      withheld: true,
+      liveness,
+      signalQuality,
+      motion: motionSummary,
+      sampling,
+    };
+  }
+
+  const hrv = await calculateHRV(pulse, samplingRate, segments, {
+    ...qualityInputs,
+    beats,
+  });
+  reportStep("hrv", hrv);
+  const respiratoryRate = await calculateRespiratoryRate({
+    rppgSignal,
+    pulse,
+    samplingRate,
+    startTime,
+    segments,
+    motion,
+    beats,
+  });
+  reportStep("respiratoryRate", respiratoryRate);
+  const bloodPressure = await estimateBloodPressure(
+    rppgSignal,
+    pulse.label,
+    calibration.bloodPressure
+  );
+  reportStep("bloodPressure");
   const stressLevel = calculateStressLevel(hrv.value, respiratoryRate.value);
-  const mood = await analyzeMood(frameTensors);
-  const spO2 = await calculateSpO2(rppgSignal);
+  reportStep("stressLevel", stressLevel);
+  const mood = await analyzeMood(motion.samples);
+  reportStep("mood");
+  const spO2 = await calculateSpO2(rppgSignal, {
+    samplingRate,
+    segments,
+    clippingRatio: qualityInputs.clippingRatio,
+    calibration: calibration.spO2,
+    algorithmLabel: pulse.label,
+  });
+  reportStep("spO2", spO2);
+  const trends = await analyzeWindows(
+    {
+      rppgSignal,
+      pulse,
+      motion,
+      segments,
+      timestamps,
+      samplingRate,
+      clippingRatio: qualityInputs.clippingRatio,
+      spO2Calibration: calibration.spO2,
+    },
+    { windowSeconds, stepSeconds }
+  );
+  reportStep("trends");
 
   return {
     heartRate,
@@ -23,105 +269,211 @@ async function processVitalSigns(frameTensors) {
     mood,
     spO2,
     signalQuality,
+    liveness,
+    trends,
+    motion: motionSummary,
+    sampling,
+    rppg: {
+      algorithm: pulse.algorithm,
+      source: "face-roi",
+      skinMask,
+      faceCoverage: roiTraces.coverage,
+      regions: Object.fromEntries(
+        Object.entries(roiTraces.regions).map(([name, region]) => [
+          name,
+          { ...region, samples: regionSignals[name] },
+        ])
+      ),
+    },
   };
 }
 
-async function extractRPPGSignal(frameTensors) {
-  const signals = [];
+/**
+ * Skin-ROI RGB traces (forehead, both cheeks and their pixel-weighted fusion)
+ */
+async function extractRPPGSignal(frames, { skinMask }) {
+  return extractRegionTraces(frames, { skinMask });
+}
 
-  for (const tensor of frameTensors) {
-    const rgbMeans = tf.tidy(() => {
-      const channels = tf.split(tensor, 3, 2);
-      return channels.map((channel) => tf.mean(channel).dataSync()[0]);
-    });
-    signals.push(rgbMeans);
+/**
+ * Heart rate from the pulse spectrum, averaged over the usable segments
+ * @param {Object} pulse - Output of extractPulseSignal
+ * @param {number} samplingRate - Sampling rate in Hz
+ * @param {Array} segments - [start, end) sample ranges free of motion
+ * @param {Object} qualityInputs - { templateCorrelation, clippingRatio }
+ */
+async function calculateHeartRate(
+  pulse,
+  samplingRate,
+  segments = [[0, pulse.signal.length]],
+  { templateCorrelation = null, clippingRatio = null } = {}
+) {
+  const methodology = `rPPG (${pulse.label}) spectral peak (Welch PSD)`;
+  const minFreq = HEART_RATE_CONFIG.MIN_BPM / 60;
+  const maxFreq = Math.min(HEART_RATE_CONFIG.MAX_BPM / 60, samplingRate / 2);
+
+  // Each segment is filtered on its own so artifacts cannot ring into it
+  const spectrum = welchSegments(
+    segments.map(([start, end]) =>
+      filterPulseSignal(pulse.signal.slice(start, end), samplingRate)
+    ),
+    samplingRate
+  );
+  const dominant = spectrum && findSpectralPeak(spectrum, minFreq, maxFreq);
+
+  if (!dominant) {
+    return {
+      value: null,
+      unit: "bpm",
+      confidence: "low",
+      quality: combineQuality({
+        snr: snrComponent(null),
+        template: templateComponent(templateCorrelation),
+        clipping: clippingComponent(clippingRatio),
+      }),
+      methodology,
+      dominantFrequency: null,
+      snr: null,
+      harmonicCorrected: false,
+    };
   }
 
-  return signals;
-}
+  // Harmonic check: prefer the fundamental if the peak is really its 2nd harmonic
+  let selected = dominant;
+  let harmonicCorrected = false;
+  const subharmonic = findSpectralPeak(
+    spectrum,
+    Math.max(
+      minFreq,
+      dominant.frequency / 2 - HEART_RATE_CONFIG.HARMONIC_TOLERANCE_HZ
+    ),
+    dominant.frequency / 2 + HEART_RATE_CONFIG.HARMONIC_TOLERANCE_HZ
+  );
+  if (
+    subharmonic &&
+    subharmonic.power >= dominant.power * HEART_RATE_CONFIG.HARMONIC_POWER_RATIO
+  ) {
+    selected = subharmonic;
+    harmonicCorrected = true;
+  }
 
-async function calculateHeartRate(rppgSignal) {
-  const greenChannel = rppgSignal.map((rgb) => rgb[1]);
-  const peaks = detectPeaks(greenChannel);
-  const duration = rppgSignal.length / 5; // 5 FPS
-  const heartRate = (peaks.length * 60) / duration;
+  const snr = spectralSNR(spectrum, selected.frequency, {
+    minFreq,
+    maxFreq,
+  });
+  const quality = combineQuality({
+    snr: snrComponent(snr),
+    template: templateComponent(templateCorrelation),
+    clipping: clippingComponent(clippingRatio),
+  });
 
   return {
-    value: Math.round(heartRate),
+    value: Math.round(selected.frequency * 60),
     unit: "bpm",
-    confidence: calculateConfidence(peaks, "hr"),
-    methodology: "rPPG color changes in face",
+    confidence: quality.level,
+    quality,
+    methodology,
+    dominantFrequency: Number(selected.frequency.toFixed(3)),
+    snr: Number.isFinite(snr) ? Number(snr.toFixed(2)) : snr,
+    harmonicCorrected,
+    searchRange: {
+      minBpm: HEART_RATE_CONFIG.MIN_BPM,
+      maxBpm: Math.round(maxFreq * 60),
+    },
   };
 }
 
-async function calculateHRV(rppgSignal) {
-  const greenChannel = rppgSignal.map((rgb) => rgb[1]);
-  const peaks = detectPeaks(greenChannel);
-  const rrIntervals = peaks.slice(1).map((peak, i) => {
-    return ((peak - peaks[i]) / 5) * 1000; // Convert to ms
-  });
-
-  const rmssd = calculateRMSSD(rrIntervals);
-
-  return {
-    value: Math.round(rmssd),
-    unit: "ms",
-    confidence: calculateConfidence(rrIntervals, "hrv"),
-    methodology: "rPPG signal interval analysis",
-  };
+/**
+ * Time- and frequency-domain HRV from interpolated beat times
+ */
+async function calculateHRV(
+  pulse,
+  samplingRate,
+  segments = [[0, pulse.signal.length]],
+  options = {}
+) {
+  return analyzeHRV(pulse, samplingRate, segments, options);
 }
 
-async function calculateRespiratoryRate(frameTensors) {
-  const movements = [];
-
-  for (let i = 1; i < frameTensors.length; i++) {
-    const diff = tf.sub(frameTensors[i], frameTensors[i - 1]);
-    const movement = tf.mean(tf.abs(diff)).dataSync()[0];
-    movements.push(movement);
-    diff.dispose();
-  }
-
-  const respiratoryCycles = countBreathingCycles(movements);
-  const duration = frameTensors.length / 5; // 5 FPS
-  const rate = (respiratoryCycles * 60) / duration;
-
-  return {
-    value: Math.round(rate),
-    unit: "breaths/min",
-    confidence: calculateConfidence(movements, "respiratory"),
-    methodology: "Subtle head/chest movements",
-  };
+/**
+ * Respiratory rate fused from rPPG modulation (RIIV/RIAV/RIFV) and vertical
+ * face motion
+ */
+async function calculateRespiratoryRate({
+  rppgSignal,
+  pulse,
+  samplingRate,
+  startTime,
+  segments,
+  motion,
+  beats,
+}) {
+  return estimateRespiratoryRate({
+    rgbSignal: rppgSignal,
+    pulseSignal: pulse.signal,
+    samplingRate,
+    startTime,
+    segments,
+    motionSamples: motion.samples,
+    beats,
+    algorithmLabel: pulse.label,
+  });
 }
 
-async function estimateBloodPressure(rppgSignal) {
-  // Experimental BP estimation
+/**
+ * Experimental blood pressure from green-channel peak amplitudes. The model
+ * was fitted on the green trace, so it stays there whatever pulse algorithm
+ * was selected.
+ * @param {Array} rppgSignal - Uniformly sampled skin [r, g, b] trace
+ * @param {string} algorithmLabel - Selected pulse algorithm, for the record
+ * @param {Object} calibration - Fitted { coefficients, referenceCount,
+ *   updatedAt } for this subject/device, or null for the defaults
+ */
+async function estimateBloodPressure(
+  rppgSignal,
+  algorithmLabel,
+  calibration = null
+) {
   const greenChannel = rppgSignal.map((rgb) => rgb[1]);
   const peaks = detectPeaks(greenChannel);
   const peakAmplitudes = peaks.map((i) => greenChannel[i]);
+  const features = {
+    amplitudeStd: Math.std(peakAmplitudes),
+    amplitudeMean: Math.mean(peakAmplitudes),
+  };
+  const coefficients = calibration
+    ? calibration.coefficients
+    : BLOOD_PRESSURE_CALIBRATION;
 
-  const systolic = 110 + Math.round(Math.std(peakAmplitudes) * 30);
-  const diastolic = 70 + Math.round(Math.mean(peakAmplitudes) * 20);
+  const systolic = Math.round(
+    coefficients.systolic.intercept +
+      coefficients.systolic.slope * features.amplitudeStd
+  );
+  const diastolic = Math.round(
+    coefficients.diastolic.intercept +
+      coefficients.diastolic.slope * features.amplitudeMean
+  );
 
   return {
     systolic,
     diastolic,
     unit: "mmHg",
     confidence: "low",
-    methodology: "Experimental ML model with rPPG",
+    methodology: `Experimental ML model with rPPG (${RPPG_ALGORITHMS.green}, regardless of the selected ${algorithmLabel})`,
+    // Inputs of the model, kept so reference readings can be fitted
+    features,
+    calibration: {
+      calibrated: Boolean(calibration),
+      coefficients,
+      referenceCount: calibration ? calibration.referenceCount : 0,
+      updatedAt: calibration ? calibration.updatedAt : null,
+    },
   };
 }
 
-async function analyzeMood(frameTensors) {
-  // Simple mood detection based on face movement patterns
-  const movements = [];
-
-  for (let i = 1; i < frameTensors.length; i++) {
-    const diff = tf.sub(frameTensors[i], frameTensors[i - 1]);
-    const movement = tf.mean(tf.abs(diff)).dataSync()[0];
-    movements.push(movement);
-    diff.dispose();
-  }
-
+async function analyzeMood(motionSamples) {
+  // Simple mood detection based on face movement patterns (face widths/s)
+  const movements = motionSamples.map((sample) => sample.speed);
   const avgMovement = Math.mean(movements);
   const movementVariability = Math.std(movements);
 
@@ -141,7 +493,145 @@ async function analyzeMood(frameTensors) {
   };
 }
 
+/**
+ * Heart rate, respiratory rate and SpO2 for overlapping windows of the
+ * uniform signal, so changes during a long recording are visible
+ * @returns {Object|null} Per-metric series, or null if shorter than one window
+ */
+async function analyzeWindows(
+  {
+    rppgSignal,
+    pulse,
+    motion,
+    segments,
+    timestamps,
+    samplingRate,
+    clippingRatio,
+    spO2Calibration,
+  },
+  { windowSeconds, stepSeconds }
+) {
+  const windowLength = Math.round(windowSeconds * samplingRate);
+  const stepLength = Math.max(1, Math.round(stepSeconds * samplingRate));
+  const minSegmentLength = Math.round(
+    MOTION_CONFIG.MIN_SEGMENT_SECONDS * samplingRate
+  );
+  if (!(windowLength > 0) || rppgSignal.length < windowLength) return null;
+
+  const startTime = Number.isFinite(timestamps[0]) ? timestamps[0] : 0;
+  const round = (value) => Number(value.toFixed(2));
+  const heartRate = [];
+  const respiratoryRate = [];
+  const spO2 = [];
+
+  for (
+    let offset = 0;
+    offset + windowLength <= rppgSignal.length;
+    offset += stepLength
+  ) {
+    const start = startTime + offset / samplingRate;
+    const end = start + windowLength / samplingRate;
+    const span = { start: round(start), end: round(end) };
+    const windowSegments = clipSegments(
+      segments,
+      offset,
+      offset + windowLength,
+      minSegmentLength
+    );
+
+    const windowPulse = {
+      ...pulse,
+      signal: pulse.signal.slice(offset, offset + windowLength),
+    };
+    const windowBeats = detectBeats(
+      windowPulse.signal,
+      samplingRate,
+      windowSegments
+    );
+
+    const windowHeartRate = await calculateHeartRate(
+      windowPulse,
+      samplingRate,
+      windowSegments,
+      {
+        templateCorrelation: measureTemplateConsistency(
+          windowPulse.signal,
+          samplingRate,
+          windowSegments,
+          windowBeats
+        ),
+        clippingRatio,
+      }
+    );
+    heartRate.push({
+      ...span,
+      value: windowHeartRate.value,
+      quality: {
+        score: windowHeartRate.quality.score,
+        confidence: windowHeartRate.confidence,
+        snr: windowHeartRate.snr,
+      },
+    });
+
+    const windowRespiratoryRate = await calculateRespiratoryRate({
+      rppgSignal: rppgSignal.slice(offset, offset + windowLength),
+      pulse: windowPulse,
+      samplingRate,
+      startTime: start,
+      segments: windowSegments,
+      motion,
+      beats: windowBeats,
+    });
+    respiratoryRate.push({
+      ...span,
+      value: windowRespiratoryRate.value,
+      quality: {
+        score: windowRespiratoryRate.quality.score,
+        confidence: windowRespiratoryRate.confidence,
+        agreeingSources: windowRespiratoryRate.agreeingSources,
+      },
+    });
+
+    const windowSpO2 = await calculateSpO2(
+      rppgSignal.slice(offset, offset + windowLength),
+      {
+        samplingRate,
+        segments: windowSegments,
+        clippingRatio,
+        calibration: spO2Calibration,
+        algorithmLabel: windowPulse.label,
+      }
+    );
+    spO2.push({
+      ...span,
+      value: windowSpO2.value,
+      quality: {
+        score: windowSpO2.quality ? windowSpO2.quality.score : null,
+        confidence: windowSpO2.confidence,
+      },
+    });
+  }
+
+  return {
+    windowSeconds,
+    stepSeconds,
+    windowCount: heartRate.length,
+    heartRate,
+    respiratoryRate,
+    spO2,
+  };
+}
+
 function calculateStressLevel(hrvValue, respiratoryRate) {
+  if (hrvValue === null || respiratoryRate === null) {
+    return {
+      value: null,
+      level: "unknown",
+      confidence: "low",
+      methodology: "Combined HRV and respiratory analysis",
+    };
+  }
+
   // Initialize stress score components
   let hrvScore = 0;
   let respiratoryScore = 0;
@@ -187,64 +677,69 @@ function calculateStressLevel(hrvValue, respiratoryRate) {
 }
 
 // Helper functions
-function detectPeaks(signal) {
-  const peaks = [];
-  for (let i = 1; i < signal.length - 1; i++) {
-    if (signal[i] > signal[i - 1] && signal[i] > signal[i + 1]) {
-      peaks.push(i);
-    }
-  }
-  return peaks;
-}
-
-function calculateRMSSD(intervals) {
-  if (!intervals.length) return 0;
-  const differences = intervals.slice(1).map((interval, i) => {
-    return Math.pow(interval - intervals[i], 2);
-  });
 
-  return Math.sqrt(
-    differences.reduce((a, b) => a + b, 0) / differences.length || 1
-  );
-}
-
-function countBreathingCycles(movements) {
-  const threshold = Math.mean(movements) + Math.std(movements);
-  let cycles = 0;
-
-  for (let i = 1; i < movements.length - 1; i++) {
-    if (
-      movements[i] > threshold &&
-      movements[i] > movements[i - 1] &&
-      movements[i] > movements[i + 1]
-    ) {
-      cycles++;
-    }
+/**
+ * Estimate the sampling rate and covered duration from frame timestamps
+ */
+function estimateSampling(timestamps) {
+  const valid = timestamps.every((t) => Number.isFinite(t));
+  const span = valid ? timestamps[timestamps.length - 1] - timestamps[0] : 0;
+
+  if (timestamps.length < 2 || !(span > 0)) {
+    return {
+      samplingRate: FALLBACK_SAMPLING_RATE,
+      duration: timestamps.length / FALLBACK_SAMPLING_RATE,
+    };
   }
 
-  return cycles;
+  const samplingRate = (timestamps.length - 1) / span;
+  return { samplingRate, duration: span + 1 / samplingRate };
 }
 
-function calculateConfidence(data, metric) {
-  const mean = Math.mean(data);
-  const std = Math.std(data);
-  const snr = mean / std;
+/**
+ * Resample an RGB trace onto a uniform grid at the given rate
+ */
+function toUniformSignal(rgbSignal, timestamps, samplingRate) {
+  const span = timestamps[timestamps.length - 1] - timestamps[0];
+  if (rgbSignal.length < 2 || !(span > 0)) return rgbSignal;
+
+  const channels = [0, 1, 2].map(
+    (c) =>
+      resampleToUniform(
+        rgbSignal.map((rgb) => rgb[c]),
+        timestamps,
+        samplingRate
+      ).values
+  );
 
-  if (snr > 2) return "high";
-  if (snr > 1) return "moderate";
-  return "low";
+  return channels[0].map((_, i) => [
+    channels[0][i],
+    channels[1][i],
+    channels[2][i],
+  ]);
 }
 
-function calculateSignalQuality(rppgSignal) {
-  const greenChannel = rppgSignal.map((rgb) => rgb[1]);
-  const mean = Math.mean(greenChannel);
-  const std = Math.std(greenChannel);
+/**
+ * Detrend and bandpass a raw channel trace to the pulse band
+ */
+function filterPulseSignal(signal, samplingRate) {
+  if (signal.length < 4) return signal;
+  return bandpassFilter(signal, {
+    lowFreq: PULSE_BAND.LOW,
+    highFreq: PULSE_BAND.HIGH,
+    samplingRate,
+    order: 2,
+  });
+}
 
-  return {
-    signalToNoise: mean / std,
-    quality: mean / std > 1.5 ? "good" : "poor",
-    confidence: mean / std > 2 ? "high" : "moderate",
-  };
+function detectPeaks(signal) {
+  const peaks = [];
+  for (let i = 1; i < signal.length - 1; i++) {
+    if (signal[i] > signal[i - 1] && signal[i] > signal[i + 1]) {
+      peaks.push(i);
+    }
+  }
+  return peaks;
 }
 
 function getStressLevel(score) {
@@ -265,4 +760,9 @@ Math.std = (arr) => {
 };
 
 // Export the main function and any other needed functions
-export { processVitalSigns, calculateStressLevel, calculateSignalQuality };
+export {
+  processVitalSigns,
+  calculateHeartRate,
+  calculateStressLevel,
+  BLOOD_PRESSURE_CALIBRATION,
+};
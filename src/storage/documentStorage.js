@@ -0,0 +1,92 @@
+// storage/documentStorage.js
+
+/**
+ * Job, report and subject repositories on top of simple key-value
+ * collections. Shared by the memory and file backends, which only differ in
+ * how a collection keeps its documents.
+ * @param {Function} createCollection - name -> { get, put, list }
+ * @returns {Object} { jobs, reports, subjects }
+ */
+export const createDocumentStorage = (createCollection) => {
+  const jobs = createCollection("jobs");
+  const reports = createCollection("reports");
+  const subjects = createCollection("subjects");
+  const locks = new Map(); // collection/id -> promise of the last write
+
+  // Read-modify-write cycles on one document run one after another
+  const withLock = (key, fn) => {
+    const previous = locks.get(key) || Promise.resolve();
+    const next = previous.then(fn, fn);
+    const settled = next.catch(() => null);
+    locks.set(key, settled);
+    settled.then(() => {
+      if (locks.get(key) === settled) locks.delete(key);
+    });
+    return next;
+  };
+
+  const insert = (collection, name, id, doc) =>
+    withLock(`${name}/${id}`, async () => {
+      if (await collection.get(id)) {
+        throw new Error(`Duplicate ${name} id "${id}"`);
+      }
+      const now = new Date();
+      const stored = { ...doc, createdAt: now, updatedAt: now };
+      await collection.put(id, stored);
+      return stored;
+    });
+
+  return {
+    jobs: {
+      create: (job) =>
+        insert(jobs, "jobs", job.analysisId, { attempts: 0, ...job }),
+      find: (analysisId) => jobs.get(analysisId),
+      findByStatus: async (statuses) =>
+        (await jobs.list())
+          .filter((job) => statuses.includes(job.status))
+          .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt)),
+      update: (analysisId, { set = {}, push = {}, inc = {} }) =>
+        withLock(`jobs/${analysisId}`, async () => {
+          const job = await jobs.get(analysisId);
+          if (!job) return null;
+
+          Object.assign(job, set);
+          Object.entries(push).forEach(([field, value]) => {
+            job[field] = [...(job[field] || []), value];
+          });
+          Object.entries(inc).forEach(([field, amount]) => {
+            job[field] = (job[field] || 0) + amount;
+          });
+          job.updatedAt = new Date();
+
+          await jobs.put(analysisId, job);
+          return job;
+        }),
+    },
+
+    reports: {
+      create: (report) => insert(reports, "reports", report.reportId, report),
+      find: (reportId) => reports.get(reportId),
+    },
+
+    subjects: {
+      find: (subjectId) => subjects.get(subjectId),
+      update: (subjectId, modify) =>
+        withLock(`subjects/${subjectId}`, async () => {
+          const existing = await subjects.get(subjectId);
+          const changed = await modify(existing);
+          if (!changed) return existing;
+
+          const now = new Date();
+          const stored = {
+            ...changed,
+            subjectId,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+          };
+          await subjects.put(subjectId, stored);
+          return stored;
+        }),
+    },
+  };
+};
@@ -0,0 +1,89 @@
+// storage/fileStorage.js
+import fs from "fs";
+import { join } from "path";
+import { createDocumentStorage } from "./documentStorage.js";
+
+// Fields stored as ISO strings that are turned back into dates on read
+const DATE_FIELDS = new Set([
+  "createdAt",
+  "updatedAt",
+  "queuedAt",
+  "startedAt",
+  "completedAt",
+  "failedAt",
+  "at",
+  "timestamp",
+  "recordedAt",
+]);
+
+/**
+ * One JSON file per document under <dir>/<collection>/. Writes go to a
+ * temporary file that is renamed into place, so a crash never leaves a
+ * half-written document.
+ * @param {string} dir - Root directory of the store
+ */
+export const createFileStorage = (dir) => {
+  const createCollection = (name) => {
+    const directory = join(dir, name);
+    const pathOf = (id) => join(directory, `${encodeURIComponent(id)}.json`);
+    const read = async (path) =>
+      JSON.parse(await fs.promises.readFile(path, "utf8"), reviveDates);
+
+    return {
+      get: async (id) => {
+        try {
+          return await read(pathOf(id));
+        } catch (error) {
+          if (error.code === "ENOENT") return null;
+          throw error;
+        }
+      },
+      put: async (id, doc) => {
+        const path = pathOf(id);
+        const temporary = `${path}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temporary, JSON.stringify(doc));
+        await fs.promises.rename(temporary, path);
+      },
+      list: async () => {
+        const files = await fs.promises.readdir(directory);
+        return Promise.all(
+          files
+            .filter((file) => file.endsWith(".json"))
+            .map((file) => read(join(directory, file)))
+        );
+      },
+    };
+  };
+
+  return {
+    driver: "file",
+    init: async () => {
+      await Promise.all(
+        ["jobs", "reports", "subjects"].map((name) =>
+          fs.promises.mkdir(join(dir, name), { recursive: true })
+        )
+      );
+      return true;
+    },
+    whenReady: () => Promise.resolve(),
+    health: async () => {
+      try {
+        await fs.promises.access(dir, fs.constants.W_OK);
+        return { ok: true, driver: "file", persistent: true, path: dir };
+      } catch (error) {
+        return { ok: false, driver: "file", path: dir, error: error.message };
+      }
+    },
+    ...createDocumentStorage(createCollection),
+  };
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
+
+function reviveDates(key, value) {
+  return DATE_FIELDS.has(key) &&
+    typeof value === "string" &&
+    ISO_DATE.test(value)
+    ? new Date(value)
+    : value;
+}
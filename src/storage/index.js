@@ -0,0 +1,58 @@
+// storage/index.js
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { dirname, join, resolve } from "path";
+import { createMemoryStorage } from "./memoryStorage.js";
+import { createFileStorage } from "./fileStorage.js";
+import { createMongoStorage } from "./mongoStorage.js";
+
+export { JOB_STATUSES, ACTIVE_JOB_STATUSES } from "../models/Job.js";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const STORAGE_CONFIG = {
+  // memory, file or mongo; MongoDB stays the default where it is configured
+  DRIVER: (
+    process.env.STORAGE_DRIVER || (process.env.MONGODB_URI ? "mongo" : "memory")
+  ).toLowerCase(),
+  // Root directory of the file backend
+  DIR: process.env.STORAGE_DIR
+    ? resolve(process.env.STORAGE_DIR)
+    : join(dirname(dirname(__dirname)), "data"),
+};
+
+const DRIVERS = {
+  memory: () => createMemoryStorage(),
+  file: () => createFileStorage(STORAGE_CONFIG.DIR),
+  mongo: () => createMongoStorage(),
+};
+
+let storage = null;
+
+/**
+ * The configured storage backend. Every backend exposes the same
+ * repositories, which hold and return plain objects:
+ *   jobs: create, find, findByStatus, update(id, { set, push, inc })
+ *   reports: create, find
+ *   subjects: find, update(id, modify), where modify(subject | null) returns
+ *     the new { calibrations } or null to leave it; the read-modify-write is
+ *     atomic and modify may run more than once
+ * plus init() (true once usable), whenReady() and health().
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const create = DRIVERS[STORAGE_CONFIG.DRIVER];
+    if (!create) {
+      throw new Error(
+        `Unknown STORAGE_DRIVER "${
+          STORAGE_CONFIG.DRIVER
+        }". Use one of: ${Object.keys(DRIVERS).join(", ")}`
+      );
+    }
+    storage = create();
+  }
+  return storage;
+};
@@ -0,0 +1,30 @@
+// storage/memoryStorage.js
+import { createDocumentStorage } from "./documentStorage.js";
+
+/**
+ * Keeps everything in process memory; all data is lost on restart. Documents
+ * are copied on the way in and out, so callers cannot change stored state by
+ * mutating what they were given.
+ */
+export const createMemoryStorage = () => {
+  const createCollection = () => {
+    const documents = new Map();
+    return {
+      get: async (id) =>
+        documents.has(id) ? structuredClone(documents.get(id)) : null,
+      put: async (id, doc) => {
+        documents.set(id, structuredClone(doc));
+      },
+      list: async () =>
+        [...documents.values()].map((doc) => structuredClone(doc)),
+    };
+  };
+
+  return {
+    driver: "memory",
+    init: async () => true,
+    whenReady: () => Promise.resolve(),
+    health: async () => ({ ok: true, driver: "memory", persistent: false }),
+    ...createDocumentStorage(createCollection),
+  };
+};
@@ -0,0 +1,127 @@
+// storage/mongoStorage.js
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import Job from "../models/Job.js";
+import Report from "../models/Report.js";
+import Subject from "../models/Subject.js";
+
+const DB_STATES = {
+  0: "disconnected",
+  1: "connected",
+  2: "connecting",
+  3: "disconnecting",
+};
+
+const PING_TIMEOUT_MS = 3000;
+// Subject updates that lose this many races in a row give up
+const SUBJECT_UPDATE_ATTEMPTS = 5;
+
+/**
+ * MongoDB through the Mongoose models. Documents are returned as plain
+ * objects, like the other backends.
+ */
+export const createMongoStorage = () => ({
+  driver: "mongo",
+  init: () => connectDB(),
+  whenReady: () =>
+    mongoose.connection.readyState === 1
+      ? Promise.resolve()
+      : new Promise((resolve) =>
+          mongoose.connection.once("connected", resolve)
+        ),
+  health: async () => {
+    const { readyState } = mongoose.connection;
+    const state = DB_STATES[readyState] || "unknown";
+    if (readyState !== 1) return { ok: false, driver: "mongo", state };
+
+    const started = Date.now();
+    let timer;
+    try {
+      await Promise.race([
+        mongoose.connection.db.admin().ping(),
+        new Promise((_, reject) => {
+          timer = setTimeout(
+            () => reject(new Error("MongoDB ping timed out")),
+            PING_TIMEOUT_MS
+          );
+        }),
+      ]);
+      return {
+        ok: true,
+        driver: "mongo",
+        state,
+        latencyMs: Date.now() - started,
+      };
+    } catch (error) {
+      return { ok: false, driver: "mongo", state, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+
+  jobs: {
+    create: async (job) => (await Job.create(job)).toObject(),
+    find: (analysisId) => Job.findOne({ analysisId }).lean(),
+    findByStatus: (statuses) =>
+      Job.find({ status: { $in: statuses } })
+        .sort({ queuedAt: 1 })
+        .lean(),
+    update: (analysisId, { set = {}, push = {}, inc = {} }) =>
+      Job.findOneAndUpdate(
+        { analysisId },
+        withoutEmpty({ $set: set, $push: push, $inc: inc }),
+        { new: true }
+      ).lean(),
+  },
+
+  reports: {
+    create: async (report) => (await Report.create(report)).toObject(),
+    find: (reportId) => Report.findOne({ reportId }).lean(),
+  },
+
+  subjects: {
+    find: (subjectId) => Subject.findOne({ subjectId }).lean(),
+    // Optimistic concurrency: the write only applies while the revision that
+    // was read is still current; otherwise modify runs again on a fresh read
+    update: async (subjectId, modify) => {
+      for (let attempt = 0; attempt < SUBJECT_UPDATE_ATTEMPTS; attempt++) {
+        const existing = await Subject.findOne({ subjectId }).lean();
+        const changed = await modify(existing);
+        if (!changed) return existing;
+
+        const { calibrations } = changed;
+        if (!existing) {
+          try {
+            const created = await Subject.create({
+              subjectId,
+              calibrations,
+              revision: 1,
+            });
+            return created.toObject();
+          } catch (error) {
+            // Duplicate key: another request created the subject first
+            if (error.code !== 11000) throw error;
+            continue;
+          }
+        }
+
+        const updated = await Subject.findOneAndUpdate(
+          // null also matches subjects stored before revisions were kept
+          { subjectId, revision: existing.revision ?? null },
+          { $set: { calibrations }, $inc: { revision: 1 } },
+          { new: true, runValidators: true }
+        ).lean();
+        if (updated) return updated;
+      }
+      throw new Error(
+        `Subject "${subjectId}" kept changing during the update; try again`
+      );
+    },
+  },
+});
+
+// MongoDB rejects update operators with nothing in them
+const withoutEmpty = (update) =>
+  Object.fromEntries(
+    Object.entries(update).filter(([, fields]) => Object.keys(fields).length)
+  );